@@ -1,15 +1,29 @@
 /**
- * AssetLoader - Utility to preload Images, Audio, and Video files
+ * AssetLoader - Utility to preload Images, Audio, Video, JSON and font files
+ *
+ * Assets can be loaded individually, in typed batches, or as named bundles
+ * declared in a manifest. Every load call is tracked separately; onProgress
+ * reports the combined progress of all loads in flight.
  */
 export class AssetLoader {
   constructor() {
     this.images = new Map();
     this.audio = new Map();
     this.videos = new Map();
+    this.json = new Map();
+    this.fonts = new Map();
+    
+    // Aggregate progress of all loads in flight (reset when everything finishes)
     this.loadedCount = 0;
     this.totalCount = 0;
+    this.activeTrackers = new Set();
     this.onProgress = null;
     this.onComplete = null;
+    this.progressListeners = new Set(); // Extra progress observers (e.g. loading scene)
+    
+    // Bundles: name -> {name, items, refCount, promise, report}
+    this.bundles = new Map();
+    this.manifests = new Map(); // path -> manifest
   }
   
   /**
@@ -19,20 +33,7 @@ export class AssetLoader {
    * @returns {Promise<Image>}
    */
   loadImage(id, path) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        this.images.set(id, img);
-        this.onAssetLoaded();
-        resolve(img);
-      };
-      img.onerror = () => {
-        // Count failed assets toward completion to prevent blocking
-        this.onAssetLoaded();
-        reject(new Error(`Failed to load image: ${path}`));
-      };
-      img.src = path;
-    });
+    return this._loadImage(id, path, this._createTracker(1));
   }
   
   /**
@@ -42,21 +43,7 @@ export class AssetLoader {
    * @returns {Promise<HTMLAudioElement>}
    */
   loadAudio(id, path) {
-    return new Promise((resolve, reject) => {
-      const audio = new Audio();
-      audio.oncanplaythrough = () => {
-        this.audio.set(id, audio);
-        this.onAssetLoaded();
-        resolve(audio);
-      };
-      audio.onerror = () => {
-        // Count failed assets toward completion to prevent blocking
-        this.onAssetLoaded();
-        reject(new Error(`Failed to load audio: ${path}`));
-      };
-      audio.src = path;
-      audio.load();
-    });
+    return this._loadAudio(id, path, this._createTracker(1));
   }
   
   /**
@@ -66,28 +53,37 @@ export class AssetLoader {
    * @returns {Promise<HTMLVideoElement>}
    */
   loadVideo(id, path) {
-    return new Promise((resolve, reject) => {
-      const video = document.createElement('video');
-      video.oncanplaythrough = () => {
-        this.videos.set(id, video);
-        this.onAssetLoaded();
-        resolve(video);
-      };
-      video.onerror = () => {
-        // Count failed assets toward completion to prevent blocking
-        this.onAssetLoaded();
-        reject(new Error(`Failed to load video: ${path}`));
-      };
-      video.src = path;
-      video.load();
-    });
+    return this._loadVideo(id, path, this._createTracker(1));
+  }
+  
+  /**
+   * Load a JSON file (e.g. sprite-sheet metadata)
+   * @param {string} id - Asset identifier
+   * @param {string} path - Path to JSON file
+   * @returns {Promise<Object>}
+   */
+  loadJSON(id, path) {
+    return this._loadJSON(id, path, this._createTracker(1));
   }
   
   /**
-   * Start a new loading batch (resets counters)
-   * Call this before loading multiple batches to ensure correct progress tracking
+   * Load a web font and add it to document.fonts
+   * @param {string} id - Font family name used in ctx.font
+   * @param {string} path - Path to font file (woff2, woff, ttf)
+   * @param {Object} descriptors - Optional FontFace descriptors ({ weight, style })
+   * @returns {Promise<FontFace>}
+   */
+  loadFont(id, path, descriptors = {}) {
+    return this._loadFont(id, path, descriptors, this._createTracker(1));
+  }
+  
+  /**
+   * Start a new loading batch (resets aggregate progress counters)
+   * Each load call is tracked separately, so this is only needed to discard
+   * progress from loads that were abandoned
    */
   startBatch() {
+    this.activeTrackers.clear();
     this.loadedCount = 0;
     this.totalCount = 0;
   }
@@ -95,62 +91,259 @@ export class AssetLoader {
   /**
    * Load multiple images
    * @param {Array<{id: string, path: string}>} assets - Array of image assets
-   * @param {boolean} newBatch - If true, resets counters before loading (default: false)
+   * @param {boolean} newBatch - If true, discards progress of earlier loads first (default: false)
    * @returns {Promise<void>}
    */
   loadImages(assets, newBatch = false) {
-    // Reset if explicitly starting new batch, or if previous batch is complete, or if no batch is active
-    if (newBatch || this.totalCount === 0 || this.loadedCount >= this.totalCount) {
-      this.startBatch();
-    }
-    this.totalCount += assets.length;
-    return Promise.all(assets.map(asset => this.loadImage(asset.id, asset.path)));
+    if (newBatch) this.startBatch();
+    const tracker = this._createTracker(assets.length);
+    return Promise.all(assets.map(asset => this._loadImage(asset.id, asset.path, tracker)));
   }
   
   /**
    * Load multiple audio files
    * @param {Array<{id: string, path: string}>} assets - Array of audio assets
-   * @param {boolean} newBatch - If true, resets counters before loading (default: false)
+   * @param {boolean} newBatch - If true, discards progress of earlier loads first (default: false)
    * @returns {Promise<void>}
    */
   loadAudioFiles(assets, newBatch = false) {
-    // Reset if explicitly starting new batch, or if previous batch is complete, or if no batch is active
-    if (newBatch || this.totalCount === 0 || this.loadedCount >= this.totalCount) {
-      this.startBatch();
-    }
-    this.totalCount += assets.length;
-    return Promise.all(assets.map(asset => this.loadAudio(asset.id, asset.path)));
+    if (newBatch) this.startBatch();
+    const tracker = this._createTracker(assets.length);
+    return Promise.all(assets.map(asset => this._loadAudio(asset.id, asset.path, tracker)));
   }
   
   /**
    * Load multiple video files
    * @param {Array<{id: string, path: string}>} assets - Array of video assets
-   * @param {boolean} newBatch - If true, resets counters before loading (default: false)
+   * @param {boolean} newBatch - If true, discards progress of earlier loads first (default: false)
    * @returns {Promise<void>}
    */
   loadVideos(assets, newBatch = false) {
-    // Reset if explicitly starting new batch, or if previous batch is complete, or if no batch is active
-    if (newBatch || this.totalCount === 0 || this.loadedCount >= this.totalCount) {
-      this.startBatch();
+    if (newBatch) this.startBatch();
+    const tracker = this._createTracker(assets.length);
+    return Promise.all(assets.map(asset => this._loadVideo(asset.id, asset.path, tracker)));
+  }
+  
+  /**
+   * Load multiple JSON files
+   * @param {Array<{id: string, path: string}>} assets - Array of JSON assets
+   * @param {boolean} newBatch - If true, discards progress of earlier loads first (default: false)
+   * @returns {Promise<void>}
+   */
+  loadJSONFiles(assets, newBatch = false) {
+    if (newBatch) this.startBatch();
+    const tracker = this._createTracker(assets.length);
+    return Promise.all(assets.map(asset => this._loadJSON(asset.id, asset.path, tracker)));
+  }
+  
+  /**
+   * Load an asset manifest and register its bundles
+   * Manifest format:
+   * {
+   *   "basePath": "/assets/",           // Optional prefix for relative paths
+   *   "bundles": {
+   *     "common": {
+   *       "images": [{ "id": "logo", "path": "images/logo.png" }],
+   *       "audio": [...], "videos": [...],
+   *       "spriteSheets": [{ "id": "player", "path": "sheets/player.json" }],
+   *       "fonts": [{ "id": "Pixel", "path": "fonts/pixel.woff2", "descriptors": {} }]
+   *     }
+   *   }
+   * }
+   * @param {string|Object} manifestOrPath - Manifest object or path to manifest JSON
+   * @returns {Promise<Object>} The manifest
+   */
+  async loadManifest(manifestOrPath) {
+    let manifest = manifestOrPath;
+    
+    if (typeof manifestOrPath === 'string') {
+      if (this.manifests.has(manifestOrPath)) {
+        return this.manifests.get(manifestOrPath);
+      }
+      
+      const response = await fetch(manifestOrPath);
+      if (!response.ok) {
+        throw new Error(`Failed to load manifest: ${manifestOrPath} (${response.status})`);
+      }
+      manifest = await response.json();
+      this.manifests.set(manifestOrPath, manifest);
+    }
+    
+    const basePath = manifest.basePath || '';
+    for (const [name, assets] of Object.entries(manifest.bundles || {})) {
+      this.registerBundle(name, assets, basePath);
     }
-    this.totalCount += assets.length;
-    return Promise.all(assets.map(asset => this.loadVideo(asset.id, asset.path)));
+    
+    return manifest;
   }
   
   /**
-   * Called when an asset finishes loading
+   * Register a named bundle of assets
+   * Re-registering a bundle that is loaded keeps its reference count
+   * @param {string} name - Bundle name
+   * @param {Object} assets - { images, audio, videos, spriteSheets, fonts } arrays of {id, path}
+   * @param {string} basePath - Optional prefix for relative paths
    */
-  onAssetLoaded() {
-    this.loadedCount++;
-    const progress = this.totalCount > 0 ? this.loadedCount / this.totalCount : 1;
+  registerBundle(name, assets, basePath = '') {
+    const items = [];
+    for (const [key, type] of Object.entries(AssetLoader.BUNDLE_TYPES)) {
+      for (const asset of assets[key] || []) {
+        const isAbsolute = /^(\/|[a-z]+:)/i.test(asset.path);
+        items.push({
+          type,
+          id: asset.id,
+          path: isAbsolute ? asset.path : basePath + asset.path,
+          descriptors: asset.descriptors
+        });
+      }
+    }
     
-    if (this.onProgress) {
-      this.onProgress(progress, this.loadedCount, this.totalCount);
+    const existing = this.bundles.get(name);
+    if (existing) {
+      existing.items = items;
+      return;
     }
     
-    if (this.loadedCount >= this.totalCount && this.onComplete) {
-      this.onComplete();
+    this.bundles.set(name, { name, items, refCount: 0, promise: null, report: null });
+  }
+  
+  /**
+   * Check if a bundle is registered
+   * @param {string} name - Bundle name
+   * @returns {boolean}
+   */
+  hasBundle(name) {
+    return this.bundles.has(name);
+  }
+  
+  /**
+   * Load a bundle (images, audio, video, sprite sheets and fonts together)
+   * Increments the bundle's reference count; a bundle that is already loaded
+   * or loading is not fetched again. Never rejects because of bad files:
+   * failures are listed in the resolved report.
+   * @param {string} name - Bundle name
+   * @param {Function} onProgress - Optional Callback(progress, loaded, total) for this bundle
+   * @returns {Promise<{name: string, loaded: string[], failed: Array<{id: string, type: string, path: string, error: string}>, ok: boolean}>}
+   */
+  loadBundle(name, onProgress = null) {
+    const bundle = this.bundles.get(name);
+    if (!bundle) {
+      return Promise.reject(new Error(`Unknown asset bundle: ${name}`));
+    }
+    
+    bundle.refCount++;
+    if (bundle.promise) {
+      return bundle.promise;
+    }
+    
+    const tracker = this._createTracker(bundle.items.length, onProgress);
+    const loaders = {
+      image: (item) => this._loadImage(item.id, item.path, tracker),
+      audio: (item) => this._loadAudio(item.id, item.path, tracker),
+      video: (item) => this._loadVideo(item.id, item.path, tracker),
+      json: (item) => this._loadJSON(item.id, item.path, tracker),
+      font: (item) => this._loadFont(item.id, item.path, item.descriptors || {}, tracker)
+    };
+    
+    bundle.promise = Promise.all(bundle.items.map(item =>
+      loaders[item.type](item).then(
+        () => ({ item, error: null }),
+        (error) => ({ item, error })
+      )
+    )).then(results => {
+      const report = {
+        name,
+        loaded: results.filter(r => !r.error).map(r => r.item.id),
+        failed: results.filter(r => r.error).map(r => ({
+          id: r.item.id,
+          type: r.item.type,
+          path: r.item.path,
+          error: r.error.message
+        })),
+        ok: results.every(r => !r.error)
+      };
+      bundle.report = report;
+      
+      if (!report.ok) {
+        console.warn(`[AssetLoader] Bundle "${name}": ${report.failed.length} asset(s) failed`, report.failed);
+      }
+      
+      // Unloaded while loading - drop what just arrived
+      if (bundle.refCount === 0) {
+        this._unloadBundleAssets(bundle);
+      }
+      
+      return report;
+    });
+    
+    return bundle.promise;
+  }
+  
+  /**
+   * Release a reference to a bundle; its assets are unloaded when no references remain
+   * Assets also listed in another loaded bundle are kept
+   * @param {string} name - Bundle name
+   * @param {boolean} force - Unload regardless of reference count
+   * @returns {boolean} True if the bundle's assets were unloaded
+   */
+  unloadBundle(name, force = false) {
+    const bundle = this.bundles.get(name);
+    if (!bundle || bundle.refCount === 0) return false;
+    
+    bundle.refCount = force ? 0 : bundle.refCount - 1;
+    if (bundle.refCount > 0) return false;
+    
+    // Assets of a bundle still loading are dropped once it finishes
+    if (bundle.report) {
+      this._unloadBundleAssets(bundle);
     }
+    return true;
+  }
+  
+  /**
+   * Check if a bundle has finished loading and is referenced
+   * @param {string} name - Bundle name
+   * @returns {boolean}
+   */
+  isBundleLoaded(name) {
+    const bundle = this.bundles.get(name);
+    return !!(bundle && bundle.refCount > 0 && bundle.report);
+  }
+  
+  /**
+   * Get the failure report of a loaded bundle
+   * @param {string} name - Bundle name
+   * @returns {Object|null} Report from loadBundle(), or null if not loaded
+   */
+  getBundleReport(name) {
+    const bundle = this.bundles.get(name);
+    return bundle ? bundle.report : null;
+  }
+  
+  /**
+   * Get the reference count of a bundle
+   * @param {string} name - Bundle name
+   * @returns {number}
+   */
+  getBundleRefCount(name) {
+    const bundle = this.bundles.get(name);
+    return bundle ? bundle.refCount : 0;
+  }
+  
+  /**
+   * Add a progress observer without replacing onProgress
+   * @param {Function} listener - Callback(progress, loaded, total)
+   */
+  addProgressListener(listener) {
+    this.progressListeners.add(listener);
+  }
+  
+  /**
+   * Remove a progress observer
+   * @param {Function} listener - Listener passed to addProgressListener()
+   */
+  removeProgressListener(listener) {
+    this.progressListeners.delete(listener);
   }
   
   /**
@@ -180,12 +373,29 @@ export class AssetLoader {
     return this.videos.get(id) || null;
   }
   
+  /**
+   * Get loaded JSON data
+   * @param {string} id - Asset identifier
+   * @returns {Object|null}
+   */
+  getJSON(id) {
+    return this.json.get(id) || null;
+  }
+  
+  /**
+   * Get loaded font
+   * @param {string} id - Font family name
+   * @returns {FontFace|null}
+   */
+  getFont(id) {
+    return this.fonts.get(id) || null;
+  }
+  
   /**
    * Reset loader state
    */
   reset() {
-    this.loadedCount = 0;
-    this.totalCount = 0;
+    this.startBatch();
   }
   
   /**
@@ -234,27 +444,15 @@ export class AssetLoader {
    * @returns {Promise<Image>}
    */
   loadImageWithValidation(id, path, warnPO2 = true) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        this.images.set(id, img);
-        
-        // Validate PO2
-        if (warnPO2) {
-          const validation = AssetLoader.validatePO2(img);
-          if (!validation.valid) {
-            console.warn(`[AssetLoader] ${id}: ${validation.message}`);
-          }
+    return this.loadImage(id, path).then(img => {
+      // Validate PO2
+      if (warnPO2) {
+        const validation = AssetLoader.validatePO2(img);
+        if (!validation.valid) {
+          console.warn(`[AssetLoader] ${id}: ${validation.message}`);
         }
-        
-        this.onAssetLoaded();
-        resolve(img);
-      };
-      img.onerror = () => {
-        this.onAssetLoaded();
-        reject(new Error(`Failed to load image: ${path}`));
-      };
-      img.src = path;
+      }
+      return img;
     });
   }
   
@@ -296,6 +494,28 @@ export class AssetLoader {
     }
   }
   
+  /**
+   * Unload a specific JSON file from cache
+   * @param {string} id - Asset identifier
+   */
+  unloadJSON(id) {
+    this.json.delete(id);
+  }
+  
+  /**
+   * Unload a specific font and remove it from document.fonts
+   * @param {string} id - Font family name
+   */
+  unloadFont(id) {
+    const font = this.fonts.get(id);
+    if (font) {
+      if (typeof document !== 'undefined' && document.fonts) {
+        document.fonts.delete(font);
+      }
+      this.fonts.delete(id);
+    }
+  }
+  
   /**
    * Unload multiple assets by ID
    * @param {string[]} ids - Array of asset IDs to unload
@@ -305,6 +525,8 @@ export class AssetLoader {
       this.unloadImage(id);
       this.unloadAudio(id);
       this.unloadVideo(id);
+      this.unloadJSON(id);
+      this.unloadFont(id);
     }
   }
   
@@ -324,6 +546,12 @@ export class AssetLoader {
     for (const [id] of this.videos) {
       if (!keepSet.has(id)) this.unloadVideo(id);
     }
+    for (const [id] of this.json) {
+      if (!keepSet.has(id)) this.unloadJSON(id);
+    }
+    for (const [id] of this.fonts) {
+      if (!keepSet.has(id)) this.unloadFont(id);
+    }
   }
   
   /**
@@ -333,15 +561,24 @@ export class AssetLoader {
     for (const [id] of this.images) this.unloadImage(id);
     for (const [id] of this.audio) this.unloadAudio(id);
     for (const [id] of this.videos) this.unloadVideo(id);
+    for (const [id] of this.fonts) this.unloadFont(id);
     
     this.images.clear();
     this.audio.clear();
     this.videos.clear();
+    this.json.clear();
+    this.fonts.clear();
+    
+    for (const bundle of this.bundles.values()) {
+      bundle.refCount = 0;
+      bundle.promise = null;
+      bundle.report = null;
+    }
   }
   
   /**
    * Get current cache memory estimate
-   * @returns {{imageCount: number, audioCount: number, videoCount: number, estimatedImageMemory: string}}
+   * @returns {{imageCount: number, audioCount: number, videoCount: number, jsonCount: number, fontCount: number, estimatedImageMemory: string}}
    */
   getCacheStats() {
     let imageMemory = 0;
@@ -357,6 +594,8 @@ export class AssetLoader {
       imageCount: this.images.size,
       audioCount: this.audio.size,
       videoCount: this.videos.size,
+      jsonCount: this.json.size,
+      fontCount: this.fonts.size,
       estimatedImageMemory: `${(imageMemory / 1024 / 1024).toFixed(2)} MB`
     };
   }
@@ -380,4 +619,197 @@ export class AssetLoader {
     
     return report;
   }
+  
+  /**
+   * Create a progress tracker for one load call
+   * @param {number} total - Number of assets in the call
+   * @param {Function} onProgress - Optional Callback(progress, loaded, total) for this call only
+   * @private
+   */
+  _createTracker(total, onProgress = null) {
+    const tracker = { total, loaded: 0, onProgress };
+    if (total > 0) {
+      this.activeTrackers.add(tracker);
+    }
+    return tracker;
+  }
+  
+  /**
+   * Settle a tracked load: store the asset, then count it (failures count too)
+   * @param {Promise} promise - Raw load promise
+   * @param {Object} tracker - Tracker from _createTracker()
+   * @param {Function} store - Callback(asset) that caches the loaded asset
+   * @private
+   */
+  _track(promise, tracker, store) {
+    return promise.then(
+      (asset) => {
+        store(asset);
+        this._advance(tracker);
+        return asset;
+      },
+      (error) => {
+        // Count failed assets toward completion to prevent blocking
+        this._advance(tracker);
+        throw error;
+      }
+    );
+  }
+  
+  /**
+   * Count one settled asset and report progress
+   * @private
+   */
+  _advance(tracker) {
+    tracker.loaded++;
+    if (tracker.onProgress) {
+      tracker.onProgress(tracker.loaded / tracker.total, tracker.loaded, tracker.total);
+    }
+    
+    // Trackers dropped by startBatch() no longer feed the shared progress
+    if (this.activeTrackers.has(tracker)) {
+      this._emitProgress();
+    }
+  }
+  
+  /**
+   * Report combined progress of every load in flight
+   * @private
+   */
+  _emitProgress() {
+    let loaded = 0;
+    let total = 0;
+    for (const tracker of this.activeTrackers) {
+      loaded += tracker.loaded;
+      total += tracker.total;
+    }
+    
+    this.loadedCount = loaded;
+    this.totalCount = total;
+    const progress = total > 0 ? loaded / total : 1;
+    
+    if (this.onProgress) {
+      this.onProgress(progress, loaded, total);
+    }
+    for (const listener of this.progressListeners) {
+      listener(progress, loaded, total);
+    }
+    
+    if (loaded >= total) {
+      this.activeTrackers.clear();
+      if (this.onComplete) {
+        this.onComplete();
+      }
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _loadImage(id, path, tracker) {
+    const promise = new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Failed to load image: ${path}`));
+      img.src = path;
+    });
+    return this._track(promise, tracker, img => this.images.set(id, img));
+  }
+  
+  /**
+   * @private
+   */
+  _loadAudio(id, path, tracker) {
+    const promise = new Promise((resolve, reject) => {
+      const audio = new Audio();
+      audio.oncanplaythrough = () => resolve(audio);
+      audio.onerror = () => reject(new Error(`Failed to load audio: ${path}`));
+      audio.src = path;
+      audio.load();
+    });
+    return this._track(promise, tracker, audio => this.audio.set(id, audio));
+  }
+  
+  /**
+   * @private
+   */
+  _loadVideo(id, path, tracker) {
+    const promise = new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      video.oncanplaythrough = () => resolve(video);
+      video.onerror = () => reject(new Error(`Failed to load video: ${path}`));
+      video.src = path;
+      video.load();
+    });
+    return this._track(promise, tracker, video => this.videos.set(id, video));
+  }
+  
+  /**
+   * @private
+   */
+  _loadJSON(id, path, tracker) {
+    const promise = fetch(path).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load JSON: ${path} (${response.status})`);
+      }
+      return response.json();
+    });
+    return this._track(promise, tracker, data => this.json.set(id, data));
+  }
+  
+  /**
+   * @private
+   */
+  _loadFont(id, path, descriptors, tracker) {
+    const promise = Promise.resolve()
+      .then(() => new FontFace(id, `url(${path})`, descriptors).load())
+      .catch(() => {
+        throw new Error(`Failed to load font: ${path}`);
+      });
+    return this._track(promise, tracker, font => {
+      document.fonts.add(font);
+      this.fonts.set(id, font);
+    });
+  }
+  
+  /**
+   * Unload a bundle's assets, keeping ids still used by other loaded bundles
+   * @private
+   */
+  _unloadBundleAssets(bundle) {
+    const keep = new Set();
+    for (const other of this.bundles.values()) {
+      if (other === bundle || other.refCount === 0) continue;
+      for (const item of other.items) {
+        keep.add(`${item.type}:${item.id}`);
+      }
+    }
+    
+    const unloaders = {
+      image: id => this.unloadImage(id),
+      audio: id => this.unloadAudio(id),
+      video: id => this.unloadVideo(id),
+      json: id => this.unloadJSON(id),
+      font: id => this.unloadFont(id)
+    };
+    for (const item of bundle.items) {
+      if (!keep.has(`${item.type}:${item.id}`)) {
+        unloaders[item.type](item.id);
+      }
+    }
+    
+    bundle.promise = null;
+    bundle.report = null;
+  }
 }
+
+/**
+ * Manifest bundle keys and the asset type each one holds
+ */
+AssetLoader.BUNDLE_TYPES = {
+  images: 'image',
+  audio: 'audio',
+  videos: 'video',
+  spriteSheets: 'json',
+  fonts: 'font'
+};
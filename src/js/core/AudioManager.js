@@ -1,78 +1,498 @@
 /**
  * AudioManager - Handles audio playback for music and sound effects
+ *
+ * Uses Web Audio: sounds are decoded once into AudioBuffers and mixed through
+ * gain buses (master <- music / sfx / voice). Audio loaded by AssetLoader is
+ * decoded from the same file; other ids fall back to /assets/music/{id} and
+ * /assets/sfx/{id}.
+ *
+ * Mobile browsers keep the AudioContext suspended until a user gesture, so the
+ * first touch/click/key unlocks it (docs section 5.3). Music requested before
+ * that starts on unlock; SFX requested before that are dropped.
+ *
+ * Each music track has its own gain node so tracks can crossfade, and the
+ * music bus runs through a ducking gain that dips while voice lines play.
+ *
+ * Browsers without Web Audio fall back to HTMLAudioElement playback.
  */
 export class AudioManager {
-  constructor() {
+  /**
+   * @param {AssetLoader} assetLoader - Loader whose audio assets are decoded (optional)
+   */
+  constructor(assetLoader = null) {
+    this.assetLoader = assetLoader;
+    
+    this.masterVolume = 1.0;
     this.musicVolume = 1.0;
     this.sfxVolume = 1.0;
-    this.currentMusic = null;
+    this.voiceVolume = 1.0;
+    this.onVolumeChange = null; // Callback({ master, music, sfx, voice }) (SaveManager persists it)
+    
+    this.currentMusic = null;   // { id, source, gain, loop, ... } or HTMLAudioElement (fallback)
+    this.pendingMusic = null;   // Music requested before unlock
+    this.musicPositions = new Map(); // id -> position (seconds) when last stopped
+    this.playlist = null;       // { ids, order, index, shuffle, loop, crossfade }
+    
+    // Music ducking while voice lines play
+    this.ducking = { volume: 0.3, attack: 0.1, release: 0.5 };
+    this.duckCount = 0;
+    
+    // Suspend all audio while the page is hidden (app backgrounded)
+    this.pauseWhenHidden = true;
+    this.suspendedByVisibility = false;
+    
+    // Decoded buffers: id -> { buffer, element } (element = AssetLoader audio it came from)
+    this.buffers = new Map();
+    this.decoding = new Map();  // id -> Promise<AudioBuffer|null>
+    
+    // Per-sound settings and live voices for polyphony limits
+    this.soundOptions = new Map(); // id -> { volume, polyphony, pitch, pitchVariation, pan, bus }
+    this.voices = new Map();       // id -> [voice, ...] oldest first
+    this.defaultPolyphony = 4;
+    
+    // Fallback (no Web Audio)
     this.musicCache = new Map();
     this.sfxCache = new Map();
+    
+    this.isUnlocked = false;
+    this.unlockPromise = null;
+    
+    this.context = this._createContext();
+    if (this.context) {
+      this.buses = {
+        master: this.context.createGain(),
+        music: this.context.createGain(),
+        sfx: this.context.createGain(),
+        voice: this.context.createGain()
+      };
+      this.duckGain = this.context.createGain();
+      this.buses.master.connect(this.context.destination);
+      this.buses.music.connect(this.duckGain);
+      this.duckGain.connect(this.buses.master);
+      this.buses.sfx.connect(this.buses.master);
+      this.buses.voice.connect(this.buses.master);
+      
+      this.isUnlocked = this.context.state === 'running';
+    } else {
+      this.buses = null;
+      this.isUnlocked = true; // HTMLAudio needs no unlock step here
+    }
+    
+    this.initUnlock();
+    
+    document.addEventListener('visibilitychange', () => this._onVisibilityChange());
+  }
+  
+  /**
+   * Listen for the first user interaction and unlock audio (docs section 5.3)
+   * Called automatically by the constructor
+   * @returns {Promise<void>} Resolves once audio is unlocked
+   */
+  initUnlock() {
+    if (this.isUnlocked) return Promise.resolve();
+    if (this.unlockPromise) return this.unlockPromise;
+    
+    const events = ['touchstart', 'touchend', 'click', 'keydown'];
+    
+    this.unlockPromise = new Promise((resolve) => {
+      const unlock = () => {
+        if (this.isUnlocked) return;
+        
+        this.unlock().then(() => {
+          if (!this.isUnlocked) return; // Still locked, wait for next interaction
+          
+          for (const type of events) {
+            document.removeEventListener(type, unlock);
+          }
+          resolve();
+        });
+      };
+      
+      // Listen for any user interaction
+      for (const type of events) {
+        document.addEventListener(type, unlock);
+      }
+    });
+    
+    return this.unlockPromise;
+  }
+  
+  /**
+   * Resume the AudioContext (must run inside a user gesture on mobile)
+   * Plays a silent buffer, which iOS requires to fully unlock output
+   * @returns {Promise<boolean>} True if audio is unlocked
+   */
+  unlock() {
+    if (!this.context) return Promise.resolve(true);
+    
+    const silent = this.context.createBufferSource();
+    silent.buffer = this.context.createBuffer(1, 1, 22050);
+    silent.connect(this.context.destination);
+    silent.start(0);
+    
+    return this.context.resume()
+      .then(() => {
+        if (this.context.state !== 'running') return false;
+        
+        if (!this.isUnlocked) {
+          this.isUnlocked = true;
+          
+          if (this.pendingMusic) {
+            const { id, loop, fadeIn, resume } = this.pendingMusic;
+            this.pendingMusic = null;
+            this._playTrack(id, loop, fadeIn, resume);
+          }
+        }
+        return true;
+      })
+      .catch(() => false);
+  }
+  
+  /**
+   * Check if audio can play
+   * @returns {boolean}
+   */
+  get unlocked() {
+    return this.isUnlocked;
+  }
+  
+  /**
+   * Decode sounds ahead of time so their first play has no delay
+   * @param {string[]} ids - Sound identifiers
+   * @param {string} bus - Bus used to resolve fallback paths ('music' or 'sfx')
+   * @returns {Promise<void>}
+   */
+  preload(ids, bus = 'sfx') {
+    return Promise.all(ids.map(id => this._getBuffer(id, bus))).then(() => {});
+  }
+  
+  /**
+   * Decode a sound from a path and cache it under an id
+   * @param {string} id - Sound identifier
+   * @param {string} path - Path to audio file
+   * @returns {Promise<AudioBuffer|null>}
+   */
+  loadSound(id, path) {
+    if (!this.context) return Promise.resolve(null);
+    
+    const promise = this._decode(path).then(buffer => {
+      this.decoding.delete(id);
+      if (buffer) {
+        this.buffers.set(id, { buffer, element: null });
+      }
+      return buffer;
+    });
+    this.decoding.set(id, promise);
+    return promise;
+  }
+  
+  /**
+   * Drop a decoded buffer
+   * @param {string} id - Sound identifier
+   */
+  unloadSound(id) {
+    this.buffers.delete(id);
+    this.decoding.delete(id);
   }
   
   /**
-   * Play background music
+   * Drop all decoded buffers
+   */
+  clearBuffers() {
+    this.buffers.clear();
+    this.decoding.clear();
+  }
+  
+  /**
+   * Set default playback options for a sound
+   * @param {string} id - Sound identifier
+   * @param {Object} options - Defaults for playSFX/playVoice
+   * @param {number} options.volume - Volume (0-1)
+   * @param {number} options.polyphony - Max simultaneous instances; the oldest is stopped beyond it
+   * @param {number} options.pitch - Playback rate (1 = normal)
+   * @param {number} options.pitchVariation - Random +/- fraction applied to pitch (e.g. 0.1)
+   * @param {number} options.pan - Stereo pan (-1 left to 1 right)
+   * @param {string} options.bus - 'sfx' or 'voice'
+   * @param {boolean} options.duck - Duck music while playing (default: true on the voice bus)
+   */
+  setSoundOptions(id, options) {
+    this.soundOptions.set(id, { ...this.soundOptions.get(id), ...options });
+  }
+  
+  /**
+   * Play background music (stops the current track and any playlist)
    * @param {string} id - Music identifier
    * @param {boolean} loop - Whether to loop the music
+   * @param {Object} options - Optional settings
+   * @param {number} options.fadeIn - Fade-in time in seconds (default: 0)
+   * @param {boolean} options.resume - Start where this track was last stopped (default: false)
    */
-  playMusic(id, loop = true) {
-    // Stop current music if playing
-    if (this.currentMusic) {
-      this.currentMusic.pause();
-      this.currentMusic.currentTime = 0;
+  playMusic(id, loop = true, options = {}) {
+    this.playlist = null;
+    
+    if (!this.context) {
+      this._playMusicElement(id, loop);
+      return;
     }
     
-    // Get or create audio element
-    let audio = this.musicCache.get(id);
-    if (!audio) {
-      audio = new Audio();
-      audio.src = `/assets/music/${id}`;
-      audio.volume = this.musicVolume;
-      // Load the audio element before caching
-      audio.load();
-      this.musicCache.set(id, audio);
+    // Stop current music if playing
+    this.stopMusic();
+    this._playTrack(id, loop, options.fadeIn || 0, !!options.resume);
+  }
+  
+  /**
+   * Fade the current music out while the new track fades in
+   * Does nothing if the track is already playing
+   * @param {string} id - Music identifier
+   * @param {number} seconds - Crossfade duration
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.loop - Whether to loop the new track (default: true)
+   * @param {boolean} options.resume - Start where this track was last stopped (default: false)
+   */
+  crossfadeTo(id, seconds = 1, options = {}) {
+    this.playlist = null;
+    
+    if (!this.context) {
+      this._playMusicElement(id, options.loop !== false);
+      return;
     }
     
-    audio.loop = loop;
-    audio.volume = this.musicVolume;
-    audio.play().catch(err => {
-      console.warn(`Could not play music ${id}:`, err);
-    });
+    if (this._isCurrentTrack(id)) return;
     
-    this.currentMusic = audio;
+    this._stopTrack(this.currentMusic, seconds);
+    this.currentMusic = null;
+    this._playTrack(id, options.loop !== false, seconds, !!options.resume);
+  }
+  
+  /**
+   * Fade out and stop the current music
+   * @param {number} seconds - Fade duration
+   */
+  fadeOut(seconds = 1) {
+    this.playlist = null;
+    this.pendingMusic = null;
+    
+    if (!this.context) {
+      this.stopMusic();
+      return;
+    }
+    
+    this._stopTrack(this.currentMusic, seconds);
+    this.currentMusic = null;
   }
   
   /**
    * Stop current music
    */
   stopMusic() {
-    if (this.currentMusic) {
+    this.pendingMusic = null;
+    
+    if (!this.currentMusic) return;
+    
+    if (!this.context) {
       this.currentMusic.pause();
       this.currentMusic.currentTime = 0;
-      this.currentMusic = null;
+    } else {
+      this._stopTrack(this.currentMusic, 0);
+    }
+    this.currentMusic = null;
+  }
+  
+  /**
+   * Pause the current music, keeping its position
+   */
+  pauseMusic() {
+    const track = this.currentMusic;
+    if (!track) return;
+    
+    if (!this.context) {
+      track.pause();
+      return;
+    }
+    if (track.paused) return;
+    
+    track.offset = this._trackPosition(track);
+    track.paused = true;
+    if (track.source) {
+      track.source.onended = null;
+      track.source.stop();
+      track.source = null;
+    }
+  }
+  
+  /**
+   * Resume music paused with pauseMusic()
+   */
+  resumeMusic() {
+    const track = this.currentMusic;
+    if (!track) return;
+    
+    if (!this.context) {
+      track.play().catch(() => {});
+      return;
+    }
+    if (!track.paused) return;
+    
+    track.paused = false;
+    this._startSource(track, track.offset);
+  }
+  
+  /**
+   * Get the playback position of the current music
+   * @returns {number} Position in seconds (0 if nothing is playing)
+   */
+  getMusicPosition() {
+    const track = this.currentMusic;
+    if (!track) return 0;
+    if (!this.context) return track.currentTime;
+    
+    return this._trackPosition(track);
+  }
+  
+  /**
+   * Play a list of music tracks one after another
+   * @param {string[]} ids - Music identifiers
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.shuffle - Random order, reshuffled each round (default: false)
+   * @param {boolean} options.loop - Start over after the last track (default: true)
+   * @param {number} options.crossfade - Crossfade between tracks in seconds (default: 0)
+   */
+  playPlaylist(ids, options = {}) {
+    if (ids.length === 0) return;
+    
+    this.playlist = {
+      ids: [...ids],
+      order: [],
+      index: -1,
+      shuffle: !!options.shuffle,
+      loop: options.loop !== false,
+      crossfade: options.crossfade || 0
+    };
+    this._buildPlaylistOrder(null);
+    this.nextTrack();
+  }
+  
+  /**
+   * Skip to the next playlist track
+   */
+  nextTrack() {
+    const playlist = this.playlist;
+    if (!playlist) return;
+    
+    playlist.index++;
+    if (playlist.index >= playlist.order.length) {
+      if (!playlist.loop) {
+        this.playlist = null;
+        this.fadeOut(playlist.crossfade);
+        return;
+      }
+      this._buildPlaylistOrder(playlist.order[playlist.order.length - 1]);
+      playlist.index = 0;
+    }
+    
+    const id = playlist.order[playlist.index];
+    if (!this.context) {
+      this._playMusicElement(id, false);
+      this.currentMusic.onended = () => {
+        if (this.playlist === playlist) this.nextTrack();
+      };
+      return;
     }
+    
+    this._stopTrack(this.currentMusic, playlist.crossfade);
+    this.currentMusic = null;
+    this._playTrack(id, false, playlist.crossfade, false);
+  }
+  
+  /**
+   * Check if a playlist with these tracks is playing
+   * @param {string[]} ids - Music identifiers, in the order given to playPlaylist()
+   * @returns {boolean}
+   */
+  isPlaylistActive(ids) {
+    const playlist = this.playlist;
+    return !!playlist && playlist.ids.length === ids.length &&
+      playlist.ids.every((id, i) => id === ids[i]);
+  }
+  
+  /**
+   * Stop advancing through the playlist (the current track keeps playing)
+   */
+  stopPlaylist() {
+    this.playlist = null;
+  }
+  
+  /**
+   * Configure music ducking while voice lines (or SFX with duck: true) play
+   * @param {Object} options - Ducking settings
+   * @param {number} options.volume - Music gain while ducked (0-1, default: 0.3)
+   * @param {number} options.attack - Seconds to duck (default: 0.1)
+   * @param {number} options.release - Seconds to recover (default: 0.5)
+   */
+  setDucking(options) {
+    this.ducking = { ...this.ducking, ...options };
   }
   
   /**
    * Play a sound effect
    * @param {string} id - SFX identifier
-   * @param {number} volume - Volume (0-1), defaults to sfxVolume
+   * @param {number} volume - Volume (0-1), defaults to the sound's volume or 1
+   * @param {Object} options - Overrides for setSoundOptions() values ({ pitch, pitchVariation, pan, polyphony, loop, duck })
+   * @returns {Object|null} Voice handle with stop(), or null if it can't play
    */
-  playSFX(id, volume = null) {
-    // Get the cached src path, or create and cache it
-    let srcPath = this.sfxCache.get(id);
-    if (!srcPath) {
-      srcPath = `/assets/sfx/${id}`;
-      this.sfxCache.set(id, srcPath);
+  playSFX(id, volume = null, options = {}) {
+    if (!this.context) {
+      this._playSFXElement(id, volume);
+      return null;
     }
+    return this._playSound(id, 'sfx', volume, options);
+  }
+  
+  /**
+   * Play a voice line on the voice bus
+   * @param {string} id - Voice identifier
+   * @param {number} volume - Volume (0-1), defaults to the sound's volume or 1
+   * @param {Object} options - Same as playSFX()
+   * @returns {Object|null} Voice handle with stop(), or null if it can't play
+   */
+  playVoice(id, volume = null, options = {}) {
+    if (!this.context) {
+      this._playSFXElement(id, volume);
+      return null;
+    }
+    return this._playSound(id, 'voice', volume, options);
+  }
+  
+  /**
+   * Stop every playing instance of a sound
+   * @param {string} id - Sound identifier
+   */
+  stopSound(id) {
+    const voices = this.voices.get(id);
+    if (!voices) return;
     
-    // Create a new Audio element for each play (reliable across all browsers)
-    // This avoids cloneNode issues with media element state
-    const audio = new Audio(srcPath);
-    audio.volume = volume !== null ? volume : this.sfxVolume;
-    audio.play().catch(err => {
-      console.warn(`Could not play SFX ${id}:`, err);
-    });
+    for (const voice of [...voices]) {
+      voice.stop();
+    }
+  }
+  
+  /**
+   * Stop all sound effects and voices (music keeps playing)
+   */
+  stopAllSounds() {
+    for (const id of [...this.voices.keys()]) {
+      this.stopSound(id);
+    }
+  }
+  
+  /**
+   * Set master volume
+   * @param {number} volume - Volume (0-1)
+   */
+  setMasterVolume(volume) {
+    this.masterVolume = this._clamp(volume);
+    this._applyBusVolume('master', this.masterVolume);
+    this._volumeChanged();
   }
   
   /**
@@ -80,10 +500,13 @@ export class AudioManager {
    * @param {number} volume - Volume (0-1)
    */
   setMusicVolume(volume) {
-    this.musicVolume = Math.max(0, Math.min(1, volume));
-    if (this.currentMusic) {
-      this.currentMusic.volume = this.musicVolume;
+    this.musicVolume = this._clamp(volume);
+    this._applyBusVolume('music', this.musicVolume);
+    
+    if (!this.context && this.currentMusic) {
+      this.currentMusic.volume = this.musicVolume * this.masterVolume;
     }
+    this._volumeChanged();
   }
   
   /**
@@ -91,6 +514,472 @@ export class AudioManager {
    * @param {number} volume - Volume (0-1)
    */
   setSFXVolume(volume) {
-    this.sfxVolume = Math.max(0, Math.min(1, volume));
+    this.sfxVolume = this._clamp(volume);
+    this._applyBusVolume('sfx', this.sfxVolume);
+    this._volumeChanged();
+  }
+  
+  /**
+   * Set voice volume
+   * @param {number} volume - Volume (0-1)
+   */
+  setVoiceVolume(volume) {
+    this.voiceVolume = this._clamp(volume);
+    this._applyBusVolume('voice', this.voiceVolume);
+    this._volumeChanged();
+  }
+  
+  /**
+   * Get all bus volumes
+   * @returns {{master: number, music: number, sfx: number, voice: number}}
+   */
+  getVolumes() {
+    return {
+      master: this.masterVolume,
+      music: this.musicVolume,
+      sfx: this.sfxVolume,
+      voice: this.voiceVolume
+    };
+  }
+  
+  /**
+   * Set several bus volumes at once (missing keys are left unchanged)
+   * @param {{master: number, music: number, sfx: number, voice: number}} volumes - Volumes (0-1)
+   */
+  setVolumes(volumes) {
+    const onVolumeChange = this.onVolumeChange;
+    this.onVolumeChange = null;
+    
+    if (typeof volumes.master === 'number') this.setMasterVolume(volumes.master);
+    if (typeof volumes.music === 'number') this.setMusicVolume(volumes.music);
+    if (typeof volumes.sfx === 'number') this.setSFXVolume(volumes.sfx);
+    if (typeof volumes.voice === 'number') this.setVoiceVolume(volumes.voice);
+    
+    // Report once for the whole change
+    this.onVolumeChange = onVolumeChange;
+    this._volumeChanged();
+  }
+  
+  /**
+   * Play a decoded sound on a bus, enforcing its polyphony limit
+   * @private
+   */
+  _playSound(id, bus, volume, overrides) {
+    if (!this.isUnlocked) return null;
+    
+    // Overrides left undefined keep the sound's defaults
+    const options = { ...this.soundOptions.get(id) };
+    for (const key in overrides) {
+      if (overrides[key] !== undefined) options[key] = overrides[key];
+    }
+    const ctx = this.context;
+    const targetBus = options.bus || bus;
+    const ducks = options.duck !== undefined ? !!options.duck : targetBus === 'voice';
+    
+    const gain = ctx.createGain();
+    gain.gain.value = volume !== null ? volume : (options.volume !== undefined ? options.volume : 1);
+    
+    let output = gain;
+    if (options.pan && ctx.createStereoPanner) {
+      const panner = ctx.createStereoPanner();
+      panner.pan.value = Math.max(-1, Math.min(1, options.pan));
+      gain.connect(panner);
+      output = panner;
+    }
+    output.connect(this.buses[targetBus]);
+    
+    const voice = {
+      id,
+      source: null,
+      stopped: false,
+      stop: () => {
+        if (voice.stopped) return;
+        voice.stopped = true;
+        if (voice.source) {
+          voice.source.onended = null;
+          voice.source.stop();
+        }
+        output.disconnect();
+        this._removeVoice(voice);
+        if (ducks) this._releaseDuck();
+      }
+    };
+    
+    // Polyphony: stop the oldest instance to make room
+    const limit = options.polyphony !== undefined ? options.polyphony : this.defaultPolyphony;
+    const voices = this.voices.get(id) || [];
+    while (voices.length >= limit && voices.length > 0) {
+      voices[0].stop();
+    }
+    voices.push(voice);
+    this.voices.set(id, voices);
+    if (ducks) this._duck();
+    
+    this._getBuffer(id, bus).then(buffer => {
+      if (voice.stopped) return;
+      if (!buffer) {
+        voice.stop();
+        return;
+      }
+      
+      const pitch = options.pitch !== undefined ? options.pitch : 1;
+      const variation = options.pitchVariation || 0;
+      
+      voice.source = ctx.createBufferSource();
+      voice.source.buffer = buffer;
+      voice.source.loop = !!options.loop;
+      voice.source.playbackRate.value = pitch * (1 + (Math.random() * 2 - 1) * variation);
+      voice.source.connect(gain);
+      voice.source.onended = () => voice.stop();
+      voice.source.start(0);
+    });
+    
+    return voice;
+  }
+  
+  /**
+   * Forget a finished voice
+   * @private
+   */
+  _removeVoice(voice) {
+    const voices = this.voices.get(voice.id);
+    if (!voices) return;
+    
+    const index = voices.indexOf(voice);
+    if (index !== -1) voices.splice(index, 1);
+    if (voices.length === 0) this.voices.delete(voice.id);
+  }
+  
+  /**
+   * Start a music track as the current music, fading in over fadeIn seconds
+   * @private
+   */
+  _playTrack(id, loop, fadeIn, resume) {
+    if (!this.isUnlocked) {
+      this.pendingMusic = { id, loop, fadeIn, resume };
+      return;
+    }
+    
+    const track = {
+      id,
+      loop,
+      source: null,
+      buffer: null,
+      gain: this.context.createGain(),
+      startedAt: 0,  // context time at which position 0 would have played
+      offset: resume ? (this.musicPositions.get(id) || 0) : 0,
+      paused: false,
+      stopped: false
+    };
+    track.gain.connect(this.buses.music);
+    this._rampGain(track.gain.gain, 0, 1, fadeIn);
+    this.currentMusic = track;
+    
+    this._getBuffer(id, 'music').then(buffer => {
+      track.buffer = buffer;
+      
+      // Stopped or paused while decoding
+      if (!buffer || track.stopped || track.paused) return;
+      this._startSource(track, track.offset);
+    });
+  }
+  
+  /**
+   * Create and start the buffer source of a track at an offset
+   * @private
+   */
+  _startSource(track, offset) {
+    if (!track.buffer) return;
+    
+    const duration = track.buffer.duration || 0;
+    const start = duration > 0 ? offset % duration : 0;
+    
+    track.source = this.context.createBufferSource();
+    track.source.buffer = track.buffer;
+    track.source.loop = track.loop;
+    track.source.connect(track.gain);
+    track.source.onended = () => {
+      // Natural end of a non-looping track advances the playlist
+      if (track.stopped || this.currentMusic !== track) return;
+      this.musicPositions.delete(track.id);
+      if (this.playlist) {
+        this.nextTrack();
+      }
+    };
+    track.source.start(0, start);
+    track.startedAt = this.context.currentTime - start;
+  }
+  
+  /**
+   * Stop a track, remembering its position, optionally fading it out
+   * @private
+   */
+  _stopTrack(track, fade) {
+    if (!track || track.stopped) return;
+    
+    this.musicPositions.set(track.id, this._trackPosition(track));
+    track.stopped = true;
+    
+    const source = track.source;
+    if (source) source.onended = null;
+    
+    if (fade > 0 && source) {
+      this._rampGain(track.gain.gain, track.gain.gain.value, 0, fade);
+      source.onended = () => track.gain.disconnect();
+      source.stop(this.context.currentTime + fade);
+    } else {
+      if (source) source.stop();
+      track.gain.disconnect();
+    }
+  }
+  
+  /**
+   * Get a track's playback position in seconds
+   * @private
+   */
+  _trackPosition(track) {
+    if (track.paused || !track.source) return track.offset;
+    
+    const elapsed = this.context.currentTime - track.startedAt;
+    const duration = track.buffer ? track.buffer.duration : 0;
+    if (!duration) return elapsed;
+    return track.loop ? elapsed % duration : Math.min(elapsed, duration);
+  }
+  
+  /**
+   * Check if a track is the current (or pending) music
+   * @private
+   */
+  _isCurrentTrack(id) {
+    if (this.currentMusic && !this.currentMusic.stopped) {
+      return this.currentMusic.id === id;
+    }
+    return !!this.pendingMusic && this.pendingMusic.id === id;
+  }
+  
+  /**
+   * Build the playlist play order, avoiding an immediate repeat of the last track
+   * @private
+   */
+  _buildPlaylistOrder(lastId) {
+    const order = [...this.playlist.ids];
+    
+    if (this.playlist.shuffle) {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      if (order.length > 1 && order[0] === lastId) {
+        [order[0], order[1]] = [order[1], order[0]];
+      }
+    }
+    
+    this.playlist.order = order;
+  }
+  
+  /**
+   * Lower the music for a ducking sound
+   * @private
+   */
+  _duck() {
+    this.duckCount++;
+    if (this.duckCount === 1) {
+      const gain = this.duckGain.gain;
+      this._rampGain(gain, gain.value, this.ducking.volume, this.ducking.attack);
+    }
+  }
+  
+  /**
+   * Restore the music once no ducking sounds remain
+   * @private
+   */
+  _releaseDuck() {
+    this.duckCount = Math.max(0, this.duckCount - 1);
+    if (this.duckCount === 0) {
+      const gain = this.duckGain.gain;
+      this._rampGain(gain, gain.value, 1, this.ducking.release);
+    }
+  }
+  
+  /**
+   * Ramp an AudioParam linearly from one value to another
+   * @private
+   */
+  _rampGain(param, from, to, seconds) {
+    const now = this.context.currentTime;
+    param.cancelScheduledValues(now);
+    if (seconds > 0) {
+      param.setValueAtTime(from, now);
+      param.linearRampToValueAtTime(to, now + seconds);
+    } else {
+      param.setValueAtTime(to, now);
+    }
+  }
+  
+  /**
+   * Suspend audio while the page is hidden and resume when it returns
+   * @private
+   */
+  _onVisibilityChange() {
+    if (!this.pauseWhenHidden) return;
+    
+    if (!this.context) {
+      if (document.hidden) {
+        if (this.currentMusic && !this.currentMusic.paused) {
+          this.currentMusic.pause();
+          this.suspendedByVisibility = true;
+        }
+      } else if (this.suspendedByVisibility) {
+        this.suspendedByVisibility = false;
+        if (this.currentMusic) this.currentMusic.play().catch(() => {});
+      }
+      return;
+    }
+    
+    if (document.hidden) {
+      if (this.context.state === 'running') {
+        this.suspendedByVisibility = true;
+        this.context.suspend();
+      }
+    } else if (this.suspendedByVisibility) {
+      this.suspendedByVisibility = false;
+      this.context.resume();
+    }
+  }
+  
+  /**
+   * Get a decoded buffer, decoding from AssetLoader audio or the fallback path
+   * @private
+   */
+  _getBuffer(id, bus) {
+    const element = this.assetLoader ? this.assetLoader.getAudio(id) : null;
+    const cached = this.buffers.get(id);
+    
+    // Buffers decoded from AssetLoader audio are dropped once that asset is unloaded
+    if (cached && (!cached.element || cached.element === element)) {
+      return Promise.resolve(cached.buffer);
+    }
+    if (this.decoding.has(id)) {
+      return this.decoding.get(id);
+    }
+    
+    const path = element ? element.src : `/assets/${bus === 'music' ? 'music' : 'sfx'}/${id}`;
+    const promise = this._decode(path).then(buffer => {
+      this.decoding.delete(id);
+      if (buffer) {
+        this.buffers.set(id, { buffer, element });
+      } else {
+        this.buffers.delete(id);
+      }
+      return buffer;
+    });
+    this.decoding.set(id, promise);
+    return promise;
+  }
+  
+  /**
+   * Fetch and decode an audio file
+   * @private
+   */
+  _decode(path) {
+    return fetch(path)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(data => new Promise((resolve, reject) => {
+        // Callback form: older Safari does not return a promise
+        this.context.decodeAudioData(data, resolve, reject);
+      }))
+      .catch(err => {
+        console.warn(`Could not decode audio ${path}:`, err);
+        return null;
+      });
+  }
+  
+  /**
+   * Create the AudioContext if the browser supports Web Audio
+   * @private
+   */
+  _createContext() {
+    const AudioContextClass = typeof window !== 'undefined'
+      ? (window.AudioContext || window.webkitAudioContext)
+      : null;
+    return AudioContextClass ? new AudioContextClass() : null;
+  }
+  
+  /**
+   * Apply a volume to a gain bus
+   * @private
+   */
+  _applyBusVolume(name, volume) {
+    if (this.buses) {
+      this.buses[name].gain.value = volume;
+    }
+  }
+  
+  /**
+   * Report a volume change
+   * @private
+   */
+  _volumeChanged() {
+    if (this.onVolumeChange) {
+      this.onVolumeChange(this.getVolumes());
+    }
+  }
+  
+  /**
+   * Clamp a volume to 0-1
+   * @private
+   */
+  _clamp(volume) {
+    return Math.max(0, Math.min(1, volume));
+  }
+  
+  /**
+   * Play music with an HTMLAudioElement (no Web Audio)
+   * @private
+   */
+  _playMusicElement(id, loop) {
+    // Stop current music if playing
+    this.stopMusic();
+    
+    // Get or create audio element
+    let audio = this.musicCache.get(id);
+    if (!audio) {
+      audio = new Audio();
+      audio.src = `/assets/music/${id}`;
+      audio.load();
+      this.musicCache.set(id, audio);
+    }
+    
+    audio.loop = loop;
+    audio.volume = this.musicVolume * this.masterVolume;
+    audio.play().catch(err => {
+      console.warn(`Could not play music ${id}:`, err);
+    });
+    
+    this.currentMusic = audio;
+  }
+  
+  /**
+   * Play a sound effect with a new HTMLAudioElement (no Web Audio)
+   * @private
+   */
+  _playSFXElement(id, volume) {
+    let srcPath = this.sfxCache.get(id);
+    if (!srcPath) {
+      const element = this.assetLoader ? this.assetLoader.getAudio(id) : null;
+      srcPath = element ? element.src : `/assets/sfx/${id}`;
+      this.sfxCache.set(id, srcPath);
+    }
+    
+    const audio = new Audio(srcPath);
+    audio.volume = (volume !== null ? volume : 1) * this.sfxVolume * this.masterVolume;
+    audio.play().catch(err => {
+      console.warn(`Could not play SFX ${id}:`, err);
+    });
   }
 }
@@ -0,0 +1,371 @@
+/**
+ * Camera - View into a world larger than the canvas
+ *
+ * World layers are drawn through the camera transform; layers listed in
+ * fixedLayers (TEXT and UI_BUTTONS by default) stay in canvas space.
+ * x/y is the world point shown at the design center (540, 960), so the
+ * default camera draws world coordinates exactly like canvas coordinates.
+ *
+ * Usage:
+ *   camera.follow(player, { deadzone: { width: 200, height: 300 }, smoothing: 0.15 });
+ *   camera.setBounds({ x: 0, y: 0, width: 4000, height: 1920 });
+ *   camera.shake(30, 0.4);
+ */
+export class Camera {
+  /**
+   * @param {number} width - Design width (default: 1080)
+   * @param {number} height - Design height (default: 1920)
+   */
+  constructor(width = 1080, height = 1920) {
+    this.width = width;
+    this.height = height;
+
+    // Canvas-space rect on screen (set by Engine; larger than the design in expand mode)
+    this.viewport = { x: 0, y: 0, width, height };
+
+    // Layers drawn without the camera transform
+    this.fixedLayers = new Set(Camera.DEFAULT_FIXED_LAYERS);
+
+    this.reset();
+  }
+
+  /**
+   * Back to the identity view: centered, zoom 1, no target, bounds or effects
+   */
+  reset() {
+    this.x = this.width / 2;
+    this.y = this.height / 2;
+    this.zoom = 1;
+    this.rotation = 0; // Radians
+
+    this.target = null;
+    this.followOptions = { ...Camera.FOLLOW_DEFAULTS };
+    this.bounds = null;
+
+    // Effects
+    this.shakeIntensity = 0;
+    this.shakeDuration = 0;
+    this.shakeTime = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+    this.flashColor = '#ffffff';
+    this.flashAlpha = 0;
+    this.flashDuration = 0;
+    this.flashTime = 0;
+  }
+
+  /**
+   * Center the view on a world point (clamped to bounds)
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   */
+  lookAt(x, y) {
+    this.x = x;
+    this.y = y;
+    this._clampToBounds();
+  }
+
+  /**
+   * Set the zoom (1 = one world unit per canvas unit)
+   * @param {number} zoom - Zoom factor (> 0)
+   */
+  setZoom(zoom) {
+    this.zoom = Math.max(0.01, zoom);
+    this._clampToBounds();
+  }
+
+  /**
+   * Set the rotation
+   * @param {number} rotation - Radians (positive turns the world clockwise on screen)
+   */
+  setRotation(rotation) {
+    this.rotation = rotation;
+  }
+
+  /**
+   * Follow a target every update
+   * @param {Object} target - Entity with x/y (its center is used when it has width/height), or null to stop
+   * @param {Object} options - Settings (see Camera.FOLLOW_DEFAULTS)
+   * @param {Object} options.deadzone - { width, height } box in canvas units the target moves in freely
+   * @param {number} options.smoothing - Seconds to catch up (0 = snap)
+   * @param {number} options.offsetX - Look ahead/behind the target (world units)
+   * @param {number} options.offsetY - Look above/below the target (world units)
+   */
+  follow(target, options = {}) {
+    this.target = target;
+    this.followOptions = { ...Camera.FOLLOW_DEFAULTS, ...options };
+
+    if (target && this.followOptions.snap) {
+      const point = this._targetPoint();
+      this.lookAt(point.x, point.y);
+    }
+  }
+
+  /**
+   * Keep the view inside a world rect (null removes the limit)
+   * @param {Object|null} bounds - { x, y, width, height }
+   */
+  setBounds(bounds) {
+    this.bounds = bounds ? { ...bounds } : null;
+    this._clampToBounds();
+  }
+
+  /**
+   * Shake the view
+   * A stronger shake replaces a weaker one still running.
+   * @param {number} intensity - Maximum offset in canvas units (default: 20)
+   * @param {number} duration - Seconds (default: 0.3)
+   */
+  shake(intensity = 20, duration = 0.3) {
+    const remaining = this.shakeDuration > 0 ? this.shakeIntensity * (1 - this.shakeTime / this.shakeDuration) : 0;
+    if (intensity < remaining) return;
+
+    this.shakeIntensity = intensity;
+    this.shakeDuration = duration;
+    this.shakeTime = 0;
+  }
+
+  /**
+   * Flash the screen with a color that fades out
+   * @param {string} color - Fill color (default: '#ffffff')
+   * @param {number} duration - Seconds to fade (default: 0.2)
+   * @param {number} alpha - Starting opacity (default: 1)
+   */
+  flash(color = '#ffffff', duration = 0.2, alpha = 1) {
+    this.flashColor = color;
+    this.flashAlpha = alpha;
+    this.flashDuration = duration;
+    this.flashTime = 0;
+  }
+
+  /**
+   * Draw a layer in canvas space (true) or through the camera (false)
+   * @param {string} layerName - Layer name (e.g. 'TEXT')
+   * @param {boolean} fixed - Screen-fixed (default: true)
+   */
+  setLayerFixed(layerName, fixed = true) {
+    if (fixed) {
+      this.fixedLayers.add(layerName);
+    } else {
+      this.fixedLayers.delete(layerName);
+    }
+  }
+
+  /**
+   * Check if a layer is drawn without the camera
+   * @param {string} layerName - Layer name
+   * @returns {boolean}
+   */
+  isLayerFixed(layerName) {
+    return this.fixedLayers.has(layerName);
+  }
+
+  /**
+   * Set the canvas-space rect on screen (called by Engine on resize)
+   * @param {Object} rect - { x, y, width, height }
+   */
+  setViewport(rect) {
+    this.viewport = { ...rect };
+    this._clampToBounds();
+  }
+
+  /**
+   * Follow the target, advance shake and flash
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (this.target) {
+      this._updateFollow(deltaTime);
+    }
+
+    if (this.shakeDuration > 0) {
+      this.shakeTime += deltaTime;
+      if (this.shakeTime >= this.shakeDuration) {
+        this.shakeDuration = 0;
+        this.shakeX = 0;
+        this.shakeY = 0;
+      } else {
+        const strength = this.shakeIntensity * (1 - this.shakeTime / this.shakeDuration);
+        this.shakeX = (Math.random() * 2 - 1) * strength;
+        this.shakeY = (Math.random() * 2 - 1) * strength;
+      }
+    }
+
+    if (this.flashDuration > 0) {
+      this.flashTime += deltaTime;
+      if (this.flashTime >= this.flashDuration) {
+        this.flashDuration = 0;
+        this.flashAlpha = 0;
+      }
+    }
+  }
+
+  /**
+   * Check if the camera changes anything (skips the transform when it doesn't)
+   * @returns {boolean}
+   */
+  isIdentity() {
+    return this.x === this.width / 2 && this.y === this.height / 2 &&
+           this.zoom === 1 && this.rotation === 0 && this.shakeX === 0 && this.shakeY === 0;
+  }
+
+  /**
+   * Apply the world-to-canvas transform on top of the context's current transform
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  apply(ctx) {
+    ctx.translate(this.width / 2 + this.shakeX, this.height / 2 + this.shakeY);
+    ctx.rotate(this.rotation);
+    ctx.scale(this.zoom, this.zoom);
+    ctx.translate(-this.x, -this.y);
+  }
+
+  /**
+   * Convert a world point to canvas coordinates
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {Object} Canvas coordinates {x, y}
+   */
+  worldToCanvas(x, y) {
+    const dx = (x - this.x) * this.zoom;
+    const dy = (y - this.y) * this.zoom;
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    return {
+      x: this.width / 2 + this.shakeX + dx * cos - dy * sin,
+      y: this.height / 2 + this.shakeY + dx * sin + dy * cos
+    };
+  }
+
+  /**
+   * Convert canvas coordinates to a world point
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {Object} World coordinates {x, y}
+   */
+  canvasToWorld(x, y) {
+    const dx = x - this.width / 2 - this.shakeX;
+    const dy = y - this.height / 2 - this.shakeY;
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    return {
+      x: this.x + (dx * cos + dy * sin) / this.zoom,
+      y: this.y + (-dx * sin + dy * cos) / this.zoom
+    };
+  }
+
+  /**
+   * World-space rect covering everything on screen (bounding box when rotated)
+   * @returns {Object} { x, y, width, height }
+   */
+  getViewRect() {
+    const v = this.viewport;
+    const corners = [
+      this.canvasToWorld(v.x, v.y),
+      this.canvasToWorld(v.x + v.width, v.y),
+      this.canvasToWorld(v.x, v.y + v.height),
+      this.canvasToWorld(v.x + v.width, v.y + v.height)
+    ];
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    return { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+  }
+
+  /**
+   * Draw the flash over the viewport (canvas space)
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  renderEffects(ctx) {
+    if (this.flashDuration <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.flashAlpha * (1 - this.flashTime / this.flashDuration);
+    ctx.fillStyle = this.flashColor;
+    ctx.fillRect(this.viewport.x, this.viewport.y, this.viewport.width, this.viewport.height);
+    ctx.restore();
+  }
+
+  /**
+   * Move toward the target, leaving it free inside the deadzone
+   * @private
+   */
+  _updateFollow(deltaTime) {
+    const options = this.followOptions;
+    const point = this._targetPoint();
+
+    // Deadzone is given in canvas units; halve and convert to world units
+    const halfWidth = (options.deadzone ? options.deadzone.width : 0) / 2 / this.zoom;
+    const halfHeight = (options.deadzone ? options.deadzone.height : 0) / 2 / this.zoom;
+
+    let goalX = this.x;
+    let goalY = this.y;
+    if (point.x < this.x - halfWidth) goalX = point.x + halfWidth;
+    if (point.x > this.x + halfWidth) goalX = point.x - halfWidth;
+    if (point.y < this.y - halfHeight) goalY = point.y + halfHeight;
+    if (point.y > this.y + halfHeight) goalY = point.y - halfHeight;
+
+    const t = options.smoothing > 0 ? 1 - Math.exp(-deltaTime / options.smoothing) : 1;
+    this.x += (goalX - this.x) * t;
+    this.y += (goalY - this.y) * t;
+    this._clampToBounds();
+  }
+
+  /**
+   * World point the camera follows (target center plus offset)
+   * @private
+   */
+  _targetPoint() {
+    const target = this.target;
+    return {
+      x: target.x + (target.width || 0) / 2 + this.followOptions.offsetX,
+      y: target.y + (target.height || 0) / 2 + this.followOptions.offsetY
+    };
+  }
+
+  /**
+   * Keep the viewport inside the bounds (centered when the bounds are smaller)
+   * Rotation is ignored here.
+   * @private
+   */
+  _clampToBounds() {
+    if (!this.bounds) return;
+
+    const b = this.bounds;
+    const v = this.viewport;
+    // Viewport extent around the design center, in world units
+    const left = (this.width / 2 - v.x) / this.zoom;
+    const right = (v.x + v.width - this.width / 2) / this.zoom;
+    const top = (this.height / 2 - v.y) / this.zoom;
+    const bottom = (v.y + v.height - this.height / 2) / this.zoom;
+
+    if (left + right >= b.width) {
+      this.x = b.x + b.width / 2 + (left - right) / 2;
+    } else {
+      this.x = Math.max(b.x + left, Math.min(b.x + b.width - right, this.x));
+    }
+
+    if (top + bottom >= b.height) {
+      this.y = b.y + b.height / 2 + (top - bottom) / 2;
+    } else {
+      this.y = Math.max(b.y + top, Math.min(b.y + b.height - bottom, this.y));
+    }
+  }
+}
+
+/**
+ * Layers drawn in canvas space unless changed with setLayerFixed()
+ */
+Camera.DEFAULT_FIXED_LAYERS = ['TEXT', 'UI_BUTTONS'];
+
+/**
+ * follow() defaults
+ */
+Camera.FOLLOW_DEFAULTS = {
+  deadzone: null,  // { width, height } in canvas units
+  smoothing: 0.1,  // Seconds to catch up (0 = snap)
+  offsetX: 0,
+  offsetY: 0,
+  snap: true       // Jump to the target when following starts
+};
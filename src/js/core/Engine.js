@@ -3,12 +3,29 @@ import { InputHandler } from './InputHandler.js';
 import { SceneManager } from './SceneManager.js';
 import { AudioManager } from './AudioManager.js';
 import { AssetLoader } from './AssetLoader.js';
+import { ObjectPool } from './ObjectPool.js';
+import { SaveManager } from './SaveManager.js';
+import { LayoutManager } from './LayoutManager.js';
+import { Camera } from './Camera.js';
 
 /**
  * Engine - Main game engine class with integrated Audio/Media hooks
  */
 export class Engine {
-  constructor(canvas, width = 1080, height = 1920) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Game canvas
+   * @param {number} width - Design width (default: 1080)
+   * @param {number} height - Design height (default: 1920)
+   * @param {Object} options - Display settings
+   * @param {string} options.scaleMode - 'letterbox' (default), 'crop', 'expand' or 'integer'
+   * @param {string} options.letterboxColor - Color around the game (default: '#000000')
+   * @param {string} options.letterboxImage - Image URL drawn around the game (cover)
+   * @param {number} options.renderScale - Fixed backing-store pixels per canvas unit
+   *   (default: derived from devicePixelRatio and quality)
+   * @param {string|number} options.quality - 'low', 'medium', 'high' (default) or a 0-1 factor
+   * @param {boolean} options.autoRenderScale - Lower the render scale while frames run over budget
+   */
+  constructor(canvas, width = 1080, height = 1920, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.width = width;
@@ -18,12 +35,46 @@ export class Engine {
     this.canvas.width = width;
     this.canvas.height = height;
     
+    // How the design area maps onto the screen (see setScaleMode)
+    this.scaleMode = Engine.SCALE_MODES.includes(options.scaleMode) ? options.scaleMode : 'letterbox';
+    this.letterbox = { color: options.letterboxColor || '#000000', image: options.letterboxImage || null };
+    this.bufferRect = { x: 0, y: 0, width, height }; // Canvas-space area the drawing buffer covers
+    this.displayScale = 1; // CSS pixels per canvas unit
+    
+    // Backing-store resolution (game code keeps drawing in canvas units)
+    this.renderScale = 1;
+    this.renderScaleSetting = options.renderScale || null; // Fixed scale, or null to follow devicePixelRatio
+    this.quality = Engine._qualityFactor(options.quality || 'high');
+    this.autoRenderScale = {
+      ...Engine.AUTO_RENDER_SCALE,
+      enabled: !!options.autoRenderScale,
+      factor: 1,    // Multiplier the automatic mode has lowered the scale to
+      slowTime: 0,  // Seconds the average frame has been over budget
+      fastTime: 0   // Seconds it has been comfortably under budget
+    };
+    this.frameTime = 1 / 60; // Smoothed seconds per frame
+    
     // Instantiate core systems
     this.inputHandler = new InputHandler(canvas, width, height);
     this.layerManager = new LayerManager(canvas);
     this.sceneManager = new SceneManager(this);
-    this.audioManager = new AudioManager();
     this.assetLoader = new AssetLoader();
+    this.audioManager = new AudioManager(this.assetLoader);
+    this.saveManager = new SaveManager(this);
+    this.layoutManager = new LayoutManager(this.inputHandler, width, height);
+    
+    // World view shared by rendering (world layers) and input (pointer -> world)
+    this.camera = new Camera(width, height);
+    this.layerManager.camera = this.camera;
+    this.inputHandler.camera = this.camera;
+    
+    // Restore persisted settings (audio volumes, input rebinds) and keep them saved
+    this.saveManager.bindAudio(this.audioManager);
+    this.saveManager.bindInput(this.inputHandler);
+    this.saveManager.loadSettings();
+    
+    // Named object pools (reported in debug info)
+    this.pools = new Map();
     
     // Letterbox scaling - ensure game stays centered on any device
     this.setupLetterboxScaling();
@@ -34,37 +85,243 @@ export class Engine {
     this.frameId = null;
     this.isFirstFrame = true; // Dedicated flag for first frame detection
     
-    // Handle window resize
-    window.addEventListener('resize', () => {
-      this.setupLetterboxScaling();
-      this.inputHandler.updateTransform();
-    });
+    // Handle window resize and rotation (safe-area insets change with both)
+    const onViewportChange = () => this.setupLetterboxScaling();
+    window.addEventListener('resize', onViewportChange);
+    // The new insets may only apply a frame after the orientation event
+    window.addEventListener('orientationchange', () => requestAnimationFrame(onViewportChange));
   }
   
   /**
-   * Setup letterbox scaling to keep game centered on any device
+   * Size and place the canvas for the current scale mode
+   * - letterbox: fit the whole design area, bars on the sides or top/bottom
+   * - crop: fill the screen, cutting off the overflowing edges
+   * - expand: fit the design area and extend the drawing buffer to fill the
+   *   screen, so wider/taller screens see more of the world around it
+   * - integer: letterbox at whole device pixels per canvas pixel (pixel art)
    */
   setupLetterboxScaling() {
     const container = this.canvas.parentElement || document.body;
     const containerWidth = container.clientWidth || window.innerWidth;
     const containerHeight = container.clientHeight || window.innerHeight;
     
-    // Calculate scale to maintain aspect ratio (letterbox)
+    // Calculate scale to maintain aspect ratio
     const scaleX = containerWidth / this.width;
     const scaleY = containerHeight / this.height;
-    const scale = Math.min(scaleX, scaleY);
+    let scale = this.scaleMode === 'crop' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    
+    if (this.scaleMode === 'integer') {
+      // Whole device pixels per canvas pixel (or 1/n when the screen is too small)
+      const ratio = window.devicePixelRatio || 1;
+      const devicePixels = scale * ratio;
+      const snapped = devicePixels >= 1 ? Math.floor(devicePixels) : 1 / Math.ceil(1 / devicePixels);
+      scale = snapped / ratio;
+    }
+    
+    if (!(scale > 0)) {
+      scale = 1;
+    }
+    
+    // Drawing buffer: the design size, or the whole container in expand mode
+    let bufferWidth = this.width;
+    let bufferHeight = this.height;
+    if (this.scaleMode === 'expand') {
+      bufferWidth = Math.max(this.width, Math.round(containerWidth / scale));
+      bufferHeight = Math.max(this.height, Math.round(containerHeight / scale));
+    }
+    this.bufferRect = {
+      x: -(bufferWidth - this.width) / 2,
+      y: -(bufferHeight - this.height) / 2,
+      width: bufferWidth,
+      height: bufferHeight
+    };
+    this.displayScale = scale;
+    this._applyRenderScale();
+    
+    // Center the canvas (crop mode overflows the container on one axis)
+    const scaledWidth = bufferWidth * scale;
+    const scaledHeight = bufferHeight * scale;
+    const style = this.canvas.style;
+    style.position = 'absolute';
+    style.left = `${(containerWidth - scaledWidth) / 2}px`;
+    style.top = `${(containerHeight - scaledHeight) / 2}px`;
+    style.width = `${scaledWidth}px`;
+    style.height = `${scaledHeight}px`;
+    style.objectFit = 'fill';
     
-    // Calculate scaled dimensions
-    const scaledWidth = this.width * scale;
-    const scaledHeight = this.height * scale;
+    this._applyLetterbox(container);
+    
+    // Pointer mapping, safe-area layout and the camera follow the new rects
+    this.inputHandler.setBufferRect(this.bufferRect);
+    this.layoutManager.update();
+    this.camera.setViewport(this.inputHandler.getVisibleRect());
+  }
+  
+  /**
+   * Change the scale mode
+   * @param {string} mode - 'letterbox', 'crop', 'expand' or 'integer'
+   */
+  setScaleMode(mode) {
+    if (!Engine.SCALE_MODES.includes(mode)) {
+      console.warn(`[Engine] Unknown scale mode: ${mode}`);
+      return;
+    }
+    
+    this.scaleMode = mode;
+    this.setupLetterboxScaling();
+  }
+  
+  /**
+   * Set what fills the screen around the game (letterbox bars, expand margins)
+   * @param {Object} options - { color, image } (image is a URL, drawn to cover; null removes it)
+   */
+  setLetterbox(options = {}) {
+    if (options.color !== undefined) this.letterbox.color = options.color;
+    if (options.image !== undefined) this.letterbox.image = options.image;
+    this._applyLetterbox(this.canvas.parentElement || document.body);
+  }
+  
+  /**
+   * Use a fixed render scale, or follow the device again
+   * @param {number|null} scale - Backing-store pixels per canvas unit (clamped to
+   *   Engine.RENDER_SCALE), or null for devicePixelRatio x quality
+   */
+  setRenderScale(scale) {
+    this.renderScaleSetting = scale || null;
+    this._applyRenderScale();
+  }
+  
+  /**
+   * Set the render quality used when the render scale follows the device
+   * @param {string|number} quality - 'low', 'medium', 'high' or a 0-1 factor
+   */
+  setQuality(quality) {
+    this.quality = Engine._qualityFactor(quality);
+    this._applyRenderScale();
+  }
+  
+  /**
+   * Turn the automatic render scale on or off
+   * While the average frame time stays over budget the scale drops a step at a
+   * time (down to Engine.RENDER_SCALE.min); it climbs back once frames are fast again.
+   * @param {boolean} enabled - Enable automatic scaling
+   * @param {Object} options - Overrides for Engine.AUTO_RENDER_SCALE
+   */
+  setAutoRenderScale(enabled, options = {}) {
+    Object.assign(this.autoRenderScale, options, { enabled: !!enabled, slowTime: 0, fastTime: 0 });
+    if (!enabled && this.autoRenderScale.factor !== 1) {
+      this.autoRenderScale.factor = 1;
+      this._applyRenderScale();
+    }
+  }
+  
+  /**
+   * Get the current render scale
+   * @returns {number} Backing-store pixels per canvas unit
+   */
+  getRenderScale() {
+    return this.renderScale;
+  }
+  
+  /**
+   * Get the part of canvas space currently on screen
+   * Equals the design area in letterbox/integer mode, is smaller in crop mode
+   * and extends past it (negative x/y) in expand mode.
+   * @returns {Object} { x, y, width, height }
+   */
+  getVisibleRect() {
+    return this.inputHandler.getVisibleRect();
+  }
+  
+  /**
+   * Set a context's transform for drawing in canvas units: scaled by the
+   * render scale, with canvas-space 0,0 on the design origin (the drawing
+   * buffer starts at bufferRect.x/y in expand mode)
+   * @param {CanvasRenderingContext2D} ctx - Main canvas or same-sized buffer context
+   */
+  applyViewTransform(ctx) {
+    const scale = this.renderScale;
+    ctx.setTransform(scale, 0, 0, scale, -this.bufferRect.x * scale, -this.bufferRect.y * scale);
+  }
+  
+  /**
+   * Size the backing store for the current render scale
+   * @private
+   */
+  _applyRenderScale() {
+    const base = this.renderScaleSetting !== null
+      ? this.renderScaleSetting
+      : this.displayScale * (window.devicePixelRatio || 1) * this.quality;
+    const { min, max } = Engine.RENDER_SCALE;
     
-    // Center the canvas
-    const offsetX = (containerWidth - scaledWidth) / 2;
-    const offsetY = (containerHeight - scaledHeight) / 2;
+    // Two decimals keep tiny resize jitter from reallocating the canvas
+    this.renderScale = Math.round(Math.max(min, Math.min(max, base * this.autoRenderScale.factor)) * 100) / 100;
     
-    // Apply CSS transform for centering (handled by CSS object-fit: contain)
-    // The InputHandler will handle coordinate transformation
-    this.inputHandler.updateTransform();
+    const pixelWidth = Math.round(this.bufferRect.width * this.renderScale);
+    const pixelHeight = Math.round(this.bufferRect.height * this.renderScale);
+    if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+      this.canvas.width = pixelWidth;
+      this.canvas.height = pixelHeight;
+    }
+  }
+  
+  /**
+   * Smooth the frame time and step the automatic render scale
+   * @private
+   */
+  _trackFrameTime(deltaTime) {
+    this.frameTime += (deltaTime - this.frameTime) * 0.1;
+    
+    const auto = this.autoRenderScale;
+    if (!auto.enabled) return;
+    
+    if (this.frameTime > auto.budget) {
+      auto.slowTime += deltaTime;
+      auto.fastTime = 0;
+    } else if (this.frameTime < auto.budget * 0.9) {
+      auto.fastTime += deltaTime;
+      auto.slowTime = 0;
+    } else {
+      auto.slowTime = 0;
+      auto.fastTime = 0;
+    }
+    
+    if (auto.slowTime >= auto.lowerAfter && this.renderScale > Engine.RENDER_SCALE.min) {
+      auto.factor = Math.max(auto.step, auto.factor - auto.step);
+      auto.slowTime = 0;
+      this._applyRenderScale();
+    } else if (auto.fastTime >= auto.raiseAfter && auto.factor < 1) {
+      auto.factor = Math.min(1, auto.factor + auto.step);
+      auto.fastTime = 0;
+      this._applyRenderScale();
+    }
+  }
+  
+  /**
+   * Resolve a quality name or factor
+   * @private
+   */
+  static _qualityFactor(quality) {
+    if (typeof quality === 'number') {
+      return Math.max(0.1, Math.min(1, quality));
+    }
+    if (Engine.QUALITY[quality] === undefined) {
+      console.warn(`[Engine] Unknown quality: ${quality}`);
+      return 1;
+    }
+    return Engine.QUALITY[quality];
+  }
+  
+  /**
+   * Style the canvas container with the letterbox color/image
+   * @private
+   */
+  _applyLetterbox(container) {
+    const style = container.style;
+    style.backgroundColor = this.letterbox.color;
+    style.backgroundImage = this.letterbox.image ? `url("${this.letterbox.image}")` : '';
+    style.backgroundSize = 'cover';
+    style.backgroundPosition = 'center';
   }
   
   /**
@@ -110,6 +367,7 @@ export class Engine {
     
     // Clamp deltaTime to prevent huge jumps (e.g., after tab was backgrounded)
     deltaTime = Math.min(deltaTime, 0.1); // Max 100ms
+    this._trackFrameTime(deltaTime);
     
     // Update game logic
     this.update(deltaTime);
@@ -134,17 +392,79 @@ export class Engine {
     
     // Update Scene (can now check pressed/released flags)
     this.sceneManager.update(deltaTime);
+    
+    // Camera follows targets after they moved this frame
+    this.camera.update(deltaTime);
   }
   
   /**
    * Draw frame
    */
   draw() {
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.width, this.height);
+    // Clear the whole buffer (larger than the design area in expand mode)
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.applyViewTransform(this.ctx);
+    
+    // Render all layers (SceneManager blends scenes during transitions)
+    this.layerManager.resetRenderStats();
+    this.sceneManager.render(this.ctx);
+    
+    // Camera flash over everything
+    this.camera.renderEffects(this.ctx);
+  }
+  
+  /**
+   * Create a named object pool wired to this engine's LayerManager
+   * @param {string} name - Pool name (used for lookup and debug stats)
+   * @param {Function} factory - Function that creates new instances
+   * @param {Function} reset - Function that resets an instance for reuse
+   * @param {number} initialSize - Pre-allocate this many objects
+   * @param {Object} options - ObjectPool options (layer, maxSize)
+   * @returns {ObjectPool}
+   */
+  createPool(name, factory, reset = null, initialSize = 20, options = {}) {
+    if (this.pools.has(name)) {
+      console.warn(`Pool already exists: ${name}`);
+      return this.pools.get(name);
+    }
     
-    // Render all layers
-    this.layerManager.render(this.ctx);
+    const pool = new ObjectPool(factory, reset, initialSize, {
+      layerManager: this.layerManager,
+      ...options,
+      name
+    });
+    this.pools.set(name, pool);
+    return pool;
+  }
+  
+  /**
+   * Get a named object pool
+   * @param {string} name - Pool name
+   * @returns {ObjectPool|null}
+   */
+  getPool(name) {
+    return this.pools.get(name) || null;
+  }
+  
+  /**
+   * Release all objects of a named pool and forget it
+   * @param {string} name - Pool name
+   */
+  destroyPool(name) {
+    const pool = this.pools.get(name);
+    if (pool) {
+      pool.releaseAll();
+      this.pools.delete(name);
+    }
+  }
+  
+  /**
+   * Get live/free counts for every named pool
+   * @returns {Array<{name: string, layer: string|null, active: number, free: number, total: number}>}
+   */
+  getPoolStats() {
+    return Array.from(this.pools.values()).map(pool => pool.getStats());
   }
   
   /**
@@ -186,4 +506,37 @@ export class Engine {
   getAssetLoader() {
     return this.assetLoader;
   }
+  
+  /**
+   * Get save manager
+   * @returns {SaveManager}
+   */
+  getSaveManager() {
+    return this.saveManager;
+  }
 }
+
+/**
+ * Supported scale modes
+ */
+Engine.SCALE_MODES = ['letterbox', 'crop', 'expand', 'integer'];
+
+/**
+ * Render scale limits (backing-store pixels per canvas unit)
+ */
+Engine.RENDER_SCALE = { min: 0.5, max: 2 };
+
+/**
+ * Named render quality factors
+ */
+Engine.QUALITY = { low: 0.5, medium: 0.75, high: 1 };
+
+/**
+ * Automatic render scale defaults
+ */
+Engine.AUTO_RENDER_SCALE = {
+  budget: 1 / 50,  // Seconds per frame before scaling down (some slack over 60fps)
+  lowerAfter: 1,   // Seconds over budget before each step down
+  raiseAfter: 10,  // Seconds under budget before each step back up
+  step: 0.1        // Factor change per step
+};
@@ -0,0 +1,295 @@
+/**
+ * GestureRecognizer - Turns pointer tracking into gestures
+ * Fed by InputHandler (touches and mouse) with positions in canvas coordinates.
+ *
+ * Gestures (event.type):
+ * - tap, doubleTap, longPress        : { x, y }
+ * - swipe                            : { x, y, direction, velocity, vx, vy, distance }
+ *                                      (also fired as swipeUp/Down/Left/Right)
+ * - dragStart, drag, dragEnd         : { x, y, startX, startY, dx, dy }
+ * - pinch                            : { x, y, scale, deltaScale }  (two fingers)
+ * - rotate                           : { x, y, rotation, deltaRotation } (radians, two fingers)
+ *
+ * Thresholds are in canvas pixels and seconds (see GestureRecognizer.DEFAULTS).
+ */
+export class GestureRecognizer {
+  /**
+   * @param {Function} emit - Callback(event) for every recognized gesture
+   * @param {Object} options - Threshold overrides (see DEFAULTS)
+   */
+  constructor(emit, options = {}) {
+    this.emit = emit;
+    this.options = { ...GestureRecognizer.DEFAULTS, ...options };
+
+    this.pointers = new Map(); // id -> pointer state
+    this.multiTouch = false;   // Two-finger gesture in progress (until all fingers lift)
+    this.twoFinger = null;     // { startDistance, startAngle, scale, rotation }
+    this.lastTap = null;       // { x, y, time } for double-tap detection
+  }
+
+  /**
+   * Change thresholds
+   * @param {Object} options - Threshold overrides
+   */
+  configure(options) {
+    Object.assign(this.options, options);
+  }
+
+  /**
+   * A pointer went down
+   * @param {string|number} id - Pointer id (touch identifier or 'mouse')
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   */
+  pointerDown(id, x, y) {
+    const time = this._now();
+    this.pointers.set(id, {
+      startX: x, startY: y,
+      x, y,
+      startTime: time,
+      dragging: false,
+      longPressed: false
+    });
+
+    if (this.pointers.size === 2) {
+      // Second finger: switch to pinch/rotate for the rest of this touch
+      for (const pointer of this.pointers.values()) {
+        if (pointer.dragging) {
+          pointer.dragging = false;
+          this._emitPointer('dragEnd', pointer);
+        }
+      }
+      this.multiTouch = true;
+      const [a, b] = this._firstTwo();
+      this.twoFinger = {
+        startDistance: Math.max(1, this._distance(a, b)),
+        startAngle: this._angle(a, b),
+        scale: 1,
+        rotation: 0
+      };
+    }
+  }
+
+  /**
+   * A pointer moved
+   * @param {string|number} id - Pointer id
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   */
+  pointerMove(id, x, y) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return;
+
+    pointer.x = x;
+    pointer.y = y;
+
+    if (this.multiTouch) {
+      if (this.pointers.size >= 2) {
+        this._updateTwoFinger();
+      }
+      return;
+    }
+
+    const dx = x - pointer.startX;
+    const dy = y - pointer.startY;
+
+    if (!pointer.dragging && !pointer.longPressed && Math.hypot(dx, dy) > this.options.dragThreshold) {
+      pointer.dragging = true;
+      this._emitPointer('dragStart', pointer);
+    }
+    if (pointer.dragging) {
+      this._emitPointer('drag', pointer);
+    }
+  }
+
+  /**
+   * A pointer lifted
+   * @param {string|number} id - Pointer id
+   */
+  pointerUp(id) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return;
+    this.pointers.delete(id);
+
+    if (this.multiTouch) {
+      // Single-finger gestures stay off until every finger has lifted
+      if (this.pointers.size === 0) {
+        this.multiTouch = false;
+        this.twoFinger = null;
+      }
+      return;
+    }
+
+    const opts = this.options;
+    const time = this._now();
+    const duration = Math.max(0.001, (time - pointer.startTime) / 1000);
+    const dx = pointer.x - pointer.startX;
+    const dy = pointer.y - pointer.startY;
+    const distance = Math.hypot(dx, dy);
+    const velocity = distance / duration;
+
+    if (pointer.dragging) {
+      this._emitPointer('dragEnd', pointer);
+    }
+
+    if (distance >= opts.swipeMinDistance && velocity >= opts.swipeMinVelocity && duration <= opts.swipeMaxDuration) {
+      const direction = Math.abs(dx) > Math.abs(dy)
+        ? (dx > 0 ? 'right' : 'left')
+        : (dy > 0 ? 'down' : 'up');
+
+      this._emit({
+        type: 'swipe',
+        x: pointer.x,
+        y: pointer.y,
+        startX: pointer.startX,
+        startY: pointer.startY,
+        direction,
+        velocity,
+        vx: dx / duration,
+        vy: dy / duration,
+        distance
+      });
+      return;
+    }
+
+    if (pointer.longPressed || pointer.dragging) return;
+    if (distance > opts.tapMaxDistance || duration > opts.tapMaxDuration) return;
+
+    this._emit({ type: 'tap', x: pointer.x, y: pointer.y });
+
+    const last = this.lastTap;
+    if (last &&
+        time - last.time <= opts.doubleTapInterval * 1000 &&
+        Math.hypot(pointer.x - last.x, pointer.y - last.y) <= opts.doubleTapDistance) {
+      this._emit({ type: 'doubleTap', x: pointer.x, y: pointer.y });
+      this.lastTap = null; // A third tap starts a new pair
+    } else {
+      this.lastTap = { x: pointer.x, y: pointer.y, time };
+    }
+  }
+
+  /**
+   * Forget all pointers (e.g. input blocked)
+   */
+  cancel() {
+    this.pointers.clear();
+    this.multiTouch = false;
+    this.twoFinger = null;
+  }
+
+  /**
+   * Check time-based gestures (long press); call once per frame
+   */
+  update() {
+    if (this.multiTouch || this.pointers.size !== 1) return;
+
+    const time = this._now();
+    for (const pointer of this.pointers.values()) {
+      if (pointer.longPressed || pointer.dragging) continue;
+
+      const moved = Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY);
+      if (moved <= this.options.tapMaxDistance &&
+          time - pointer.startTime >= this.options.longPressDuration * 1000) {
+        pointer.longPressed = true;
+        this._emit({ type: 'longPress', x: pointer.x, y: pointer.y });
+      }
+    }
+  }
+
+  /**
+   * Emit pinch/rotate from the first two pointers
+   * @private
+   */
+  _updateTwoFinger() {
+    const [a, b] = this._firstTwo();
+    const state = this.twoFinger;
+    const x = (a.x + b.x) / 2;
+    const y = (a.y + b.y) / 2;
+
+    const scale = this._distance(a, b) / state.startDistance;
+    if (Math.abs(scale - state.scale) >= this.options.pinchThreshold) {
+      const deltaScale = scale / state.scale;
+      state.scale = scale;
+      this._emit({ type: 'pinch', x, y, scale, deltaScale });
+    }
+
+    // Keep rotation continuous across the -PI/PI wrap
+    let rotation = this._angle(a, b) - state.startAngle;
+    rotation = Math.atan2(Math.sin(rotation), Math.cos(rotation));
+    if (Math.abs(rotation - state.rotation) >= this.options.rotateThreshold * Math.PI / 180) {
+      const deltaRotation = rotation - state.rotation;
+      state.rotation = rotation;
+      this._emit({ type: 'rotate', x, y, rotation, deltaRotation });
+    }
+  }
+
+  /**
+   * Emit a drag-type event for a pointer
+   * @private
+   */
+  _emitPointer(type, pointer) {
+    this._emit({
+      type,
+      x: pointer.x,
+      y: pointer.y,
+      startX: pointer.startX,
+      startY: pointer.startY,
+      dx: pointer.x - pointer.startX,
+      dy: pointer.y - pointer.startY
+    });
+  }
+
+  /**
+   * @private
+   */
+  _emit(event) {
+    event.time = this._now();
+    this.emit(event);
+  }
+
+  /**
+   * @private
+   */
+  _firstTwo() {
+    const iterator = this.pointers.values();
+    return [iterator.next().value, iterator.next().value];
+  }
+
+  /**
+   * @private
+   */
+  _distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  }
+
+  /**
+   * @private
+   */
+  _angle(a, b) {
+    return Math.atan2(b.y - a.y, b.x - a.x);
+  }
+
+  /**
+   * @private
+   */
+  _now() {
+    return performance.now();
+  }
+}
+
+/**
+ * Default thresholds (canvas pixels, seconds, degrees)
+ */
+GestureRecognizer.DEFAULTS = {
+  tapMaxDistance: 20,      // Max movement for tap / long press
+  tapMaxDuration: 0.3,     // Max press time for tap
+  doubleTapInterval: 0.3,  // Max time between taps
+  doubleTapDistance: 60,   // Max distance between taps
+  longPressDuration: 0.5,  // Hold time for long press
+  dragThreshold: 20,       // Movement before a drag starts
+  swipeMinDistance: 80,
+  swipeMinVelocity: 400,   // Pixels per second
+  swipeMaxDuration: 0.5,
+  pinchThreshold: 0.01,    // Min scale change per pinch event
+  rotateThreshold: 1       // Min rotation change per rotate event (degrees)
+};
@@ -1,3 +1,5 @@
+import { GestureRecognizer } from './GestureRecognizer.js';
+
 /**
  * InputHandler - Manages input events and coordinate mapping
  * Handles screen-to-canvas coordinate transformation for 1080x1920 internal resolution
@@ -9,25 +11,103 @@ export class InputHandler {
     this.internalHeight = internalHeight;
     
     // Input state
+    this.initState();
+    
+    // When blocked (e.g. during scene transitions) new input is ignored
+    this.blocked = false;
+    
+    // Action mapping: defaults (code / scene JSON) and player rebinds (persisted)
+    this.actionBindings = {};
+    this.userBindings = {};
+    this.boundKeys = new Set(); // Keys whose browser default is prevented
+    this.keyCaptures = [];      // Pending captureNextKey() resolvers
+    this.onBindingsChange = null; // Callback(userBindings) (SaveManager persists it)
+    this.defineActions(InputHandler.DEFAULT_ACTIONS);
+    
+    // Gestures recognized from touches and the mouse
+    this.gestures = new GestureRecognizer((event) => this._onGesture(event));
+    this.gestureListeners = new Map(); // type -> Set of handlers
+    
+    // Gamepads polled in update() (kept across setBlocked, which only hides them)
+    this.gamepads = new Map();        // pad index -> polled state
+    this.reservedGamepads = new Set(); // Pads only bindings naming them with `pad` read
+    this.gamepadDeadZone = 0.15;
+    this.gamepadListeners = new Map(); // 'connected' | 'disconnected' -> Set of handlers
+    
+    // Coordinate transformation cache
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    
+    // Canvas-space area the drawing buffer covers (wider than the design size
+    // in the engine's 'expand' scale mode) and the part of it on screen
+    this.bufferRect = { x: 0, y: 0, width: internalWidth, height: internalHeight };
+    this.visibleRect = { x: 0, y: 0, width: internalWidth, height: internalHeight };
+    
+    // Camera for world coordinates (set by Engine)
+    this.camera = null;
+    
+    this.setupEventListeners();
+    this.updateTransform();
+  }
+  
+  /**
+   * Initialize (or clear) all input state
+   */
+  initState() {
     this.keys = {};
+    this.keysPressed = {};  // Went down this frame (one-shot)
+    this.keysReleased = {}; // Went up this frame (one-shot)
+    this.keyPressTimes = {}; // code -> performance.now() of the last press (input buffering)
+    this.virtualKeys = {};   // code -> number of on-screen controls holding it
     this.mouse = {
       x: 0,
       y: 0,
       down: false,
       pressed: false,
-      released: false
+      released: false,
+      touch: false // Mirroring the first touch rather than a real mouse
     };
     
     this.touches = [];
     this.touchStartPositions = [];
+    this.endedTouches = []; // Touches lifted this frame (one-shot) {id, x, y}
     
-    // Coordinate transformation cache
-    this.scale = 1;
-    this.offsetX = 0;
-    this.offsetY = 0;
+    // Pointer id ('mouse' or touch id) -> the button or control that captured it
+    this.pointerOwners = new Map();
     
-    this.setupEventListeners();
-    this.updateTransform();
+    // Per-frame action states and gestures fired this frame
+    this.actionState = {};
+    this.firedGestures = new Set();
+    this.gestureEvents = [];
+  }
+  
+  /**
+   * Create a read-only view with the same API but no input
+   * Given to scenes covered by an overlay so only the top scene sees input
+   * @returns {InputHandler} Input view that never receives events
+   */
+  createIdleView() {
+    const view = Object.create(InputHandler.prototype);
+    view.canvas = this.canvas;
+    
+    // Screen mapping follows the live handler, so it stays right after a resize
+    for (const key of ['internalWidth', 'internalHeight', 'scale', 'offsetX', 'offsetY', 'bufferRect', 'visibleRect', 'camera']) {
+      Object.defineProperty(view, key, { get: () => this[key], enumerable: true });
+    }
+    view.blocked = true;
+    view.actionBindings = this.actionBindings;
+    view.userBindings = this.userBindings;
+    view.boundKeys = this.boundKeys;
+    view.keyCaptures = [];
+    view.gestures = this.gestures;
+    view.gestureListeners = new Map();
+    view.gamepads = new Map();
+    view.reservedGamepads = this.reservedGamepads;
+    view.gamepadDeadZone = this.gamepadDeadZone;
+    view.gamepadListeners = new Map();
+    view.initState();
+    return view;
   }
   
   /**
@@ -37,6 +117,7 @@ export class InputHandler {
     const rect = this.canvas.getBoundingClientRect();
     const canvasWidth = rect.width;
     const canvasHeight = rect.height;
+    const buffer = this.bufferRect;
     
     // Guard against zero dimensions (canvas not yet laid out)
     if (canvasWidth === 0 || canvasHeight === 0) {
@@ -44,12 +125,13 @@ export class InputHandler {
       this.scale = 1;
       this.offsetX = 0;
       this.offsetY = 0;
+      this.visibleRect = { x: 0, y: 0, width: this.internalWidth, height: this.internalHeight };
       return;
     }
     
     // Calculate scale to maintain aspect ratio
-    const scaleX = canvasWidth / this.internalWidth;
-    const scaleY = canvasHeight / this.internalHeight;
+    const scaleX = canvasWidth / buffer.width;
+    const scaleY = canvasHeight / buffer.height;
     this.scale = Math.min(scaleX, scaleY);
     
     // Ensure scale is never zero (additional safety)
@@ -57,22 +139,58 @@ export class InputHandler {
       this.scale = 1;
     }
     
-    // Calculate offsets for centering
-    const scaledWidth = this.internalWidth * this.scale;
-    const scaledHeight = this.internalHeight * this.scale;
-    this.offsetX = (canvasWidth - scaledWidth) / 2;
-    this.offsetY = (canvasHeight - scaledHeight) / 2;
+    // Calculate offsets for centering (offsets locate canvas-space 0,0)
+    const scaledWidth = buffer.width * this.scale;
+    const scaledHeight = buffer.height * this.scale;
+    this.offsetX = (canvasWidth - scaledWidth) / 2 - buffer.x * this.scale;
+    this.offsetY = (canvasHeight - scaledHeight) / 2 - buffer.y * this.scale;
+    
+    // On-screen part of the buffer (smaller than the buffer when cropped by the window)
+    const left = Math.max(rect.left, 0);
+    const top = Math.max(rect.top, 0);
+    const right = Math.min(rect.left + canvasWidth, window.innerWidth || rect.left + canvasWidth);
+    const bottom = Math.min(rect.top + canvasHeight, window.innerHeight || rect.top + canvasHeight);
+    const visibleLeft = Math.max(buffer.x, (left - rect.left - this.offsetX) / this.scale);
+    const visibleTop = Math.max(buffer.y, (top - rect.top - this.offsetY) / this.scale);
+    const visibleRight = Math.min(buffer.x + buffer.width, (right - rect.left - this.offsetX) / this.scale);
+    const visibleBottom = Math.min(buffer.y + buffer.height, (bottom - rect.top - this.offsetY) / this.scale);
+    this.visibleRect = {
+      x: visibleLeft,
+      y: visibleTop,
+      width: Math.max(0, visibleRight - visibleLeft),
+      height: Math.max(0, visibleBottom - visibleTop)
+    };
+  }
+  
+  /**
+   * Set the canvas-space area the drawing buffer covers (Engine scale modes)
+   * @param {Object} rect - { x, y, width, height }
+   */
+  setBufferRect(rect) {
+    this.bufferRect = { ...rect };
+    this.updateTransform();
+  }
+  
+  /**
+   * Get the part of canvas space currently on screen
+   * Equals the 1080x1920 design area in letterbox mode; smaller when cropped,
+   * larger (negative x/y) when the engine expands the view.
+   * @returns {Object} { x, y, width, height }
+   */
+  getVisibleRect() {
+    return { ...this.visibleRect };
   }
   
   /**
    * Convert screen coordinates to canvas coordinates
-   * Clamps to [0, internalWidth] and [0, internalHeight] (inclusive)
+   * Clamps to the visible rect (inclusive) - [0, internalWidth] x [0, internalHeight] in letterbox mode
    * Exclusive boundary semantics are handled by collision detection (Sprite.contains, Button.checkClick)
    * @param {number} screenX - Screen X coordinate
    * @param {number} screenY - Screen Y coordinate
+   * @param {boolean} clamp - Clamp to the visible rect (default: true; false maps letterbox bars too)
    * @returns {Object} Canvas coordinates {x, y}
    */
-  screenToCanvas(screenX, screenY) {
+  screenToCanvas(screenX, screenY, clamp = true) {
     const rect = this.canvas.getBoundingClientRect();
     const x = screenX - rect.left;
     const y = screenY - rect.top;
@@ -81,54 +199,103 @@ export class InputHandler {
     const canvasX = (x - this.offsetX) / this.scale;
     const canvasY = (y - this.offsetY) / this.scale;
     
-    // Clamp to canvas bounds (inclusive)
+    if (!clamp) {
+      return { x: canvasX, y: canvasY };
+    }
+    
+    // Clamp to visible bounds (inclusive)
     // Note: Exclusive boundary semantics for collision detection are enforced
     // by Sprite.contains() and Button.checkClick(), not here
+    const visible = this.visibleRect;
     return {
-      x: Math.max(0, Math.min(this.internalWidth, canvasX)),
-      y: Math.max(0, Math.min(this.internalHeight, canvasY))
+      x: Math.max(visible.x, Math.min(visible.x + visible.width, canvasX)),
+      y: Math.max(visible.y, Math.min(visible.y + visible.height, canvasY))
     };
   }
   
+  /**
+   * Convert canvas coordinates to world coordinates through the camera
+   * @param {number} x - Canvas X (e.g. mouse.x or a touch's x)
+   * @param {number} y - Canvas Y
+   * @returns {Object} World coordinates {x, y} (unchanged without a camera)
+   */
+  canvasToWorld(x, y) {
+    return this.camera ? this.camera.canvasToWorld(x, y) : { x, y };
+  }
+  
+  /**
+   * Convert screen coordinates to world coordinates
+   * @param {number} screenX - Screen X coordinate
+   * @param {number} screenY - Screen Y coordinate
+   * @returns {Object} World coordinates {x, y}
+   */
+  screenToWorld(screenX, screenY) {
+    const point = this.screenToCanvas(screenX, screenY);
+    return this.canvasToWorld(point.x, point.y);
+  }
+  
+  /**
+   * Get the mouse/primary touch position in world coordinates
+   * @returns {Object} World coordinates {x, y}
+   */
+  getPointerWorld() {
+    return this.canvasToWorld(this.mouse.x, this.mouse.y);
+  }
+  
   /**
    * Setup event listeners for keyboard, mouse, and touch
    */
   setupEventListeners() {
-    // Define game keys that should prevent default behavior
-    // Only these specific keys are blocked - all others (typing, etc.) work normally
-    const GAME_KEYS = new Set([
-      'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
-      'Space', 'Enter',
-      'KeyW', 'KeyA', 'KeyS', 'KeyD'
-    ]);
-    
-    // Keyboard events - only prevent default for specific game keys
+    // Keyboard events - only prevent default for keys bound to actions
     window.addEventListener('keydown', (e) => {
-      this.keys[e.code] = true;
+      // Rebinding menus capture the next key instead of the game
+      if (this.keyCaptures.length > 0) {
+        const resolve = this.keyCaptures.shift();
+        resolve(e.code === 'Escape' ? null : { type: 'key', code: e.code });
+        e.preventDefault();
+        return;
+      }
       
-      // Only prevent default for specific game keys
+      // OS key repeat is not a new press
+      if (!this.blocked && !e.repeat && !this.keys[e.code]) {
+        this.keys[e.code] = true;
+        this.keysPressed[e.code] = true;
+        this.keyPressTimes[e.code] = performance.now();
+      }
+      
+      // Only prevent default for bound keys
       // This allows text input, search, and other keyboard features to work
-      if (GAME_KEYS.has(e.code) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      if (this.boundKeys.has(e.code) && !e.ctrlKey && !e.metaKey && !e.altKey) {
         e.preventDefault();
       }
     });
     
     window.addEventListener('keyup', (e) => {
-      this.keys[e.code] = false;
+      // An on-screen control still holding the key keeps it down
+      if (this.keys[e.code] && !this.virtualKeys[e.code]) {
+        this.keys[e.code] = false;
+        this.keysReleased[e.code] = true;
+      }
       
-      // Only prevent default for specific game keys
-      if (GAME_KEYS.has(e.code) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      // Only prevent default for bound keys
+      if (this.boundKeys.has(e.code) && !e.ctrlKey && !e.metaKey && !e.altKey) {
         e.preventDefault();
       }
     });
     
     // Mouse events
     this.canvas.addEventListener('mousedown', (e) => {
+      if (this.blocked) {
+        e.preventDefault();
+        return;
+      }
       const coords = this.screenToCanvas(e.clientX, e.clientY);
       this.mouse.x = coords.x;
       this.mouse.y = coords.y;
       this.mouse.down = true;
       this.mouse.pressed = true;
+      this.mouse.touch = false;
+      this.gestures.pointerDown('mouse', coords.x, coords.y);
       e.preventDefault();
     });
     
@@ -136,12 +303,20 @@ export class InputHandler {
       const coords = this.screenToCanvas(e.clientX, e.clientY);
       this.mouse.x = coords.x;
       this.mouse.y = coords.y;
+      this.mouse.touch = false;
+      if (this.mouse.down) {
+        this.gestures.pointerMove('mouse', coords.x, coords.y);
+      }
       e.preventDefault();
     });
     
     this.canvas.addEventListener('mouseup', (e) => {
-      this.mouse.down = false;
-      this.mouse.released = true;
+      if (this.mouse.down) {
+        this.mouse.down = false;
+        this.mouse.released = true;
+        this.pointerOwners.delete('mouse');
+        this.gestures.pointerUp('mouse');
+      }
       e.preventDefault();
     });
     
@@ -150,6 +325,8 @@ export class InputHandler {
       if (this.mouse.down) {
         this.mouse.down = false;
         this.mouse.released = true;
+        this.pointerOwners.delete('mouse');
+        this.gestures.pointerUp('mouse');
       }
     });
     
@@ -160,6 +337,11 @@ export class InputHandler {
     
     // Touch events
     this.canvas.addEventListener('touchstart', (e) => {
+      if (this.blocked) {
+        e.preventDefault();
+        return;
+      }
+      
       // Process only new touches from changedTouches to preserve existing touch start positions
       Array.from(e.changedTouches).forEach((touch) => {
         const coords = this.screenToCanvas(touch.clientX, touch.clientY);
@@ -177,6 +359,7 @@ export class InputHandler {
           x: coords.x,
           y: coords.y
         });
+        this.gestures.pointerDown(touch.identifier, coords.x, coords.y);
       });
       
       if (this.touches.length > 0) {
@@ -184,6 +367,7 @@ export class InputHandler {
         this.mouse.y = this.touches[0].y;
         this.mouse.down = true;
         this.mouse.pressed = true;
+        this.mouse.touch = true;
       }
       
       e.preventDefault();
@@ -193,8 +377,11 @@ export class InputHandler {
       this.touches = [];
       
       Array.from(e.touches).forEach((touch) => {
-        const coords = this.screenToCanvas(touch.clientX, touch.clientY);
         const startPos = this.touchStartPositions.find(t => t.id === touch.identifier);
+        // Skip touches that started while input was blocked
+        if (!startPos) return;
+        
+        const coords = this.screenToCanvas(touch.clientX, touch.clientY);
         this.touches.push({
           id: touch.identifier,
           x: coords.x,
@@ -202,6 +389,7 @@ export class InputHandler {
           startX: startPos ? startPos.x : coords.x,
           startY: startPos ? startPos.y : coords.y
         });
+        this.gestures.pointerMove(touch.identifier, coords.x, coords.y);
       });
       
       if (this.touches.length > 0) {
@@ -212,7 +400,7 @@ export class InputHandler {
       e.preventDefault();
     });
     
-    this.canvas.addEventListener('touchend', (e) => {
+    const onTouchEnd = (e) => {
       // Remove ended touches from touches array
       this.touches = this.touches.filter(touch => {
         return Array.from(e.changedTouches).every(changed => changed.identifier !== touch.id);
@@ -220,17 +408,48 @@ export class InputHandler {
       
       // Clean up corresponding touch start positions to prevent memory leak
       Array.from(e.changedTouches).forEach(changedTouch => {
+        const tracked = this.touchStartPositions.some(startPos => startPos.id === changedTouch.identifier);
         this.touchStartPositions = this.touchStartPositions.filter(
           startPos => startPos.id !== changedTouch.identifier
         );
+        this.pointerOwners.delete(changedTouch.identifier);
+        this.gestures.pointerUp(changedTouch.identifier);
+        
+        // Lifted (not cancelled by the system): buttons captured by it may click
+        if (tracked && e.type === 'touchend') {
+          const coords = this.screenToCanvas(changedTouch.clientX, changedTouch.clientY);
+          this.endedTouches.push({ id: changedTouch.identifier, x: coords.x, y: coords.y });
+        }
       });
       
-      if (this.touches.length === 0) {
+      if (this.touches.length === 0 && this.mouse.down) {
         this.mouse.down = false;
         this.mouse.released = true;
       }
       
       e.preventDefault();
+    };
+    this.canvas.addEventListener('touchend', onTouchEnd);
+    this.canvas.addEventListener('touchcancel', onTouchEnd);
+    
+    // Release held keys when focus is lost (no keyup arrives while backgrounded)
+    window.addEventListener('blur', () => {
+      this.releaseAllKeys();
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.releaseAllKeys();
+      }
+    });
+    
+    // Gamepads are also picked up by polling (some browsers only expose them after a button press)
+    window.addEventListener('gamepadconnected', (e) => {
+      if (!this.gamepads.has(e.gamepad.index)) {
+        this._connectGamepad(e.gamepad);
+      }
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+      this._disconnectGamepad(e.gamepad.index);
     });
     
     // Window resize - update transform
@@ -248,6 +467,108 @@ export class InputHandler {
     return this.keys[code] === true;
   }
   
+  /**
+   * Check if a key went down this frame
+   * @param {string} code - Key code
+   * @returns {boolean}
+   */
+  wasKeyPressed(code) {
+    return this.keysPressed[code] === true;
+  }
+  
+  /**
+   * Check if a key went up this frame
+   * @param {string} code - Key code
+   * @returns {boolean}
+   */
+  wasKeyReleased(code) {
+    return this.keysReleased[code] === true;
+  }
+  
+  /**
+   * Check if a key was pressed within the last few seconds (input buffering)
+   * @param {string} code - Key code
+   * @param {number} seconds - Buffer window in seconds
+   * @returns {boolean}
+   */
+  wasKeyPressedWithin(code, seconds) {
+    const time = this.keyPressTimes[code];
+    return time !== undefined && performance.now() - time <= seconds * 1000;
+  }
+  
+  /**
+   * Get the time of a key's last press
+   * @param {string} code - Key code
+   * @returns {number|null} performance.now() timestamp, or null if never pressed
+   */
+  getKeyPressTime(code) {
+    const time = this.keyPressTimes[code];
+    return time !== undefined ? time : null;
+  }
+  
+  /**
+   * Release every held key (reported as released this frame)
+   * Called on window blur so keys don't stick while the app is backgrounded
+   */
+  releaseAllKeys() {
+    for (const code of Object.keys(this.keys)) {
+      if (this.keys[code]) {
+        this.keys[code] = false;
+        this.keysReleased[code] = true;
+      }
+    }
+    this.virtualKeys = {};
+  }
+  
+  /**
+   * Hold a key from an on-screen control (VirtualJoystick, VirtualDPad, VirtualButton)
+   * The key reads exactly like a keyboard key, including actions bound to it.
+   * Each press must be paired with releaseVirtualKey(); the key goes up when the
+   * last control holding it lets go.
+   * @param {string} code - Key code (e.g. 'ArrowUp')
+   * @returns {boolean} False if input is blocked
+   */
+  pressVirtualKey(code) {
+    if (this.blocked) return false;
+    
+    this.virtualKeys[code] = (this.virtualKeys[code] || 0) + 1;
+    if (!this.keys[code]) {
+      this.keys[code] = true;
+      this.keysPressed[code] = true;
+      this.keyPressTimes[code] = performance.now();
+    }
+    return true;
+  }
+  
+  /**
+   * Release a key held with pressVirtualKey()
+   * @param {string} code - Key code
+   */
+  releaseVirtualKey(code) {
+    const count = this.virtualKeys[code];
+    if (!count) return;
+    
+    if (count > 1) {
+      this.virtualKeys[code] = count - 1;
+      return;
+    }
+    
+    delete this.virtualKeys[code];
+    if (this.keys[code]) {
+      this.keys[code] = false;
+      this.keysReleased[code] = true;
+    }
+  }
+  
+  /**
+   * Check if an on-screen control holds a key
+   * @param {string} code - Key code
+   * @returns {boolean}
+   */
+  isVirtualKeyHeld(code) {
+    return !!this.virtualKeys[code];
+  }
+  
   /**
    * Check if mouse/touch is down
    * @returns {boolean}
@@ -272,12 +593,424 @@ export class InputHandler {
     return this.touches;
   }
   
+  /**
+   * Capture a pointer for one button or control, so others ignore it
+   * @param {string|number} id - 'mouse' or a touch id
+   * @param {Object} owner - Capturing entity
+   * @returns {boolean} False if another entity already captured it
+   */
+  claimPointer(id, owner) {
+    const current = this.pointerOwners.get(id);
+    if (current && current !== owner) return false;
+    
+    this.pointerOwners.set(id, owner);
+    return true;
+  }
+  
+  /**
+   * Let go of a captured pointer (pointers are also freed when they end)
+   * @param {string|number} id - 'mouse' or a touch id
+   * @param {Object} owner - Entity that captured it
+   */
+  releasePointer(id, owner) {
+    if (this.pointerOwners.get(id) === owner) {
+      this.pointerOwners.delete(id);
+    }
+  }
+  
+  /**
+   * Entity that captured a pointer
+   * @param {string|number} id - 'mouse' or a touch id
+   * @returns {Object|null}
+   */
+  getPointerOwner(id) {
+    return this.pointerOwners.get(id) || null;
+  }
+  
+  /**
+   * Define default bindings for actions (keeps other actions)
+   * Bindings: key code strings ('KeyW'), 'gamepad:A', 'gesture:swipeUp',
+   * or objects { type: 'key'|'pointer'|'gesture'|'gamepad', ... }
+   * @param {Object<string, Array>} actions - Map of action name -> bindings
+   */
+  defineActions(actions) {
+    for (const [name, bindings] of Object.entries(actions)) {
+      this.actionBindings[name] = InputHandler.normalizeBindings(bindings);
+    }
+    this._refreshBoundKeys();
+  }
+  
+  /**
+   * Remove actions defined with defineActions() (user rebinds are kept)
+   * @param {string[]} names - Action names
+   */
+  removeActions(names) {
+    for (const name of names) {
+      delete this.actionBindings[name];
+      delete this.actionState[name];
+    }
+    this._refreshBoundKeys();
+  }
+  
+  /**
+   * Add a default binding to an action
+   * @param {string} name - Action name
+   * @param {string|Object} binding - Binding (see defineActions)
+   */
+  addBinding(name, binding) {
+    const bindings = this.actionBindings[name] || [];
+    bindings.push(...InputHandler.normalizeBindings([binding]));
+    this.actionBindings[name] = bindings;
+    this._refreshBoundKeys();
+  }
+  
+  /**
+   * Replace an action's bindings at runtime (player rebinding)
+   * Rebinds override the defaults and are reported via onBindingsChange for persistence
+   * @param {string} name - Action name
+   * @param {Array} bindings - New bindings
+   */
+  rebindAction(name, bindings) {
+    this.userBindings[name] = InputHandler.normalizeBindings(bindings);
+    this._refreshBoundKeys();
+    this._bindingsChanged();
+  }
+  
+  /**
+   * Drop player rebinds, restoring default bindings
+   * @param {string} name - Action name (omit to reset all actions)
+   */
+  resetBindings(name = null) {
+    if (name) {
+      delete this.userBindings[name];
+    } else {
+      for (const key of Object.keys(this.userBindings)) {
+        delete this.userBindings[key];
+      }
+    }
+    this._refreshBoundKeys();
+    this._bindingsChanged();
+  }
+  
+  /**
+   * Get player rebinds (JSON-serializable)
+   * @returns {Object<string, Array>}
+   */
+  getUserBindings() {
+    return JSON.parse(JSON.stringify(this.userBindings));
+  }
+  
+  /**
+   * Apply persisted player rebinds (does not report a change)
+   * @param {Object<string, Array>} bindings - Map of action name -> bindings
+   */
+  setUserBindings(bindings) {
+    for (const key of Object.keys(this.userBindings)) {
+      delete this.userBindings[key];
+    }
+    for (const [name, list] of Object.entries(bindings || {})) {
+      this.userBindings[name] = InputHandler.normalizeBindings(list);
+    }
+    this._refreshBoundKeys();
+  }
+  
+  /**
+   * Get the effective bindings of an action (rebinds win over defaults)
+   * @param {string} name - Action name
+   * @returns {Array<Object>}
+   */
+  getBindings(name) {
+    return this.userBindings[name] || this.actionBindings[name] || [];
+  }
+  
+  /**
+   * Get all action names
+   * @returns {string[]}
+   */
+  getActionNames() {
+    return Array.from(new Set([...Object.keys(this.actionBindings), ...Object.keys(this.userBindings)]));
+  }
+  
+  /**
+   * Wait for the next key press (for rebinding menus)
+   * The captured key is not delivered to the game; Escape cancels
+   * @returns {Promise<Object|null>} Key binding, or null if cancelled
+   */
+  captureNextKey() {
+    return new Promise((resolve) => {
+      this.keyCaptures.push(resolve);
+    });
+  }
+  
+  /**
+   * Check if any binding of an action is held
+   * @param {string} name - Action name
+   * @returns {boolean}
+   */
+  isActionDown(name) {
+    const state = this.actionState[name];
+    return state ? state.down : false;
+  }
+  
+  /**
+   * Check if an action started this frame
+   * @param {string} name - Action name
+   * @returns {boolean}
+   */
+  wasActionPressed(name) {
+    const state = this.actionState[name];
+    return state ? state.pressed : false;
+  }
+  
+  /**
+   * Check if an action ended this frame
+   * @param {string} name - Action name
+   * @returns {boolean}
+   */
+  wasActionReleased(name) {
+    const state = this.actionState[name];
+    return state ? state.released : false;
+  }
+  
+  /**
+   * Check if an action was pressed within the last few seconds (e.g. jump buffering)
+   * @param {string} name - Action name
+   * @param {number} seconds - Buffer window in seconds
+   * @returns {boolean}
+   */
+  wasActionPressedWithin(name, seconds) {
+    const state = this.actionState[name];
+    return !!state && state.pressTime !== null && performance.now() - state.pressTime <= seconds * 1000;
+  }
+  
+  /**
+   * Consume a buffered press so it doesn't trigger twice
+   * @param {string} name - Action name
+   */
+  consumeAction(name) {
+    const state = this.actionState[name];
+    if (state) {
+      state.pressed = false;
+      state.pressTime = null;
+    }
+  }
+  
+  /**
+   * Fire a gesture for this frame (matched by gesture bindings)
+   * @param {string} gesture - Gesture name (e.g. 'swipeUp', 'doubleTap')
+   */
+  fireGesture(gesture) {
+    if (this.blocked) return;
+    this.firedGestures.add(gesture);
+  }
+  
+  /**
+   * Check if a gesture fired this frame
+   * @param {string} gesture - Gesture name (e.g. 'tap', 'swipeLeft')
+   * @returns {boolean}
+   */
+  wasGestureFired(gesture) {
+    return this.firedGestures.has(gesture);
+  }
+  
+  /**
+   * Get gesture events recognized this frame
+   * @param {string} type - Only events of this type (optional)
+   * @returns {Array<Object>} Events ({ type, x, y, ... } in canvas coordinates)
+   */
+  getGestureEvents(type = null) {
+    return type ? this.gestureEvents.filter(event => event.type === type) : this.gestureEvents;
+  }
+  
+  /**
+   * Listen for a gesture as soon as it is recognized
+   * Remove listeners in exit(): they are not tied to the scene being on top
+   * @param {string} type - Gesture type, or '*' for all
+   * @param {Function} handler - Callback(event)
+   */
+  onGesture(type, handler) {
+    if (!this.gestureListeners.has(type)) {
+      this.gestureListeners.set(type, new Set());
+    }
+    this.gestureListeners.get(type).add(handler);
+  }
+  
+  /**
+   * Remove a gesture listener
+   * @param {string} type - Gesture type
+   * @param {Function} handler - Handler passed to onGesture()
+   */
+  offGesture(type, handler) {
+    const handlers = this.gestureListeners.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+  
+  /**
+   * Change gesture thresholds
+   * @param {Object} options - See GestureRecognizer.DEFAULTS
+   */
+  configureGestures(options) {
+    this.gestures.configure(options);
+  }
+  
+  /**
+   * Get connected gamepads
+   * @returns {Array<{index: number, id: string, mapping: string}>}
+   */
+  getGamepads() {
+    return Array.from(this.gamepads.values(), ({ index, id, mapping }) => ({ index, id, mapping }));
+  }
+  
+  /**
+   * Check if a gamepad button is held
+   * @param {string|number} button - Standard-mapping name ('A', 'DPadUp', ...) or index
+   * @param {number|null} pad - Pad index (default: any pad not reserved)
+   * @returns {boolean}
+   */
+  isGamepadButtonDown(button, pad = null) {
+    const index = InputHandler._gamepadButtonIndex(button);
+    return this._gamepadsFor(pad).some(state => state.down[index] === true);
+  }
+  
+  /**
+   * Check if a gamepad button went down this frame
+   * @param {string|number} button - Button name or index
+   * @param {number|null} pad - Pad index (default: any pad not reserved)
+   * @returns {boolean}
+   */
+  wasGamepadButtonPressed(button, pad = null) {
+    const index = InputHandler._gamepadButtonIndex(button);
+    return this._gamepadsFor(pad).some(state => state.pressed[index] === true);
+  }
+  
+  /**
+   * Check if a gamepad button went up this frame
+   * @param {string|number} button - Button name or index
+   * @param {number|null} pad - Pad index (default: any pad not reserved)
+   * @returns {boolean}
+   */
+  wasGamepadButtonReleased(button, pad = null) {
+    const index = InputHandler._gamepadButtonIndex(button);
+    return this._gamepadsFor(pad).some(state => state.released[index] === true);
+  }
+  
+  /**
+   * Get an analog button value (e.g. triggers)
+   * @param {string|number} button - Button name or index
+   * @param {number|null} pad - Pad index (default: largest value of any pad not reserved)
+   * @returns {number} 0-1
+   */
+  getGamepadButtonValue(button, pad = null) {
+    const index = InputHandler._gamepadButtonIndex(button);
+    return this._gamepadsFor(pad).reduce((max, state) => Math.max(max, state.values[index] || 0), 0);
+  }
+  
+  /**
+   * Get an axis value with the dead zone applied
+   * @param {number} axis - Axis index (standard: 0/1 left stick, 2/3 right stick)
+   * @param {number|null} pad - Pad index (default: the value furthest from 0 of any pad not reserved)
+   * @returns {number} -1 to 1
+   */
+  getGamepadAxis(axis, pad = null) {
+    return this._gamepadsFor(pad).reduce((result, state) => {
+      const value = state.axes[axis] || 0;
+      return Math.abs(value) > Math.abs(result) ? value : result;
+    }, 0);
+  }
+  
+  /**
+   * Get a stick as a vector with the dead zone applied
+   * @param {string} stick - 'left' or 'right'
+   * @param {number|null} pad - Pad index (default: any pad not reserved)
+   * @returns {{x: number, y: number}}
+   */
+  getGamepadStick(stick = 'left', pad = null) {
+    const axis = stick === 'right' ? 2 : 0;
+    return { x: this.getGamepadAxis(axis, pad), y: this.getGamepadAxis(axis + 1, pad) };
+  }
+  
+  /**
+   * Set the stick dead zone
+   * @param {number} deadZone - 0-1 (default 0.15)
+   */
+  setGamepadDeadZone(deadZone) {
+    this.gamepadDeadZone = Math.max(0, Math.min(0.95, deadZone));
+  }
+  
+  /**
+   * Reserve a pad (e.g. for a second local player)
+   * Reserved pads only drive bindings and queries that name them with `pad`
+   * @param {number} index - Pad index
+   */
+  reserveGamepad(index) {
+    this.reservedGamepads.add(index);
+  }
+  
+  /**
+   * Return a reserved pad to the shared pool
+   * @param {number} index - Pad index
+   */
+  releaseGamepad(index) {
+    this.reservedGamepads.delete(index);
+  }
+  
+  /**
+   * Listen for gamepads connecting or disconnecting
+   * @param {string} type - 'connected' or 'disconnected'
+   * @param {Function} handler - Callback({ index, id, mapping })
+   */
+  onGamepad(type, handler) {
+    if (!this.gamepadListeners.has(type)) {
+      this.gamepadListeners.set(type, new Set());
+    }
+    this.gamepadListeners.get(type).add(handler);
+  }
+  
+  /**
+   * Remove a gamepad listener
+   * @param {string} type - 'connected' or 'disconnected'
+   * @param {Function} handler - Handler passed to onGamepad()
+   */
+  offGamepad(type, handler) {
+    const handlers = this.gamepadListeners.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+  
+  /**
+   * Block or unblock input
+   * Blocking releases everything currently held so nothing sticks; while
+   * blocked, new key presses, clicks and touches are ignored
+   * @param {boolean} blocked - Whether input is blocked
+   */
+  setBlocked(blocked) {
+    this.blocked = blocked;
+    
+    if (blocked) {
+      this.gestures.cancel();
+      const { x, y } = this.mouse;
+      this.initState();
+      this.mouse.x = x;
+      this.mouse.y = y;
+    }
+  }
+  
+  /**
+   * Check if input is blocked
+   * @returns {boolean}
+   */
+  isBlocked() {
+    return this.blocked;
+  }
+  
   /**
    * Update input state (does not reset flags - use resetFrame() at end of frame)
    */
   update() {
-    // Input state is updated by event listeners
+    // Raw input state is updated by event listeners; actions are derived from it
     // Flags are reset at end of frame via resetFrame()
+    this.gestures.update();
+    this._pollGamepads();
+    this._updateActions();
   }
   
   /**
@@ -286,5 +1019,343 @@ export class InputHandler {
   resetFrame() {
     this.mouse.pressed = false;
     this.mouse.released = false;
+    this.endedTouches.length = 0;
+    this.keysPressed = {};
+    this.keysReleased = {};
+    this.firedGestures.clear();
+    this.gestureEvents.length = 0;
+  }
+  
+  /**
+   * Read connected gamepads and compute button edges
+   * @private
+   */
+  _pollGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+    
+    const seen = new Set();
+    for (const pad of Array.from(navigator.getGamepads())) {
+      if (!pad || !pad.connected) continue;
+      seen.add(pad.index);
+      
+      let state = this.gamepads.get(pad.index);
+      if (!state || state.id !== pad.id) {
+        if (state) this._disconnectGamepad(pad.index);
+        state = this._connectGamepad(pad);
+      }
+      
+      pad.buttons.forEach((button, i) => {
+        // Very old implementations report buttons as plain numbers
+        const value = typeof button === 'object' ? button.value : button;
+        const down = typeof button === 'object' ? button.pressed : button > 0.5;
+        const wasDown = state.down[i] === true;
+        state.values[i] = value;
+        state.down[i] = down;
+        state.pressed[i] = down && !wasDown;
+        state.released[i] = !down && wasDown;
+      });
+      state.axes = this._applyDeadZone(pad.axes, pad.mapping === 'standard');
+    }
+    
+    for (const index of Array.from(this.gamepads.keys())) {
+      if (!seen.has(index)) {
+        this._disconnectGamepad(index);
+      }
+    }
+  }
+  
+  /**
+   * Start tracking a gamepad and notify listeners
+   * @private
+   */
+  _connectGamepad(pad) {
+    const state = {
+      index: pad.index,
+      id: pad.id,
+      mapping: pad.mapping,
+      values: [],
+      down: [],
+      pressed: [],
+      released: [],
+      axes: []
+    };
+    this.gamepads.set(pad.index, state);
+    this._notifyGamepad('connected', state);
+    return state;
+  }
+  
+  /**
+   * Stop tracking a gamepad and notify listeners
+   * @private
+   */
+  _disconnectGamepad(index) {
+    const state = this.gamepads.get(index);
+    if (!state) return;
+    
+    this.gamepads.delete(index);
+    this.reservedGamepads.delete(index);
+    this._notifyGamepad('disconnected', state);
+  }
+  
+  /**
+   * @private
+   */
+  _notifyGamepad(type, state) {
+    const handlers = this.gamepadListeners.get(type);
+    if (!handlers) return;
+    
+    const info = { index: state.index, id: state.id, mapping: state.mapping };
+    for (const handler of handlers) handler(info);
+  }
+  
+  /**
+   * Apply the dead zone: radial for the standard sticks (axes 0/1 and 2/3), per axis otherwise
+   * Values are rescaled so movement starts at 0 just outside the dead zone
+   * @private
+   */
+  _applyDeadZone(axes, standard) {
+    const deadZone = this.gamepadDeadZone;
+    const rescale = (magnitude) => magnitude <= deadZone ? 0 : (magnitude - deadZone) / (1 - deadZone);
+    const result = Array.from(axes, value => Math.sign(value) * rescale(Math.abs(value)));
+    
+    if (standard) {
+      for (const i of [0, 2]) {
+        if (i + 1 >= axes.length) continue;
+        const magnitude = Math.hypot(axes[i], axes[i + 1]);
+        const factor = magnitude > 0 ? Math.min(1, rescale(magnitude)) / magnitude : 0;
+        result[i] = axes[i] * factor;
+        result[i + 1] = axes[i + 1] * factor;
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Polled pads a binding or query applies to
+   * @param {number|null} pad - Pad index, or null for every pad not reserved
+   * @private
+   */
+  _gamepadsFor(pad) {
+    if (this.blocked) return [];
+    if (pad !== null && pad !== undefined) {
+      const state = this.gamepads.get(pad);
+      return state ? [state] : [];
+    }
+    return Array.from(this.gamepads.values()).filter(state => !this.reservedGamepads.has(state.index));
+  }
+  
+  /**
+   * Record a recognized gesture for this frame and notify listeners
+   * @private
+   */
+  _onGesture(event) {
+    if (this.blocked) return;
+    
+    this.gestureEvents.push(event);
+    this.firedGestures.add(event.type);
+    if (event.type === 'swipe') {
+      // swipeUp / swipeDown / swipeLeft / swipeRight
+      this.firedGestures.add('swipe' + event.direction[0].toUpperCase() + event.direction.slice(1));
+    }
+    
+    for (const key of [event.type, '*']) {
+      const handlers = this.gestureListeners.get(key);
+      if (handlers) {
+        for (const handler of handlers) handler(event);
+      }
+    }
+  }
+  
+  /**
+   * Evaluate every action's bindings for this frame
+   * @private
+   */
+  _updateActions() {
+    for (const name of this.getActionNames()) {
+      const previous = this.actionState[name];
+      const wasDown = previous ? previous.down : false;
+      
+      let down = false;
+      let pressEdge = false;
+      let releaseEdge = false;
+      for (const binding of this.getBindings(name)) {
+        const result = this._evaluateBinding(binding);
+        down = down || result.down;
+        pressEdge = pressEdge || result.pressed;
+        releaseEdge = releaseEdge || result.released;
+      }
+      
+      const pressed = (down && !wasDown) || pressEdge;
+      this.actionState[name] = {
+        down,
+        pressed,
+        released: !down && (wasDown || releaseEdge),
+        pressTime: pressed ? performance.now() : (previous ? previous.pressTime : null)
+      };
+    }
+  }
+  
+  /**
+   * Check one binding
+   * @returns {{down: boolean, pressed: boolean, released: boolean}} Edges catch presses shorter than a frame
+   * @private
+   */
+  _evaluateBinding(binding) {
+    switch (binding.type) {
+      case 'key':
+        // A tap shorter than a frame is up again by now but still counts as pressed
+        return {
+          down: this.keys[binding.code] === true,
+          pressed: this.keysPressed[binding.code] === true,
+          released: this.keysReleased[binding.code] === true
+        };
+      
+      case 'pointer': {
+        const inside = (p) => p.x >= binding.x && p.x < binding.x + binding.width &&
+          p.y >= binding.y && p.y < binding.y + binding.height;
+        const down = (this.mouse.down && inside(this.mouse)) || this.touches.some(inside);
+        return {
+          down,
+          pressed: this.mouse.pressed && inside(this.mouse),
+          released: this.mouse.released && inside(this.mouse)
+        };
+      }
+      
+      case 'gesture': {
+        // Gestures are instantaneous: pressed for the frame they fire
+        const fired = this.firedGestures.has(binding.gesture);
+        return { down: fired, pressed: fired, released: false };
+      }
+      
+      case 'gamepad':
+        return { down: this._isGamepadBindingDown(binding), pressed: false, released: false };
+      
+      default:
+        return { down: false, pressed: false, released: false };
+    }
+  }
+  
+  /**
+   * Read a gamepad button or axis binding
+   * @private
+   */
+  _isGamepadBindingDown(binding) {
+    return this._gamepadsFor(binding.pad).some(state => {
+      if (binding.axis !== undefined) {
+        const value = state.axes[binding.axis] || 0;
+        return value * binding.direction >= binding.threshold;
+      }
+      return state.down[binding.button] === true;
+    });
+  }
+  
+  /**
+   * Recompute the keys whose browser default is prevented (all bound keys)
+   * @private
+   */
+  _refreshBoundKeys() {
+    this.boundKeys.clear();
+    for (const name of this.getActionNames()) {
+      for (const binding of this.getBindings(name)) {
+        if (binding.type === 'key') {
+          this.boundKeys.add(binding.code);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Report player rebinds
+   * @private
+   */
+  _bindingsChanged() {
+    if (this.onBindingsChange) {
+      this.onBindingsChange(this.getUserBindings());
+    }
+  }
+  
+  /**
+   * Normalize a list of bindings to binding objects
+   * 'KeyW' -> key, 'gamepad:A' -> gamepad button, 'gesture:swipeUp' -> gesture
+   * @param {Array<string|Object>} bindings - Bindings
+   * @returns {Array<Object>}
+   */
+  static normalizeBindings(bindings) {
+    const list = Array.isArray(bindings) ? bindings : [bindings];
+    const result = [];
+    
+    for (const binding of list) {
+      if (typeof binding === 'string') {
+        const [prefix, value] = binding.includes(':') ? binding.split(':') : ['key', binding];
+        if (prefix === 'gamepad') {
+          result.push(InputHandler._normalizeGamepad({ type: 'gamepad', button: value }));
+        } else if (prefix === 'gesture') {
+          result.push({ type: 'gesture', gesture: value });
+        } else {
+          result.push({ type: 'key', code: value });
+        }
+        continue;
+      }
+      
+      if (!binding || !binding.type) {
+        console.warn('[InputHandler] Ignoring invalid binding:', binding);
+        continue;
+      }
+      result.push(binding.type === 'gamepad' ? InputHandler._normalizeGamepad(binding) : { ...binding });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Resolve gamepad button names to standard-mapping indices
+   * @private
+   */
+  static _normalizeGamepad(binding) {
+    const result = { ...binding };
+    if (typeof result.button === 'string') {
+      result.button = InputHandler._gamepadButtonIndex(result.button);
+    }
+    if (result.axis !== undefined) {
+      result.direction = result.direction || 1;
+      result.threshold = result.threshold !== undefined ? result.threshold : 0.5;
+    }
+    return result;
+  }
+  
+  /**
+   * Resolve a button name ('A', 'DPadUp') or index to a standard-mapping index
+   * @private
+   */
+  static _gamepadButtonIndex(button) {
+    if (typeof button === 'number') return button;
+    const index = InputHandler.GAMEPAD_BUTTONS[button];
+    return index !== undefined ? index : Number(button);
   }
 }
+
+/**
+ * Default actions (their keys also had their browser default prevented before actions existed)
+ */
+InputHandler.DEFAULT_ACTIONS = {
+  moveUp: ['ArrowUp', 'KeyW', 'gamepad:DPadUp', { type: 'gamepad', axis: 1, direction: -1 }],
+  moveDown: ['ArrowDown', 'KeyS', 'gamepad:DPadDown', { type: 'gamepad', axis: 1, direction: 1 }],
+  moveLeft: ['ArrowLeft', 'KeyA', 'gamepad:DPadLeft', { type: 'gamepad', axis: 0, direction: -1 }],
+  moveRight: ['ArrowRight', 'KeyD', 'gamepad:DPadRight', { type: 'gamepad', axis: 0, direction: 1 }],
+  confirm: ['Enter', 'Space', 'gamepad:A'],
+  back: ['gamepad:B'],
+  pause: ['gamepad:Start']
+};
+
+/**
+ * Standard-mapping gamepad button indices
+ */
+InputHandler.GAMEPAD_BUTTONS = {
+  A: 0, B: 1, X: 2, Y: 3,
+  LB: 4, RB: 5, LT: 6, RT: 7,
+  Back: 8, Start: 9, LS: 10, RS: 11,
+  DPadUp: 12, DPadDown: 13, DPadLeft: 14, DPadRight: 15,
+  Home: 16
+};
+
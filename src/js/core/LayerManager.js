@@ -2,46 +2,238 @@
  * LayerManager - Handles layered rendering with specific z-order
  * Render order (bottom to top):
  * BG_FAR -> BG_NEAR -> VIDEO_IMAGE -> SHAPES -> SPRITES -> TEXT -> UI_BUTTONS
+ *
+ * Custom layers can be added at any depth (addLayer('EFFECTS', 4.5)).
+ * Within a layer, entities draw in zIndex order (stable, so equal zIndex keeps
+ * insertion order), optionally y-sorted for top-down games. Each layer has
+ * visibility, alpha, blend mode and caching options.
  */
 export class LayerManager {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     
-    // Define render layers in order (bottom to top)
-    this.LAYERS = {
-      BG_FAR: 0,
-      BG_NEAR: 1,
-      VIDEO_IMAGE: 2,
-      SHAPES: 3,
-      SPRITES: 4,
-      TEXT: 5,
-      UI_BUTTONS: 6
-    };
+    // Render layers: name -> depth (bottom to top)
+    this.LAYERS = { ...LayerManager.DEFAULT_LAYERS };
+    this.sortedLayers = []; // Layer names in render order (kept in sync by addLayer/removeLayer)
+    this.layerOptions = {}; // Layer name -> { visible, alpha, blendMode, sort } (current layer set)
+    this.layerSetOptions = new WeakMap(); // Detached layer set -> its layerOptions
+    this._sortLayerNames();
+    this.resetLayerOptions();
+    
+    // Unknown layer names throw instead of warning (on by default in Vite dev builds)
+    this.strict = LayerManager.STRICT;
+    
+    // Scratch canvas for layers composited as a group (alpha < 1 or a blend mode)
+    this.layerBuffer = null;
+    
+    // Cached layers: entity array -> { canvas, key, valid }
+    this.layerCaches = new WeakMap();
     
     // Store entities for each layer
-    this.layerEntities = {};
+    this.layerEntities = this.createLayerSet();
+    
+    // Camera for world layers (set by Engine; layers it marks fixed draw in canvas space)
+    this.camera = null;
     
-    // Initialize empty arrays for each layer
+    // Viewport culling: entities whose bounds miss the visible rect are skipped
+    this.cullingEnabled = true;
+    this.cullMargin = 0; // Extra world/canvas units kept around the visible rect
+    
+    // Spatial grids for large layers: layer name -> cell size
+    this.spatialGrids = new Map();
+    this.gridIndexes = new WeakMap(); // Entity array -> grid index (rebuilt when dirty)
+    
+    // Per-layer { drawn, culled } counts since the last resetRenderStats()
+    this.renderStats = {};
+  }
+  
+  /**
+   * Create an empty set of entity arrays, one per layer
+   * @returns {Object} Map of layer name -> entity array
+   */
+  createLayerSet() {
+    const layerEntities = {};
     Object.keys(this.LAYERS).forEach(layer => {
-      this.layerEntities[layer] = [];
+      layerEntities[layer] = [];
     });
+    return layerEntities;
+  }
+  
+  /**
+   * Detach the current layer set and start a fresh, empty one
+   * Used by SceneManager so overlay scenes don't mix with scenes below them.
+   * Layer options stay with the detached set; the new set starts with defaults.
+   * @returns {Object} The detached layer set
+   */
+  detachLayers() {
+    const detached = this.layerEntities;
+    this.layerSetOptions.set(detached, this.layerOptions);
+    
+    this.layerEntities = this.createLayerSet();
+    this.layerOptions = {};
+    this.resetLayerOptions();
+    return detached;
+  }
+  
+  /**
+   * Make a previously detached layer set current again (with its layer options)
+   * @param {Object} layerEntities - Layer set from detachLayers()
+   */
+  attachLayers(layerEntities) {
+    const options = this.layerSetOptions.get(layerEntities) || {};
+    this.layerSetOptions.delete(layerEntities);
+    
+    // Layers added while the set was detached start with defaults
+    for (const layerName of Object.keys(this.LAYERS)) {
+      if (!options[layerName]) {
+        options[layerName] = { ...LayerManager.LAYER_DEFAULTS };
+      }
+    }
+    
+    this.layerEntities = layerEntities;
+    this.layerOptions = options;
+  }
+  
+  /**
+   * Register a custom layer (or move an existing one to a new depth)
+   * @param {string} layerName - Layer name
+   * @param {number} depth - Render depth; fractions sit between the built-in layers
+   *                         (e.g. 4.5 draws above SPRITES and below TEXT)
+   * @param {Object} options - Layer options (see setLayerOptions)
+   */
+  addLayer(layerName, depth, options = {}) {
+    if (typeof depth !== 'number' || isNaN(depth)) {
+      this._layerError(`Layer "${layerName}" needs a numeric depth`);
+      return;
+    }
+    
+    const isNew = !this.LAYERS.hasOwnProperty(layerName);
+    this.LAYERS[layerName] = depth;
+    this._sortLayerNames();
+    
+    if (isNew) {
+      this.layerOptions[layerName] = { ...LayerManager.LAYER_DEFAULTS };
+      this.layerEntities[layerName] = [];
+    }
+    this.setLayerOptions(layerName, options);
+  }
+  
+  /**
+   * Remove a custom layer and its entities (built-in layers stay)
+   * @param {string} layerName - Layer name
+   */
+  removeLayer(layerName) {
+    if (!this._checkLayer(layerName)) return;
+    
+    if (LayerManager.DEFAULT_LAYERS.hasOwnProperty(layerName)) {
+      console.warn(`[LayerManager] Built-in layer "${layerName}" can't be removed`);
+      return;
+    }
+    
+    delete this.LAYERS[layerName];
+    delete this.layerOptions[layerName];
+    delete this.layerEntities[layerName];
+    this.spatialGrids.delete(layerName);
+    this._sortLayerNames();
+  }
+  
+  /**
+   * Check if a layer exists
+   * @param {string} layerName - Layer name
+   * @returns {boolean}
+   */
+  hasLayer(layerName) {
+    return this.LAYERS.hasOwnProperty(layerName);
+  }
+  
+  /**
+   * Layer names in render order (bottom to top)
+   * @returns {Array<string>}
+   */
+  getLayerNames() {
+    return this.sortedLayers.slice();
+  }
+  
+  /**
+   * Change how a layer is drawn
+   * @param {string} layerName - Layer name
+   * @param {Object} options - Any of:
+   * @param {boolean} options.visible - Draw the layer (hidden layers are also skipped by hit testing)
+   * @param {number} options.alpha - Layer opacity 0-1, applied to the layer as a whole
+   * @param {string} options.blendMode - Canvas globalCompositeOperation (e.g. 'lighter', 'multiply')
+   * @param {string} options.sort - 'z' (zIndex), 'y' (zIndex, then bottom edge) or 'none'
+   * @param {boolean} options.cache - Draw the layer once to an offscreen canvas and reuse it
+   *                                  until entities are added, removed or flagged `dirty`
+   */
+  setLayerOptions(layerName, options) {
+    if (!this._checkLayer(layerName)) return;
+    
+    const current = this.layerOptions[layerName];
+    for (const key of Object.keys(LayerManager.LAYER_DEFAULTS)) {
+      if (options[key] !== undefined) {
+        current[key] = options[key];
+      }
+    }
+    current.alpha = Math.max(0, Math.min(1, current.alpha));
+    
+    // Free the pixels of a layer that stopped caching
+    if (!current.cache && this.layerEntities[layerName]) {
+      this.layerCaches.delete(this.layerEntities[layerName]);
+    }
+  }
+  
+  /**
+   * Redraw a cached layer on the next render (e.g. after changing entities in place)
+   * Setting `entity.dirty = true` on one of its entities does the same.
+   * @param {string} layerName - Layer name
+   */
+  invalidateLayer(layerName) {
+    if (!this._checkLayer(layerName)) return;
+    
+    const entities = this.layerEntities[layerName];
+    if (entities) {
+      this._layerChanged(entities);
+    }
+  }
+  
+  /**
+   * Current options of a layer
+   * @param {string} layerName - Layer name
+   * @returns {Object|null} { visible, alpha, blendMode, sort, cache }, or null for unknown layers
+   */
+  getLayerOptions(layerName) {
+    const options = this.layerOptions[layerName];
+    return options ? { ...options } : null;
+  }
+  
+  /**
+   * Put every layer back to the default options (SceneManager does this between scenes)
+   */
+  resetLayerOptions() {
+    for (const layerName of Object.keys(this.LAYERS)) {
+      this.layerOptions[layerName] = { ...LayerManager.LAYER_DEFAULTS };
+      if (this.layerEntities) {
+        this.layerCaches.delete(this.layerEntities[layerName]);
+      }
+    }
   }
   
   /**
    * Add an entity to a specific layer
-   * @param {Object} entity - Entity with a render(ctx) method
+   * @param {Object} entity - Entity with a render(ctx) method (optional zIndex)
    * @param {string} layerName - Layer name (e.g., 'SPRITES', 'UI_BUTTONS')
    */
   addToLayer(entity, layerName) {
-    if (!this.LAYERS.hasOwnProperty(layerName)) {
-      console.warn(`Unknown layer: ${layerName}`);
-      return;
-    }
+    if (!this._checkLayer(layerName)) return;
+    
+    // Layer sets detached before a custom layer was added don't have it yet
+    const entities = this.layerEntities[layerName] || (this.layerEntities[layerName] = []);
     
     // Avoid duplicates
-    if (!this.layerEntities[layerName].includes(entity)) {
-      this.layerEntities[layerName].push(entity);
+    if (!entities.includes(entity)) {
+      entities.push(entity);
+      this._layerChanged(entities);
     }
   }
   
@@ -51,14 +243,27 @@ export class LayerManager {
    * @param {string} layerName - Layer name
    */
   removeFromLayer(entity, layerName) {
-    if (!this.LAYERS.hasOwnProperty(layerName)) {
+    if (!this._checkLayer(layerName) || !this.layerEntities[layerName]) {
       return;
     }
     
     const index = this.layerEntities[layerName].indexOf(entity);
     if (index > -1) {
       this.layerEntities[layerName].splice(index, 1);
+      this._layerChanged(this.layerEntities[layerName]);
+    }
+  }
+  
+  /**
+   * Get the entity array of a layer
+   * @param {string} layerName - Layer name
+   * @returns {Array|null} Entities in the layer, or null for unknown layers
+   */
+  getLayer(layerName) {
+    if (!this.LAYERS.hasOwnProperty(layerName)) {
+      return null;
     }
+    return this.layerEntities[layerName] || (this.layerEntities[layerName] = []);
   }
   
   /**
@@ -66,7 +271,7 @@ export class LayerManager {
    * @param {string} layerName - Layer name
    */
   clearLayer(layerName) {
-    if (this.LAYERS.hasOwnProperty(layerName)) {
+    if (this._checkLayer(layerName)) {
       this.layerEntities[layerName] = [];
     }
   }
@@ -80,25 +285,514 @@ export class LayerManager {
     });
   }
   
+  /**
+   * Get all entities ordered top-most first (reverse render order)
+   * Used for hit testing so the entity drawn on top gets the pointer.
+   * Hidden layers are left out.
+   * @param {Object} layerEntities - Layer set (default: current set)
+   * @returns {Array<Object>}
+   */
+  getEntitiesTopFirst(layerEntities = this.layerEntities) {
+    const setOptions = this._getSetOptions(layerEntities);
+    const result = [];
+    for (let layer = this.sortedLayers.length - 1; layer >= 0; layer--) {
+      const layerName = this.sortedLayers[layer];
+      const entities = layerEntities[layerName];
+      const options = setOptions[layerName] || LayerManager.LAYER_DEFAULTS;
+      if (!entities || !options.visible) continue;
+      
+      this._sortEntities(entities, options.sort);
+      for (let i = entities.length - 1; i >= 0; i--) {
+        result.push(entities[i]);
+      }
+    }
+    return result;
+  }
+  
+  /**
+   * Index a layer in a spatial grid so culling only visits nearby entities
+   * Meant for layers with thousands of mostly static entities (tiles, props):
+   * the grid is rebuilt when entities are added or removed, but not when they
+   * move - call refreshSpatialGrid() after moving entities in a grid layer.
+   * @param {string} layerName - Layer name
+   * @param {number} cellSize - Cell size in layer units (default: 512)
+   */
+  enableSpatialGrid(layerName, cellSize = 512) {
+    if (!this._checkLayer(layerName)) return;
+    
+    this.spatialGrids.set(layerName, Math.max(1, cellSize));
+    this.refreshSpatialGrid(layerName);
+  }
+  
+  /**
+   * Stop using a spatial grid for a layer (entities are bounds-checked one by one)
+   * @param {string} layerName - Layer name
+   */
+  disableSpatialGrid(layerName) {
+    this.spatialGrids.delete(layerName);
+  }
+  
+  /**
+   * Rebuild a layer's spatial grid on the next render (after moving its entities)
+   * @param {string} layerName - Layer name
+   */
+  refreshSpatialGrid(layerName) {
+    const entities = this.getLayer(layerName);
+    if (entities) {
+      this._layerChanged(entities);
+    }
+  }
+  
+  /**
+   * Drawn/culled counts per layer since the last resetRenderStats()
+   * @returns {Object} Map of layer name -> { drawn, culled }
+   */
+  getRenderStats() {
+    const stats = {};
+    for (const layerName of Object.keys(this.renderStats)) {
+      stats[layerName] = { ...this.renderStats[layerName] };
+    }
+    return stats;
+  }
+  
+  /**
+   * Start counting a new frame (called by Engine before drawing)
+   */
+  resetRenderStats() {
+    this.renderStats = {};
+  }
+  
   /**
    * Render all layers in order
-   * Loops through each layer array and draws the entities
+   * Loops through each visible layer and draws its entities in zIndex order,
+   * skipping those whose bounds (getBounds() or x/y/width/height) are outside
+   * the view. Entities without bounds, or with cull = false, are always drawn.
    * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} layerEntities - Layer set to render (default: current set)
+   */
+  render(ctx, layerEntities = this.layerEntities) {
+    const camera = this.camera && !this.camera.isIdentity() ? this.camera : null;
+    const setOptions = this._getSetOptions(layerEntities);
+    
+    for (const layerName of this.sortedLayers) {
+      const entities = layerEntities[layerName];
+      const options = setOptions[layerName] || LayerManager.LAYER_DEFAULTS;
+      if (!entities || entities.length === 0 || !options.visible || options.alpha <= 0) continue;
+      
+      this._sortEntities(entities, options.sort);
+      
+      if (!options.cache && options.alpha >= 1 && options.blendMode === 'source-over') {
+        this._renderLayer(ctx, layerName, entities, camera);
+        continue;
+      }
+      
+      // Cached layers reuse their pixels; alpha and blend modes draw the layer
+      // on its own first so it is composited as a whole and overlapping
+      // entities don't show through each other
+      const layerCanvas = options.cache
+        ? this._getCachedLayer(ctx, layerName, entities, camera)
+        : this._renderToBuffer(ctx, layerName, entities, camera);
+      
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha *= options.alpha;
+      ctx.globalCompositeOperation = options.blendMode;
+      ctx.drawImage(layerCanvas, 0, 0);
+      ctx.restore();
+    }
+  }
+  
+  /**
+   * Draw one layer's entities (through the camera unless the layer is fixed)
+   * @private
+   */
+  _renderLayer(ctx, layerName, entities, camera) {
+    const inWorld = camera && !camera.isLayerFixed(layerName);
+    if (inWorld) {
+      ctx.save();
+      camera.apply(ctx);
+    }
+    
+    const stats = this.renderStats[layerName] || (this.renderStats[layerName] = { drawn: 0, culled: 0 });
+    const view = this._getCullRect(inWorld);
+    const candidates = view && this.spatialGrids.has(layerName)
+      ? this._queryGrid(entities, this.spatialGrids.get(layerName), view)
+      : entities;
+    stats.culled += entities.length - candidates.length;
+    
+    for (const entity of candidates) {
+      if (!entity || typeof entity.render !== 'function') continue;
+      
+      if (view && !this._isInView(entity, view)) {
+        stats.culled++;
+        continue;
+      }
+      
+      entity.render(ctx);
+      stats.drawn++;
+    }
+    
+    if (inWorld) {
+      ctx.restore();
+    }
+  }
+  
+  /**
+   * Draw a layer to the shared scratch canvas
+   * @private
+   */
+  _renderToBuffer(ctx, layerName, entities, camera) {
+    const { width, height } = ctx.canvas;
+    if (!this.layerBuffer || this.layerBuffer.width !== width || this.layerBuffer.height !== height) {
+      this.layerBuffer = this._createCanvas(width, height);
+    }
+    
+    this._renderLayer(this._prepareContext(this.layerBuffer, ctx), layerName, entities, camera);
+    return this.layerBuffer;
+  }
+  
+  /**
+   * Canvas holding a cached layer, redrawn only when it is invalid or the view changed
+   * The cache is kept pixel for pixel with the target, so a different render
+   * scale, canvas size or camera position redraws it.
+   * @private
+   */
+  _getCachedLayer(ctx, layerName, entities, camera) {
+    const { width, height } = ctx.canvas;
+    let cache = this.layerCaches.get(entities);
+    if (!cache || cache.canvas.width !== width || cache.canvas.height !== height) {
+      cache = { canvas: this._createCanvas(width, height), key: null, valid: false };
+      this.layerCaches.set(entities, cache);
+    }
+    
+    // Entities flagged dirty since the last draw
+    for (const entity of entities) {
+      if (entity && entity.dirty) {
+        cache.valid = false;
+        entity.dirty = false;
+      }
+    }
+    
+    const key = this._cacheKey(ctx, layerName, camera);
+    const hit = cache.valid && cache.key === key;
+    if (!hit) {
+      this._renderLayer(this._prepareContext(cache.canvas, ctx), layerName, entities, camera);
+      cache.key = key;
+      cache.valid = true;
+    }
+    
+    const stats = this.renderStats[layerName] || (this.renderStats[layerName] = { drawn: 0, culled: 0 });
+    stats.cached = hit;
+    return cache.canvas;
+  }
+  
+  /**
+   * Everything a cached layer's pixels depend on besides its entities
+   * @private
+   */
+  _cacheKey(ctx, layerName, camera) {
+    const m = ctx.getTransform();
+    let key = `${ctx.canvas.width}x${ctx.canvas.height}|${m.a},${m.b},${m.c},${m.d},${m.e},${m.f}`;
+    if (camera && !camera.isLayerFixed(layerName)) {
+      key += `|${camera.x},${camera.y},${camera.zoom},${camera.rotation},${camera.shakeX},${camera.shakeY}`;
+    }
+    return key;
+  }
+  
+  /**
+   * Clear a layer canvas and give it the target's transform
+   * @private
    */
-  render(ctx) {
-    // Get layers sorted by their numeric value (render order)
-    const sortedLayers = Object.keys(this.LAYERS).sort(
+  _prepareContext(canvas, ctx) {
+    const layerCtx = canvas.getContext('2d');
+    layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+    layerCtx.clearRect(0, 0, canvas.width, canvas.height);
+    layerCtx.setTransform(ctx.getTransform());
+    return layerCtx;
+  }
+  
+  /**
+   * Offscreen canvas (a detached <canvas> where OffscreenCanvas has no 2D context)
+   * @private
+   */
+  _createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const offscreen = new OffscreenCanvas(width, height);
+      if (offscreen.getContext('2d')) return offscreen;
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  
+  /**
+   * Sort a layer in place by zIndex (and bottom edge for 'y'), only when out of order
+   * Array.sort is stable, so entities with equal keys keep their order.
+   * @private
+   */
+  _sortEntities(entities, mode) {
+    if (mode === 'none' || entities.length < 2) return;
+    
+    const ySort = mode === 'y';
+    const compare = (a, b) => {
+      const z = this._zIndex(a) - this._zIndex(b);
+      return z !== 0 || !ySort ? z : this._sortY(a) - this._sortY(b);
+    };
+    
+    for (let i = 1; i < entities.length; i++) {
+      if (compare(entities[i - 1], entities[i]) > 0) {
+        entities.sort(compare);
+        this._layerChanged(entities);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * zIndex of an entity (0 when unset)
+   * @private
+   */
+  _zIndex(entity) {
+    return (entity && entity.zIndex) || 0;
+  }
+  
+  /**
+   * Y-sort key: an entity's bottom edge (its feet in a top-down view)
+   * @private
+   */
+  _sortY(entity) {
+    if (!entity || typeof entity.y !== 'number') return 0;
+    const height = entity.height !== undefined ? entity.height : entity.h;
+    return entity.y + (typeof height === 'number' ? height : 0);
+  }
+  
+  /**
+   * Check a layer name; unknown names throw in strict mode and warn otherwise
+   * @private
+   */
+  _checkLayer(layerName) {
+    if (this.LAYERS.hasOwnProperty(layerName)) return true;
+    
+    this._layerError(`Unknown layer "${layerName}" (layers: ${this.sortedLayers.join(', ')})`);
+    return false;
+  }
+  
+  /**
+   * @private
+   */
+  _layerError(message) {
+    if (this.strict) {
+      throw new Error(`[LayerManager] ${message}`);
+    }
+    console.warn(`[LayerManager] ${message}`);
+  }
+  
+  /**
+   * Rebuild the render order after layers changed
+   * @private
+   */
+  _sortLayerNames() {
+    this.sortedLayers = Object.keys(this.LAYERS).sort(
       (a, b) => this.LAYERS[a] - this.LAYERS[b]
     );
+  }
+  
+  /**
+   * Layer options of a layer set (the current one or one detached for an overlay)
+   * @private
+   */
+  _getSetOptions(layerEntities) {
+    if (layerEntities === this.layerEntities) return this.layerOptions;
+    return this.layerSetOptions.get(layerEntities) || this.layerOptions;
+  }
+  
+  /**
+   * Rect entities must overlap to be drawn, in the layer's space (null = no culling)
+   * @private
+   */
+  _getCullRect(inWorld) {
+    if (!this.cullingEnabled || !this.camera) return null;
     
-    // Loop through each layer array and draw entities
-    for (const layerName of sortedLayers) {
-      const entities = this.layerEntities[layerName];
-      for (const entity of entities) {
-        if (entity && typeof entity.render === 'function') {
-          entity.render(ctx);
+    const rect = inWorld ? this.camera.getViewRect() : this.camera.viewport;
+    const margin = this.cullMargin;
+    return {
+      left: rect.x - margin,
+      top: rect.y - margin,
+      right: rect.x + rect.width + margin,
+      bottom: rect.y + rect.height + margin
+    };
+  }
+  
+  /**
+   * Check if an entity's bounds overlap the view (entities without bounds always pass)
+   * @private
+   */
+  _isInView(entity, view) {
+    if (entity.cull === false) return true;
+    
+    const bounds = this._getBounds(entity);
+    if (!bounds) return true;
+    
+    return bounds.x < view.right && bounds.x + bounds.width > view.left &&
+           bounds.y < view.bottom && bounds.y + bounds.height > view.top;
+  }
+  
+  /**
+   * Entity bounds from getBounds() or x/y/width/height (w/h), normalized to positive size
+   * @private
+   */
+  _getBounds(entity) {
+    let bounds;
+    if (typeof entity.getBounds === 'function') {
+      bounds = entity.getBounds();
+      if (!bounds) return null;
+    } else {
+      const width = entity.width !== undefined ? entity.width : entity.w;
+      const height = entity.height !== undefined ? entity.height : entity.h;
+      if (typeof entity.x !== 'number' || typeof entity.y !== 'number' ||
+          typeof width !== 'number' || typeof height !== 'number') {
+        return null;
+      }
+      bounds = { x: entity.x, y: entity.y, width, height };
+    }
+    
+    return {
+      x: Math.min(bounds.x, bounds.x + bounds.width),
+      y: Math.min(bounds.y, bounds.y + bounds.height),
+      width: Math.abs(bounds.width),
+      height: Math.abs(bounds.height)
+    };
+  }
+  
+  /**
+   * An entity array changed: rebuild its grid index and redraw its cache
+   * @private
+   */
+  _layerChanged(entities) {
+    const index = this.gridIndexes.get(entities);
+    if (index) {
+      index.dirty = true;
+    }
+    
+    const cache = this.layerCaches.get(entities);
+    if (cache) {
+      cache.valid = false;
+    }
+  }
+  
+  /**
+   * Entities of a grid layer in cells touching the view, in layer order
+   * @private
+   */
+  _queryGrid(entities, cellSize, view) {
+    let index = this.gridIndexes.get(entities);
+    // Arrays changed behind addToLayer()'s back are caught by their length
+    if (!index || index.dirty || index.cellSize !== cellSize || index.length !== entities.length) {
+      index = this._buildGrid(entities, cellSize);
+      this.gridIndexes.set(entities, index);
+    }
+    
+    const firstColumn = Math.floor(view.left / cellSize);
+    const lastColumn = Math.floor(view.right / cellSize);
+    const firstRow = Math.floor(view.top / cellSize);
+    const lastRow = Math.floor(view.bottom / cellSize);
+    
+    const found = new Set(index.always);
+    if ((lastColumn - firstColumn + 1) * (lastRow - firstRow + 1) > index.cells.size) {
+      // View spans more cells than are filled (zoomed far out): visit the filled ones
+      for (const [key, cell] of index.cells) {
+        const [column, row] = key.split(',').map(Number);
+        if (column >= firstColumn && column <= lastColumn && row >= firstRow && row <= lastRow) {
+          cell.forEach(entity => found.add(entity));
+        }
+      }
+    } else {
+      for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+          const cell = index.cells.get(`${column},${row}`);
+          if (cell) cell.forEach(entity => found.add(entity));
         }
       }
     }
+    
+    return Array.from(found).sort((a, b) => index.order.get(a) - index.order.get(b));
+  }
+  
+  /**
+   * Bin entities into cells by their bounds
+   * Entities without bounds, opted out of culling or spanning many cells are
+   * kept in a list that is checked every frame.
+   * @private
+   */
+  _buildGrid(entities, cellSize) {
+    const index = { cellSize, length: entities.length, dirty: false, cells: new Map(), always: [], order: new Map() };
+    
+    entities.forEach((entity, i) => {
+      index.order.set(entity, i);
+      const bounds = entity && entity.cull !== false ? this._getBounds(entity) : null;
+      if (!bounds) {
+        index.always.push(entity);
+        return;
+      }
+      
+      const firstColumn = Math.floor(bounds.x / cellSize);
+      const lastColumn = Math.floor((bounds.x + bounds.width) / cellSize);
+      const firstRow = Math.floor(bounds.y / cellSize);
+      const lastRow = Math.floor((bounds.y + bounds.height) / cellSize);
+      if ((lastColumn - firstColumn + 1) * (lastRow - firstRow + 1) > LayerManager.MAX_GRID_CELLS) {
+        index.always.push(entity);
+        return;
+      }
+      
+      for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+          const key = `${column},${row}`;
+          let cell = index.cells.get(key);
+          if (!cell) {
+            cell = [];
+            index.cells.set(key, cell);
+          }
+          cell.push(entity);
+        }
+      }
+    });
+    
+    return index;
   }
 }
+
+/**
+ * Built-in layers and their depths (bottom to top)
+ */
+LayerManager.DEFAULT_LAYERS = {
+  BG_FAR: 0,
+  BG_NEAR: 1,
+  VIDEO_IMAGE: 2,
+  SHAPES: 3,
+  SPRITES: 4,
+  TEXT: 5,
+  UI_BUTTONS: 6
+};
+
+/**
+ * Options every layer starts with
+ */
+LayerManager.LAYER_DEFAULTS = {
+  visible: true,
+  alpha: 1,
+  blendMode: 'source-over',
+  sort: 'z',   // 'z' | 'y' | 'none'
+  cache: false // Reuse an offscreen rendering until the layer changes
+};
+
+/**
+ * Default for layerManager.strict: unknown layer names throw during development
+ */
+LayerManager.STRICT = Boolean(import.meta.env && import.meta.env.DEV);
+
+/**
+ * Cells an entity may span before the grid stops binning it
+ */
+LayerManager.MAX_GRID_CELLS = 64;
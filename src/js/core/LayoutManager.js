@@ -0,0 +1,259 @@
+/**
+ * LayoutManager - Safe-area aware anchoring for UI entities
+ *
+ * Reads the CSS env(safe-area-inset-*) values (notches, rounded corners,
+ * home indicator), maps them into canvas space through the InputHandler
+ * transform and keeps anchored entities inside the resulting safe rect.
+ * Insets only count where they reach into the visible game area: a notch
+ * sitting in a letterbox bar moves nothing, and in the engine's crop/expand
+ * scale modes the safe area follows the visible rect instead of 1080x1920.
+ *
+ * Two kinds of entities can be registered:
+ * - Anything with layout(bounds) (Widgets) is handed the bounds to place itself
+ * - Anything else (Button, Sprite, text...) gets an anchor spec:
+ *   add(button, { anchor: 'top-right', margin: 24 })
+ *
+ * Engine calls update() on resize and orientation changes.
+ */
+export class LayoutManager {
+  /**
+   * @param {InputHandler} inputHandler - Provides the screen-to-canvas transform
+   * @param {number} width - Logical canvas width
+   * @param {number} height - Logical canvas height
+   */
+  constructor(inputHandler, width = 1080, height = 1920) {
+    this.inputHandler = inputHandler;
+    this.width = width;
+    this.height = height;
+
+    this.insets = { top: 0, right: 0, bottom: 0, left: 0 }; // CSS pixels
+    this.insetOverride = null; // Simulated insets (CSS pixels) for testing on desktop
+    this.safeArea = { x: 0, y: 0, width, height }; // Canvas space
+
+    this.entries = new Map(); // entity -> anchor spec (null when the entity lays itself out)
+    this.listeners = new Set();
+    this.probe = null;
+
+    this.update();
+  }
+
+  /**
+   * Re-read the insets, recompute the safe area and re-place anchored entities
+   */
+  update() {
+    this.insets = this.insetOverride ? { ...this.insetOverride } : this._readInsets();
+
+    const viewWidth = window.innerWidth;
+    const viewHeight = window.innerHeight;
+    const topLeft = this.inputHandler.screenToCanvas(this.insets.left, this.insets.top, false);
+    const bottomRight = this.inputHandler.screenToCanvas(viewWidth - this.insets.right, viewHeight - this.insets.bottom, false);
+
+    const visible = this.inputHandler.getVisibleRect();
+    const visibleRight = visible.x + visible.width;
+    const visibleBottom = visible.y + visible.height;
+
+    const left = Math.max(visible.x, Math.min(visibleRight, topLeft.x));
+    const top = Math.max(visible.y, Math.min(visibleBottom, topLeft.y));
+    const right = Math.max(left, Math.min(visibleRight, bottomRight.x));
+    const bottom = Math.max(top, Math.min(visibleBottom, bottomRight.y));
+
+    const previous = this.safeArea;
+    this.safeArea = { x: left, y: top, width: right - left, height: bottom - top };
+
+    for (const entity of this.entries.keys()) {
+      this._place(entity);
+    }
+
+    const changed = previous.x !== this.safeArea.x || previous.y !== this.safeArea.y ||
+                    previous.width !== this.safeArea.width || previous.height !== this.safeArea.height;
+    if (changed) {
+      for (const listener of this.listeners) {
+        listener(this.getSafeArea());
+      }
+    }
+  }
+
+  /**
+   * Safe rect in canvas space
+   * @returns {Object} { x, y, width, height }
+   */
+  getSafeArea() {
+    return { ...this.safeArea };
+  }
+
+  /**
+   * Safe-area insets in canvas space (distance from each visible edge)
+   * @returns {Object} { top, right, bottom, left }
+   */
+  getInsets() {
+    const visible = this.inputHandler.getVisibleRect();
+    return {
+      top: this.safeArea.y - visible.y,
+      right: visible.x + visible.width - this.safeArea.x - this.safeArea.width,
+      bottom: visible.y + visible.height - this.safeArea.y - this.safeArea.height,
+      left: this.safeArea.x - visible.x
+    };
+  }
+
+  /**
+   * Layout bounds in canvas space
+   * @param {boolean} safe - Safe area (true) or the whole visible rect (false)
+   * @returns {Object} { x, y, width, height }
+   */
+  getBounds(safe = true) {
+    return safe ? this.getSafeArea() : this.inputHandler.getVisibleRect();
+  }
+
+  /**
+   * Simulate device insets, e.g. { top: 47, bottom: 34 } for a notched phone
+   * @param {Object|null} insets - CSS pixels per edge, or null to read the real ones
+   */
+  setInsetOverride(insets) {
+    this.insetOverride = insets ? { top: 0, right: 0, bottom: 0, left: 0, ...insets } : null;
+    this.update();
+  }
+
+  /**
+   * Anchor an entity and keep it placed as the safe area changes
+   * Entities with layout(bounds) need no spec (their own anchor is used).
+   * @param {Object} entity - Entity to place
+   * @param {Object} spec - Anchor spec for entities without layout():
+   * @param {string} spec.anchor - Anchor name (see LayoutManager.ANCHORS)
+   * @param {number} spec.x - X offset from the anchor point
+   * @param {number} spec.y - Y offset from the anchor point
+   * @param {number|Object} spec.margin - Gap from the anchored edges ({ top, right, bottom, left } or one number)
+   * @param {boolean} spec.safeArea - Anchor to the safe area (default) or the whole visible rect
+   * @returns {Object} The entity
+   */
+  add(entity, spec = null) {
+    if (spec && !LayoutManager.ANCHORS[spec.anchor]) {
+      console.warn(`[LayoutManager] Unknown anchor "${spec.anchor}", using top-left`);
+      spec = { ...spec, anchor: 'top-left' };
+    }
+
+    this.entries.set(entity, spec);
+    this._place(entity);
+    return entity;
+  }
+
+  /**
+   * Stop placing an entity (it keeps its current position)
+   * @param {Object} entity - Entity to forget
+   */
+  remove(entity) {
+    this.entries.delete(entity);
+  }
+
+  /**
+   * Register a callback for safe area changes
+   * @param {Function} callback - Called with the new safe area
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+  }
+
+  /**
+   * Remove a safe area callback
+   * @param {Function} callback - Callback passed to onChange()
+   */
+  offChange(callback) {
+    this.listeners.delete(callback);
+  }
+
+  /**
+   * Position of a width x height box anchored inside bounds
+   * @param {string} anchor - Anchor name (see LayoutManager.ANCHORS)
+   * @param {Object} bounds - { x, y, width, height }
+   * @param {number} width - Box width
+   * @param {number} height - Box height
+   * @param {number} offsetX - X offset from the anchor point
+   * @param {number} offsetY - Y offset from the anchor point
+   * @param {number|Object} margin - Gap from the anchored edges
+   * @returns {Object} Top-left corner { x, y }
+   */
+  static place(anchor, bounds, width, height, offsetX = 0, offsetY = 0, margin = 0) {
+    const [ax, ay] = LayoutManager.ANCHORS[anchor] || LayoutManager.ANCHORS['top-left'];
+    const gap = typeof margin === 'number'
+      ? { top: margin, right: margin, bottom: margin, left: margin }
+      : { top: 0, right: 0, bottom: 0, left: 0, ...margin };
+
+    // Margins push inward from the edge the anchor touches; centered axes ignore them
+    const marginX = ax === 0 ? gap.left : ax === 1 ? -gap.right : 0;
+    const marginY = ay === 0 ? gap.top : ay === 1 ? -gap.bottom : 0;
+
+    return {
+      x: bounds.x + bounds.width * ax - width * ax + offsetX + marginX,
+      y: bounds.y + bounds.height * ay - height * ay + offsetY + marginY
+    };
+  }
+
+  /**
+   * Place one registered entity
+   * @private
+   */
+  _place(entity) {
+    const spec = this.entries.get(entity);
+
+    if (!spec) {
+      entity.layout(this.getBounds(entity.safeArea !== false));
+      return;
+    }
+
+    const width = entity.width !== undefined ? entity.width : (entity.w || 0);
+    const height = entity.height !== undefined ? entity.height : (entity.h || 0);
+    const position = LayoutManager.place(
+      spec.anchor,
+      this.getBounds(spec.safeArea !== false),
+      width,
+      height,
+      spec.x || 0,
+      spec.y || 0,
+      spec.margin || 0
+    );
+    entity.x = position.x;
+    entity.y = position.y;
+  }
+
+  /**
+   * Measure env(safe-area-inset-*) with a hidden element padded by them
+   * @private
+   */
+  _readInsets() {
+    if (!document.body) {
+      return { top: 0, right: 0, bottom: 0, left: 0 };
+    }
+
+    if (!this.probe) {
+      this.probe = document.createElement('div');
+      this.probe.style.cssText =
+        'position: fixed; top: 0; left: 0; width: 0; height: 0; ' +
+        'visibility: hidden; pointer-events: none; ' +
+        'padding: env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) ' +
+        'env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px);';
+      document.body.appendChild(this.probe);
+    }
+
+    const style = getComputedStyle(this.probe);
+    return {
+      top: parseFloat(style.paddingTop) || 0,
+      right: parseFloat(style.paddingRight) || 0,
+      bottom: parseFloat(style.paddingBottom) || 0,
+      left: parseFloat(style.paddingLeft) || 0
+    };
+  }
+}
+
+/**
+ * Anchor points as fractions of width/height
+ */
+LayoutManager.ANCHORS = {
+  'top-left': [0, 0],
+  'top': [0.5, 0],
+  'top-right': [1, 0],
+  'left': [0, 0.5],
+  'center': [0.5, 0.5],
+  'right': [1, 0.5],
+  'bottom-left': [0, 1],
+  'bottom': [0.5, 1],
+  'bottom-right': [1, 1]
+};
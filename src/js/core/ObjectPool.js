@@ -0,0 +1,177 @@
+/**
+ * ObjectPool - Generic pool for entity reuse (bullets, particles, enemies)
+ * Prevents garbage collection stutters on mobile (see docs section 4.2)
+ *
+ * When given a LayerManager and layer name, acquired objects are added to
+ * that layer and released objects are removed from it automatically.
+ */
+export class ObjectPool {
+  /**
+   * @param {Function} factory - Function that creates new instances
+   * @param {Function} reset - Function that resets an instance for reuse (optional)
+   * @param {number} initialSize - Pre-allocate this many objects
+   * @param {Object} options - Optional settings
+   * @param {LayerManager} options.layerManager - LayerManager to add acquired objects to
+   * @param {string} options.layer - Layer name for acquired objects (e.g., 'SPRITES')
+   * @param {number} options.maxSize - Max total objects; acquire() returns null beyond it (default: Infinity)
+   * @param {string} options.name - Name shown in debug stats
+   */
+  constructor(factory, reset = null, initialSize = 20, options = {}) {
+    this.factory = factory;
+    this.reset = reset;
+    this.layerManager = options.layerManager || null;
+    this.layer = options.layer || null;
+    this.maxSize = options.maxSize !== undefined ? options.maxSize : Infinity;
+    this.name = options.name || 'ObjectPool';
+
+    this.pool = [];   // Free objects
+    this.active = []; // Objects currently in use
+    this.createdCount = 0;
+
+    // Pre-allocate objects
+    for (let i = 0; i < initialSize && this.createdCount < this.maxSize; i++) {
+      this.pool.push(this._create());
+    }
+  }
+
+  /**
+   * Get an object from the pool (or create if empty)
+   * Sets active/visible on Sprite-like objects and adds it to the pool's layer
+   * @returns {Object|null} A ready-to-use object, or null if maxSize is reached
+   */
+  acquire() {
+    let obj;
+
+    if (this.pool.length > 0) {
+      obj = this.pool.pop();
+    } else if (this.createdCount < this.maxSize) {
+      // Pool exhausted - create new (grows the pool)
+      console.warn(`[${this.name}] Pool exhausted, creating new instance`);
+      obj = this._create();
+    } else {
+      return null;
+    }
+
+    if ('active' in obj) obj.active = true;
+    if ('visible' in obj) obj.visible = true;
+
+    this.active.push(obj);
+
+    if (this.layerManager && this.layer) {
+      this.layerManager.addToLayer(obj, this.layer);
+    }
+
+    return obj;
+  }
+
+  /**
+   * Return an object to the pool
+   * Removes it from the pool's layer and runs the reset function
+   * @param {Object} obj - Object to release
+   * @returns {boolean} True if the object was active in this pool
+   */
+  release(obj) {
+    const index = this.active.indexOf(obj);
+    if (index === -1) return false;
+
+    // Swap-remove (order of active objects is not significant)
+    const last = this.active.pop();
+    if (index < this.active.length) {
+      this.active[index] = last;
+    }
+
+    this._recycle(obj);
+    return true;
+  }
+
+  /**
+   * Release all active objects back to pool
+   */
+  releaseAll() {
+    while (this.active.length > 0) {
+      this._recycle(this.active.pop());
+    }
+  }
+
+  /**
+   * Call update(deltaTime) on every active object that has one
+   * Objects may safely release themselves during the update
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      const obj = this.active[i];
+      if (obj && typeof obj.update === 'function') {
+        obj.update(deltaTime);
+      }
+    }
+  }
+
+  /**
+   * Run a callback for every active object (iterates backwards, so release is safe)
+   * @param {Function} callback - Callback(obj, pool)
+   */
+  forEachActive(callback) {
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      callback(this.active[i], this);
+    }
+  }
+
+  /**
+   * Get count of active objects
+   * @returns {number}
+   */
+  getActiveCount() {
+    return this.active.length;
+  }
+
+  /**
+   * Get count of available objects in pool
+   * @returns {number}
+   */
+  getAvailableCount() {
+    return this.pool.length;
+  }
+
+  /**
+   * Get pool statistics (for the debug overlay)
+   * @returns {{name: string, layer: string|null, active: number, free: number, total: number}}
+   */
+  getStats() {
+    return {
+      name: this.name,
+      layer: this.layer,
+      active: this.active.length,
+      free: this.pool.length,
+      total: this.createdCount
+    };
+  }
+
+  /**
+   * Create a new pooled instance
+   * @private
+   */
+  _create() {
+    const obj = this.factory();
+    if ('active' in obj) obj.active = false;
+    this.createdCount++;
+    return obj;
+  }
+
+  /**
+   * Remove from layer, reset and return an object to the free list
+   * @private
+   */
+  _recycle(obj) {
+    if (this.layerManager && this.layer) {
+      this.layerManager.removeFromLayer(obj, this.layer);
+    }
+
+    if (this.reset) {
+      this.reset(obj);
+    }
+    if ('active' in obj) obj.active = false;
+
+    this.pool.push(obj);
+  }
+}
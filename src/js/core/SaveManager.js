@@ -0,0 +1,410 @@
+/**
+ * LocalStorageBackend - Default SaveManager storage (browser localStorage)
+ * Falls back to memory when localStorage is unavailable (private mode, sandboxed iframe)
+ *
+ * Backends implement four async methods:
+ * getItem(key) -> string|null, setItem(key, value), removeItem(key), keys() -> string[]
+ */
+export class LocalStorageBackend {
+  constructor() {
+    this.memory = null;
+    try {
+      this.storage = window.localStorage;
+      this.storage.getItem('__probe__');
+    } catch (err) {
+      console.warn('[SaveManager] localStorage unavailable, saves will not persist');
+      this.storage = null;
+      this.memory = new Map();
+    }
+  }
+  
+  async getItem(key) {
+    if (!this.storage) return this.memory.has(key) ? this.memory.get(key) : null;
+    return this.storage.getItem(key);
+  }
+  
+  async setItem(key, value) {
+    if (!this.storage) {
+      this.memory.set(key, value);
+      return;
+    }
+    this.storage.setItem(key, value);
+  }
+  
+  async removeItem(key) {
+    if (!this.storage) {
+      this.memory.delete(key);
+      return;
+    }
+    this.storage.removeItem(key);
+  }
+  
+  async keys() {
+    if (!this.storage) return Array.from(this.memory.keys());
+    
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      keys.push(this.storage.key(i));
+    }
+    return keys;
+  }
+}
+
+/**
+ * CapacitorPreferencesBackend - Storage through the Capacitor Preferences plugin
+ * Pass the plugin object so the engine has no hard dependency on Capacitor:
+ *
+ *   import { Preferences } from '@capacitor/preferences';
+ *   engine.saveManager.setBackend(new CapacitorPreferencesBackend(Preferences));
+ */
+export class CapacitorPreferencesBackend {
+  /**
+   * @param {Object} preferences - Capacitor Preferences plugin
+   */
+  constructor(preferences) {
+    this.preferences = preferences;
+  }
+  
+  async getItem(key) {
+    const { value } = await this.preferences.get({ key });
+    return value;
+  }
+  
+  async setItem(key, value) {
+    await this.preferences.set({ key, value });
+  }
+  
+  async removeItem(key) {
+    await this.preferences.remove({ key });
+  }
+  
+  async keys() {
+    const { keys } = await this.preferences.keys();
+    return keys;
+  }
+}
+
+/**
+ * SaveManager - Save slots and persistent settings
+ *
+ * Slots hold JSON data wrapped in { version, savedAt, data }. When the schema
+ * version of a saved slot is older than the current one, registered migrations
+ * upgrade it one version at a time on load.
+ *
+ * Scenes take part through Scene.serialize()/deserialize(): saveScene() stores
+ * a scene's serialized state and loadGame() switches back to it.
+ *
+ * Settings (key/value, e.g. audio volumes) are kept in memory and written
+ * through on change.
+ */
+export class SaveManager {
+  /**
+   * @param {Engine} engine - Engine instance
+   * @param {Object} options - Optional settings
+   * @param {Object} options.backend - Storage backend (default: LocalStorageBackend)
+   * @param {string} options.namespace - Key prefix (default: 'game')
+   * @param {number} options.version - Current save schema version (default: 1)
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.backend = options.backend || new LocalStorageBackend();
+    this.namespace = options.namespace || 'game';
+    this.version = options.version || 1;
+    
+    this.migrations = new Map(); // fromVersion -> fn(data) returning data for fromVersion + 1
+    
+    this.settings = {};
+    this.settingsLoaded = null; // Promise from loadSettings()
+    this.audioManager = null;
+    this.inputHandler = null;
+  }
+  
+  /**
+   * Replace the storage backend (e.g. Capacitor) and reload settings from it
+   * @param {Object} backend - Object with async getItem/setItem/removeItem/keys
+   * @returns {Promise<Object>} Loaded settings
+   */
+  setBackend(backend) {
+    this.backend = backend;
+    return this.loadSettings();
+  }
+  
+  /**
+   * Set the current save schema version
+   * @param {number} version - Schema version
+   */
+  setVersion(version) {
+    this.version = version;
+  }
+  
+  /**
+   * Register a migration that upgrades data saved with one schema version to the next
+   * @param {number} fromVersion - Version the migration upgrades from
+   * @param {Function} migrate - Callback(data) returning the data for fromVersion + 1
+   */
+  addMigration(fromVersion, migrate) {
+    this.migrations.set(fromVersion, migrate);
+  }
+  
+  /**
+   * Save data to a named slot
+   * @param {string} slot - Slot name
+   * @param {*} data - JSON-serializable data
+   * @returns {Promise<boolean>} False if the write failed
+   */
+  async save(slot, data) {
+    const record = { version: this.version, savedAt: Date.now(), data };
+    
+    try {
+      await this.backend.setItem(this._slotKey(slot), JSON.stringify(record));
+      return true;
+    } catch (err) {
+      console.warn(`[SaveManager] Could not save slot "${slot}":`, err);
+      return false;
+    }
+  }
+  
+  /**
+   * Load data from a named slot, migrating it to the current version
+   * @param {string} slot - Slot name
+   * @returns {Promise<*>} Saved data, or null if the slot is empty or unreadable
+   */
+  async load(slot) {
+    const record = await this._readRecord(slot);
+    if (!record) return null;
+    
+    let { version, data } = record;
+    
+    if (version > this.version) {
+      console.warn(`[SaveManager] Slot "${slot}" was saved with newer version ${version} (current ${this.version})`);
+      return data;
+    }
+    
+    while (version < this.version) {
+      const migrate = this.migrations.get(version);
+      if (!migrate) {
+        console.warn(`[SaveManager] No migration from version ${version} for slot "${slot}"`);
+        return null;
+      }
+      data = migrate(data);
+      version++;
+    }
+    
+    // Store the migrated data so migrations run once
+    if (version !== record.version) {
+      await this.save(slot, data);
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Check if a slot has saved data
+   * @param {string} slot - Slot name
+   * @returns {Promise<boolean>}
+   */
+  async hasSlot(slot) {
+    return (await this.backend.getItem(this._slotKey(slot))) !== null;
+  }
+  
+  /**
+   * Delete a slot
+   * @param {string} slot - Slot name
+   * @returns {Promise<void>}
+   */
+  async deleteSlot(slot) {
+    await this.backend.removeItem(this._slotKey(slot));
+  }
+  
+  /**
+   * List saved slots
+   * @returns {Promise<Array<{slot: string, version: number, savedAt: number}>>} Newest first
+   */
+  async listSlots() {
+    const prefix = this._slotKey('');
+    const keys = (await this.backend.keys()).filter(key => key.startsWith(prefix));
+    
+    const slots = [];
+    for (const key of keys) {
+      const slot = key.slice(prefix.length);
+      const record = await this._readRecord(slot);
+      if (record) {
+        slots.push({ slot, version: record.version, savedAt: record.savedAt });
+      }
+    }
+    
+    return slots.sort((a, b) => b.savedAt - a.savedAt);
+  }
+  
+  /**
+   * Save a scene's serialize() state
+   * @param {Scene} scene - Scene to save (default: current scene)
+   * @param {string} slot - Slot name (default: the scene's name)
+   * @returns {Promise<boolean>}
+   */
+  saveScene(scene = this.engine.sceneManager.getCurrentScene(), slot = scene.name) {
+    return this.save(slot, { scene: scene.name, state: scene.serialize() });
+  }
+  
+  /**
+   * Restore a scene's state saved with saveScene()
+   * @param {Scene} scene - Scene to restore into
+   * @param {string} slot - Slot name (default: the scene's name)
+   * @returns {Promise<boolean>} True if saved state was applied
+   */
+  async restoreScene(scene, slot = scene.name) {
+    const saved = await this.load(slot);
+    if (!saved || saved.scene !== scene.name || saved.state == null) return false;
+    
+    scene.deserialize(saved.state);
+    return true;
+  }
+  
+  /**
+   * Switch to the scene stored in a slot and restore its state
+   * @param {string} slot - Slot name
+   * @returns {Promise<Scene|null>} The restored scene, or null if the slot is empty or the scene wasn't entered
+   */
+  async loadGame(slot) {
+    const saved = await this.load(slot);
+    if (!saved || !saved.scene) return null;
+    
+    // Unknown scene names and loads superseded by another change resolve null
+    const scene = await this.engine.sceneManager.switchTo(saved.scene);
+    if (!scene) {
+      console.warn(`[SaveManager] Could not load "${slot}": scene ${saved.scene} was not entered`);
+      return null;
+    }
+    
+    if (saved.state != null) {
+      scene.deserialize(saved.state);
+    }
+    return scene;
+  }
+  
+  /**
+   * Load persistent settings from storage
+   * @returns {Promise<Object>} Settings object
+   */
+  loadSettings() {
+    this.settingsLoaded = this.backend.getItem(this._settingsKey())
+      .then(json => {
+        this.settings = json ? JSON.parse(json) : {};
+      })
+      .catch(err => {
+        console.warn('[SaveManager] Could not read settings:', err);
+        this.settings = {};
+      })
+      .then(() => {
+        this._applyAudioSettings();
+        this._applyInputSettings();
+        return this.settings;
+      });
+    
+    return this.settingsLoaded;
+  }
+  
+  /**
+   * Get a setting
+   * @param {string} key - Setting name
+   * @param {*} defaultValue - Returned when the setting is not stored
+   * @returns {*}
+   */
+  getSetting(key, defaultValue = null) {
+    return key in this.settings ? this.settings[key] : defaultValue;
+  }
+  
+  /**
+   * Set a setting and persist all settings
+   * @param {string} key - Setting name
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  setSetting(key, value) {
+    this.settings[key] = value;
+    return this.backend.setItem(this._settingsKey(), JSON.stringify(this.settings))
+      .catch(err => {
+        console.warn('[SaveManager] Could not save settings:', err);
+      });
+  }
+  
+  /**
+   * Persist AudioManager volumes in the 'audio' setting and restore them on load
+   * @param {AudioManager} audioManager - Audio manager to bind
+   */
+  bindAudio(audioManager) {
+    this.audioManager = audioManager;
+    audioManager.onVolumeChange = (volumes) => {
+      this.setSetting('audio', volumes);
+    };
+    this._applyAudioSettings();
+  }
+  
+  /**
+   * Persist player input rebinds in the 'input' setting and restore them on load
+   * @param {InputHandler} inputHandler - Input handler to bind
+   */
+  bindInput(inputHandler) {
+    this.inputHandler = inputHandler;
+    inputHandler.onBindingsChange = (bindings) => {
+      this.setSetting('input', bindings);
+    };
+    this._applyInputSettings();
+  }
+  
+  /**
+   * Apply saved rebinds to the bound InputHandler
+   * @private
+   */
+  _applyInputSettings() {
+    if (this.inputHandler && this.settings.input) {
+      this.inputHandler.setUserBindings(this.settings.input);
+    }
+  }
+  
+  /**
+   * Apply saved volumes to the bound AudioManager
+   * @private
+   */
+  _applyAudioSettings() {
+    const volumes = this.settings.audio;
+    if (!this.audioManager || !volumes) return;
+    
+    // Don't write back the values being restored
+    const onVolumeChange = this.audioManager.onVolumeChange;
+    this.audioManager.onVolumeChange = null;
+    this.audioManager.setVolumes(volumes);
+    this.audioManager.onVolumeChange = onVolumeChange;
+  }
+  
+  /**
+   * Read and parse a slot record
+   * @private
+   */
+  async _readRecord(slot) {
+    try {
+      const json = await this.backend.getItem(this._slotKey(slot));
+      if (!json) return null;
+      
+      const record = JSON.parse(json);
+      return typeof record.version === 'number' ? record : null;
+    } catch (err) {
+      console.warn(`[SaveManager] Could not read slot "${slot}":`, err);
+      return null;
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _slotKey(slot) {
+    return `${this.namespace}:slot:${slot}`;
+  }
+  
+  /**
+   * @private
+   */
+  _settingsKey() {
+    return `${this.namespace}:settings`;
+  }
+}
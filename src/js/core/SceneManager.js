@@ -1,11 +1,46 @@
+import { SceneTransition } from './SceneTransition.js';
+import { LoadingScene } from '../scenes/LoadingScene.js';
+
 /**
  * SceneManager - Manages game scenes and holds the currentScene
+ *
+ * Scenes can be stacked with pushScene()/popScene() for overlays such as pause
+ * menus and dialogs. currentScene is always the top of the stack; only it
+ * receives input. Each stacked scene keeps its own set of layer entities.
+ *
+ * Scenes with an async init() are awaited before enter()/populateLayers(); a
+ * loading scene is shown meanwhile.
  */
 export class SceneManager {
   constructor(engine) {
     this.engine = engine;
     this.currentScene = null;
     this.scenes = new Map(); // Scene registry for name-based switching
+    
+    // Scene stack (bottom to top): {scene, layers, renderBelow, updateBelow}
+    // renderBelow/updateBelow control the scenes underneath that entry
+    this.sceneStack = [];
+    this.idleInput = null; // Input view with no input, given to covered scenes
+    
+    // Active transition effect (input is blocked while set)
+    this.transition = null;
+    this.transitionBuffers = null; // Reused offscreen canvases {from, to}
+    
+    // Async loading
+    this.loadingScene = null; // Scene shown during async init (default LoadingScene)
+    this.useLoadingScene = true;
+    this.loadToken = 0; // Incremented per scene change so stale loads are dropped
+    this.pendingLoads = new Set(); // {scene} per async init() still running
+  }
+  
+  /**
+   * Set the scene shown while an async init() runs
+   * It receives setProgress(progress, loaded, total) and setError(error) if it defines them
+   * @param {Scene|null} scene - Loading scene, or null to show nothing while loading
+   */
+  setLoadingScene(scene) {
+    this.loadingScene = scene;
+    this.useLoadingScene = scene !== null;
   }
   
   /**
@@ -20,46 +55,260 @@ export class SceneManager {
   /**
    * Switch to a scene by name
    * @param {string} sceneName - Name of the scene to switch to
+   * @param {string|Object|SceneTransition} transition - Optional transition (e.g. 'fade' or {type, duration, easing, color, direction})
+   * @returns {Promise<Scene|null>} Resolves once the scene is entered (null for unknown names or a superseded load), rejects if its init() fails
    */
-  switchTo(sceneName) {
+  switchTo(sceneName, transition = null) {
     const scene = this.scenes.get(sceneName);
     if (!scene) {
       console.warn(`Scene not found: ${sceneName}`);
-      return;
+      return Promise.resolve(null);
     }
-    this.changeScene(scene);
+    return this.changeScene(scene, transition);
   }
   
   /**
    * Change to a new scene
-   * Clears the LayerManager and populates it with the new scene's entities
+   * Exits every stacked scene, clears the LayerManager and populates it with
+   * the new scene's entities. With a transition, the last frame of the outgoing
+   * scene is kept and blended with the incoming scene until the effect completes
+   * (the outgoing scene is exited right away, so only the incoming one animates)
+   *
+   * If the new scene's init() returns a promise, the loading scene is shown and
+   * enter()/populateLayers() only run once it resolves
    * @param {Scene} newScene - Scene instance to switch to
+   * @param {string|Object|SceneTransition} transition - Optional transition
+   * @returns {Promise<Scene|null>} Resolves once the scene is entered (null if another change superseded it), rejects if its init() fails
    */
-  changeScene(newScene) {
-    // Exit current scene if it exists
-    if (this.currentScene && typeof this.currentScene.exit === 'function') {
-      this.currentScene.exit();
-    }
+  changeScene(newScene, transition = null) {
+    const token = ++this.loadToken;
+    
+    // Capture the outgoing frame before anything is torn down
+    const effect = this._captureTransition(transition);
+    
+    this._exitAll();
     
     // Set engine reference on new scene
     if (newScene) {
       newScene.setEngine(this.engine);
     }
     
-    // Clear LayerManager
-    this.engine.layerManager.clearAll();
+    // Run init() - synchronous scenes are entered this frame as before
+    const pending = newScene ? this._initScene(newScene) : null;
+    if (!pending) {
+      this._enterScene(newScene);
+      this._beginTransition(effect);
+      return Promise.resolve(newScene);
+    }
+    
+    // Async init: show the loading scene until assets are ready
+    const loadingScene = this._getLoadingScene();
+    if (loadingScene) {
+      loadingScene.setEngine(this.engine);
+      loadingScene.targetScene = newScene;
+      this._enterScene(loadingScene);
+    } else {
+      this._enterScene(null);
+    }
+    this._beginTransition(effect);
+    
+    const assetLoader = this.engine.assetLoader;
+    const onProgress = (progress, loaded, total) => {
+      if (loadingScene && typeof loadingScene.setProgress === 'function') {
+        loadingScene.setProgress(progress, loaded, total);
+      }
+    };
+    assetLoader.addProgressListener(onProgress);
+    const load = { scene: newScene };
+    this.pendingLoads.add(load);
+    
+    return pending.then(
+      () => {
+        assetLoader.removeProgressListener(onProgress);
+        this.pendingLoads.delete(load);
+        newScene.isInitialized = true;
+        
+        // Another scene change happened while loading - don't enter this one
+        if (token !== this.loadToken) {
+          this._dropSuperseded(newScene);
+          return null;
+        }
+        
+        const effectIn = this._captureTransition(transition);
+        this._exitAll();
+        this._enterScene(newScene);
+        this._beginTransition(effectIn);
+        return newScene;
+      },
+      (error) => {
+        assetLoader.removeProgressListener(onProgress);
+        this.pendingLoads.delete(load);
+        console.error(`Failed to initialize scene ${newScene.name}:`, error);
+        
+        if (token === this.loadToken && loadingScene && typeof loadingScene.setError === 'function') {
+          loadingScene.setError(error);
+        }
+        throw error;
+      }
+    );
+  }
+  
+  /**
+   * Push a scene on top of the current one (pause menu, dialog)
+   * The covered scene is paused, keeps its layer entities and stops receiving input
+   * @param {Scene|string} sceneOrName - Scene instance or registered scene name
+   * @param {Object} options - Overlay options
+   * @param {boolean} options.renderBelow - Keep rendering covered scenes (default: true)
+   * @param {boolean} options.updateBelow - Keep updating covered scenes (default: false)
+   * @param {string|Object|SceneTransition} options.transition - Optional transition
+   * @returns {Promise<Scene|null>} Resolves once the overlay is entered (after an async init()), null for unknown names
+   *   or a load superseded by a scene change; rejects if its init() fails
+   */
+  pushScene(sceneOrName, options = {}) {
+    const scene = typeof sceneOrName === 'string' ? this.scenes.get(sceneOrName) : sceneOrName;
+    if (!scene) {
+      console.warn(`Scene not found: ${sceneOrName}`);
+      return Promise.resolve(null);
+    }
+    
+    // Nothing to overlay - behave like a normal scene change
+    if (!this.currentScene) {
+      return this.changeScene(scene, options.transition);
+    }
     
-    // Set new scene
-    this.currentScene = newScene;
+    if (this.sceneStack.some(entry => entry.scene === scene)) {
+      console.warn(`Scene already on stack: ${scene.name}`);
+      return Promise.resolve(scene);
+    }
     
-    // Enter new scene (calls init() if not initialized)
-    if (newScene && typeof newScene.enter === 'function') {
-      newScene.enter();
+    // Overlays with an async init() are pushed once it resolves;
+    // the current scene stays interactive meanwhile
+    scene.setEngine(this.engine);
+    const pending = this._initScene(scene);
+    if (pending) {
+      const token = this.loadToken;
+      const load = { scene };
+      this.pendingLoads.add(load);
+      return pending.then(
+        () => {
+          this.pendingLoads.delete(load);
+          scene.isInitialized = true;
+          
+          // A scene change happened while loading - the overlay has nothing to cover
+          if (token !== this.loadToken) {
+            this._dropSuperseded(scene);
+            return null;
+          }
+          
+          this._pushNow(scene, options);
+          return scene;
+        },
+        (error) => {
+          this.pendingLoads.delete(load);
+          console.error(`Failed to initialize scene ${scene.name}:`, error);
+          throw error;
+        }
+      );
     }
     
-    // Populate LayerManager with new scene's entities
-    if (newScene && typeof newScene.populateLayers === 'function') {
-      newScene.populateLayers();
+    this._pushNow(scene, options);
+    return Promise.resolve(scene);
+  }
+  
+  /**
+   * Push an initialized scene onto the stack
+   * @private
+   */
+  _pushNow(scene, options) {
+    const effect = this._captureTransition(options.transition);
+    
+    // Pause the covered scene and take input away from it
+    const covered = this.currentScene;
+    if (typeof covered.pause === 'function') {
+      covered.pause();
+    }
+    covered.inputHandler = this._getIdleInput();
+    
+    // Give the overlay a fresh set of layers
+    this.engine.layerManager.detachLayers();
+    
+    this.currentScene = scene;
+    this.sceneStack.push(this._createEntry(scene, options));
+    
+    if (typeof scene.enter === 'function') {
+      scene.enter();
+    }
+    if (typeof scene.populateLayers === 'function') {
+      scene.populateLayers();
+    }
+    
+    this._beginTransition(effect);
+  }
+  
+  /**
+   * Pop the top scene and resume the one below it
+   * @param {string|Object|SceneTransition} transition - Optional transition
+   * @returns {Scene|null} The popped scene, or null if there was nothing to pop
+   */
+  popScene(transition = null) {
+    if (this.sceneStack.length < 2) {
+      console.warn('popScene: No overlay scene to pop');
+      return null;
+    }
+    
+    const effect = this._captureTransition(transition);
+    
+    const popped = this.sceneStack.pop().scene;
+    if (typeof popped.exit === 'function') {
+      popped.exit();
+    }
+    
+    // Restore the covered scene's layers and input
+    const entry = this.sceneStack[this.sceneStack.length - 1];
+    this.engine.layerManager.attachLayers(entry.layers);
+    this.currentScene = entry.scene;
+    this._restoreInput(entry.scene);
+    
+    if (typeof entry.scene.resume === 'function') {
+      entry.scene.resume();
+    }
+    
+    this._beginTransition(effect);
+    return popped;
+  }
+  
+  /**
+   * Get scenes on the stack (bottom to top)
+   * @returns {Scene[]}
+   */
+  getSceneStack() {
+    return this.sceneStack.map(entry => entry.scene);
+  }
+  
+  /**
+   * Check if a transition is running
+   * @returns {boolean}
+   */
+  isTransitioning() {
+    return this.transition !== null;
+  }
+  
+  /**
+   * Render the current frame (transition-aware)
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (this.transition) {
+      // Buffers are composited pixel for pixel; scenes draw in canvas space
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      this.transition.render(ctx, (targetCtx) => {
+        this.engine.applyViewTransform(targetCtx);
+        this._renderStack(targetCtx);
+      });
+      ctx.restore();
+    } else {
+      this._renderStack(ctx);
     }
   }
   
@@ -72,12 +321,235 @@ export class SceneManager {
   }
   
   /**
-   * Update current scene
+   * Update current scene (and covered scenes whose overlays allow it)
    * @param {number} deltaTime - Time since last frame
    */
   update(deltaTime) {
-    if (this.currentScene && typeof this.currentScene.update === 'function') {
-      this.currentScene.update(deltaTime);
+    // Advance transition; incoming scene keeps updating underneath it
+    if (this.transition && this.transition.update(deltaTime)) {
+      this._endTransition();
+    }
+    
+    const first = this._firstIndex('updateBelow');
+    for (let i = first; i < this.sceneStack.length; i++) {
+      const scene = this.sceneStack[i].scene;
+      if (scene && typeof scene.update === 'function') {
+        scene.update(deltaTime);
+      }
+    }
+  }
+  
+  /**
+   * Run a scene's init() if it hasn't been initialized
+   * @returns {Promise|null} The pending init() promise for async scenes, else null
+   * @private
+   */
+  _initScene(scene) {
+    if (scene.isInitialized || typeof scene.init !== 'function') {
+      return null;
+    }
+    
+    const result = scene.init();
+    if (result && typeof result.then === 'function') {
+      return result;
+    }
+    
+    scene.isInitialized = true;
+    return null;
+  }
+  
+  /**
+   * Make a scene the only scene on the stack: clear layers, enter, populate
+   * @private
+   */
+  _enterScene(scene) {
+    this.engine.layerManager.clearAll();
+    
+    this.currentScene = scene;
+    if (!scene) return;
+    
+    this.sceneStack.push(this._createEntry(scene, {}));
+    
+    // Enter new scene (init() has already run)
+    if (typeof scene.enter === 'function') {
+      scene.enter();
+    }
+    
+    // Populate LayerManager with new scene's entities
+    if (typeof scene.populateLayers === 'function') {
+      scene.populateLayers();
+    }
+  }
+  
+  /**
+   * Exit a scene whose load was superseded so it releases what init() loaded
+   * Skipped while the scene is on the stack or another load of it is running
+   * @private
+   */
+  _dropSuperseded(scene) {
+    if (this.sceneStack.some(entry => entry.scene === scene)) return;
+    for (const load of this.pendingLoads) {
+      if (load.scene === scene) return;
+    }
+    
+    this._restoreInput(scene);
+    if (typeof scene.exit === 'function') {
+      scene.exit();
+    }
+  }
+  
+  /**
+   * Exit every stacked scene (top first) and empty the stack
+   * @private
+   */
+  _exitAll() {
+    for (let i = this.sceneStack.length - 1; i >= 0; i--) {
+      const scene = this.sceneStack[i].scene;
+      // Covered scenes undo their bindings in exit() - give them the real handler first
+      this._restoreInput(scene);
+      if (scene && typeof scene.exit === 'function') {
+        scene.exit();
+      }
+    }
+    this.sceneStack = [];
+    this.currentScene = null;
+    
+    // Every scene starts with a fresh camera and default layer options
+    if (this.engine.camera) {
+      this.engine.camera.reset();
+    }
+    this.engine.layerManager.resetLayerOptions();
+  }
+  
+  /**
+   * Get the configured loading scene (creates the default on first use)
+   * @private
+   */
+  _getLoadingScene() {
+    if (!this.useLoadingScene) return null;
+    if (!this.loadingScene) {
+      this.loadingScene = new LoadingScene();
+    }
+    return this.loadingScene;
+  }
+  
+  /**
+   * Render visible stacked scenes bottom to top
+   * @private
+   */
+  _renderStack(ctx) {
+    const layerManager = this.engine.layerManager;
+    
+    if (this.sceneStack.length === 0) {
+      layerManager.render(ctx);
+      return;
+    }
+    
+    const first = this._firstIndex('renderBelow');
+    for (let i = first; i < this.sceneStack.length; i++) {
+      layerManager.render(ctx, this.sceneStack[i].layers);
+    }
+  }
+  
+  /**
+   * Get the lowest stack index reached from the top while each entry allows `flag`
+   * @private
+   */
+  _firstIndex(flag) {
+    let index = this.sceneStack.length - 1;
+    while (index > 0 && this.sceneStack[index][flag]) {
+      index--;
+    }
+    return Math.max(0, index);
+  }
+  
+  /**
+   * Create a stack entry owning the LayerManager's current layer set
+   * @private
+   */
+  _createEntry(scene, options) {
+    return {
+      scene,
+      layers: this.engine.layerManager.layerEntities,
+      renderBelow: options.renderBelow !== undefined ? options.renderBelow : true,
+      updateBelow: options.updateBelow !== undefined ? options.updateBelow : false
+    };
+  }
+  
+  /**
+   * Give a scene back the real input handler
+   * @private
+   */
+  _restoreInput(scene) {
+    if (scene && scene.engine) {
+      scene.inputHandler = this.engine.getInputHandler();
+    }
+  }
+  
+  /**
+   * Get the shared input view used by covered scenes
+   * @private
+   */
+  _getIdleInput() {
+    if (!this.idleInput) {
+      this.idleInput = this.engine.inputHandler.createIdleView();
+    }
+    return this.idleInput;
+  }
+  
+  /**
+   * Snapshot the current frame for a transition
+   * @private
+   */
+  _captureTransition(transition) {
+    const effect = this.currentScene ? SceneTransition.from(transition) : null;
+    if (effect) {
+      const buffers = this._getTransitionBuffers();
+      effect.start(this.engine.canvas, buffers.from, buffers.to);
+    }
+    return effect;
+  }
+  
+  /**
+   * Start a captured transition (replaces any transition still running)
+   * @private
+   */
+  _beginTransition(effect) {
+    if (effect) {
+      this.transition = effect;
+      this.engine.inputHandler.setBlocked(true);
+    } else if (this.transition) {
+      this._endTransition();
+    }
+  }
+  
+  /**
+   * Finish the active transition and unblock input
+   * @private
+   */
+  _endTransition() {
+    this.transition.finish();
+    this.transition = null;
+    this.engine.inputHandler.setBlocked(false);
+  }
+  
+  /**
+   * Get (or lazily create) the offscreen canvases used by transitions
+   * @private
+   */
+  _getTransitionBuffers() {
+    // Match the main canvas buffer (it grows with the screen in expand mode)
+    const { width, height } = this.engine.canvas;
+    const buffers = this.transitionBuffers;
+    if (!buffers || buffers.from.width !== width || buffers.from.height !== height) {
+      const create = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+      };
+      this.transitionBuffers = { from: create(), to: create() };
     }
+    return this.transitionBuffers;
   }
 }
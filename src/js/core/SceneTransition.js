@@ -0,0 +1,224 @@
+/**
+ * Easing functions shared by transitions (t in 0-1)
+ */
+export const Easing = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => 1 - (1 - t) * (1 - t),
+  easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+};
+
+/**
+ * SceneTransition - Visual effect played by SceneManager when changing scenes
+ *
+ * The outgoing scene is captured as a snapshot of the last drawn frame and the
+ * incoming scene keeps rendering live into a buffer, so both are visible while
+ * the effect runs. The outgoing side is a still image: it has already exited,
+ * so its animations, particles and video stop on the captured frame.
+ *
+ * Types:
+ * - fade      : Fade outgoing to a color, then fade incoming in from it
+ * - crossfade : Blend outgoing into incoming
+ * - slide     : Incoming pushes outgoing off-screen (direction: left/right/up/down)
+ * - wipe      : Incoming is revealed by a moving edge (direction: left/right/up/down)
+ * - circle    : Iris closes on outgoing to a color, then opens on incoming
+ */
+export class SceneTransition {
+  /**
+   * @param {Object} options - Transition settings
+   * @param {string} options.type - Transition type (default: 'fade')
+   * @param {number} options.duration - Duration in seconds (default: 0.5)
+   * @param {string} options.easing - Easing name from Easing (default: 'easeInOut')
+   * @param {string} options.color - Color for fade/circle (default: '#000000')
+   * @param {string} options.direction - Direction for slide/wipe (default: 'left')
+   */
+  constructor(options = {}) {
+    this.type = options.type || 'fade';
+    this.duration = options.duration !== undefined ? options.duration : 0.5;
+    this.easing = options.easing || 'easeInOut';
+    this.color = options.color || '#000000';
+    this.direction = options.direction || 'left';
+
+    if (!SceneTransition.TYPES.includes(this.type)) {
+      console.warn(`Unknown transition type: ${this.type}, using 'fade'`);
+      this.type = 'fade';
+    }
+
+    this.elapsed = 0;
+    this.fromCanvas = null;
+    this.toCanvas = null;
+  }
+
+  /**
+   * Create a transition from a type name, options object or instance
+   * @param {string|Object|SceneTransition|null} spec - Transition description
+   * @returns {SceneTransition|null} Null when no transition is requested
+   */
+  static from(spec) {
+    if (!spec) return null;
+    if (spec instanceof SceneTransition) return spec;
+    if (typeof spec === 'string') return new SceneTransition({ type: spec });
+    return new SceneTransition(spec);
+  }
+
+  /**
+   * Start the transition
+   * @param {HTMLCanvasElement} sourceCanvas - Canvas showing the outgoing scene's last frame
+   * @param {HTMLCanvasElement} fromCanvas - Buffer that receives the outgoing snapshot
+   * @param {HTMLCanvasElement} toCanvas - Buffer the incoming scene renders into
+   */
+  start(sourceCanvas, fromCanvas, toCanvas) {
+    this.elapsed = 0;
+    this.fromCanvas = fromCanvas;
+    this.toCanvas = toCanvas;
+
+    const fromCtx = fromCanvas.getContext('2d');
+    fromCtx.clearRect(0, 0, fromCanvas.width, fromCanvas.height);
+    fromCtx.drawImage(sourceCanvas, 0, 0, fromCanvas.width, fromCanvas.height);
+  }
+
+  /**
+   * Advance the transition
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @returns {boolean} True when the transition has finished
+   */
+  update(deltaTime) {
+    this.elapsed += deltaTime;
+    return this.isComplete();
+  }
+
+  /**
+   * Check if the transition has finished
+   * @returns {boolean}
+   */
+  isComplete() {
+    return this.elapsed >= this.duration;
+  }
+
+  /**
+   * Get eased progress (0-1)
+   * @returns {number}
+   */
+  getProgress() {
+    const t = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+    const ease = Easing[this.easing] || Easing.linear;
+    return ease(t);
+  }
+
+  /**
+   * Render the transition frame
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Function} renderIncoming - Callback(ctx) that draws the incoming scene
+   */
+  render(ctx, renderIncoming) {
+    const width = this.toCanvas.width;
+    const height = this.toCanvas.height;
+    const p = this.getProgress();
+
+    // Render the incoming scene into its buffer
+    const toCtx = this.toCanvas.getContext('2d');
+    toCtx.setTransform(1, 0, 0, 1, 0, 0);
+    toCtx.clearRect(0, 0, width, height);
+    renderIncoming(toCtx);
+
+    ctx.save();
+
+    switch (this.type) {
+      case 'fade':
+        // First half: outgoing -> color, second half: color -> incoming
+        if (p < 0.5) {
+          ctx.drawImage(this.fromCanvas, 0, 0);
+          ctx.globalAlpha = p * 2;
+        } else {
+          ctx.drawImage(this.toCanvas, 0, 0);
+          ctx.globalAlpha = (1 - p) * 2;
+        }
+        ctx.fillStyle = this.color;
+        ctx.fillRect(0, 0, width, height);
+        break;
+
+      case 'crossfade':
+        ctx.drawImage(this.fromCanvas, 0, 0);
+        ctx.globalAlpha = p;
+        ctx.drawImage(this.toCanvas, 0, 0);
+        break;
+
+      case 'slide': {
+        const { dx, dy } = this._directionVector();
+        ctx.drawImage(this.fromCanvas, -dx * p * width, -dy * p * height);
+        ctx.drawImage(this.toCanvas, dx * (1 - p) * width, dy * (1 - p) * height);
+        break;
+      }
+
+      case 'wipe': {
+        const { dx, dy } = this._directionVector();
+        ctx.drawImage(this.fromCanvas, 0, 0);
+
+        // Reveal edge travels in the transition direction
+        let clipX = 0;
+        let clipY = 0;
+        let clipW = width;
+        let clipH = height;
+        if (dx !== 0) {
+          clipW = width * p;
+          clipX = dx > 0 ? width - clipW : 0;
+        } else {
+          clipH = height * p;
+          clipY = dy > 0 ? height - clipH : 0;
+        }
+
+        ctx.beginPath();
+        ctx.rect(clipX, clipY, clipW, clipH);
+        ctx.clip();
+        ctx.drawImage(this.toCanvas, 0, 0);
+        break;
+      }
+
+      case 'circle': {
+        // Iris closes to the color over outgoing, then opens over incoming
+        const maxRadius = Math.sqrt(width * width + height * height) / 2;
+        const radius = p < 0.5 ? maxRadius * (1 - p * 2) : maxRadius * (p * 2 - 1);
+
+        ctx.drawImage(p < 0.5 ? this.fromCanvas : this.toCanvas, 0, 0);
+
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        ctx.arc(width / 2, height / 2, Math.max(0, radius), 0, Math.PI * 2);
+        ctx.fillStyle = this.color;
+        ctx.fill('evenodd');
+        break;
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Release buffer references
+   */
+  finish() {
+    this.fromCanvas = null;
+    this.toCanvas = null;
+  }
+
+  /**
+   * Get the unit vector the incoming scene moves along
+   * 'left' means the incoming scene enters from the right moving left
+   * @private
+   */
+  _directionVector() {
+    switch (this.direction) {
+      case 'right': return { dx: -1, dy: 0 };
+      case 'up': return { dx: 0, dy: 1 };
+      case 'down': return { dx: 0, dy: -1 };
+      case 'left':
+      default:
+        return { dx: 1, dy: 0 };
+    }
+  }
+}
+
+/**
+ * Supported transition types
+ */
+SceneTransition.TYPES = ['fade', 'crossfade', 'slide', 'wipe', 'circle'];
@@ -0,0 +1,323 @@
+import { Sprite } from './Sprite.js';
+
+/**
+ * AnimatedSprite - Sprite with frame-based animation support
+ * Uses the standardized sprite-sheet JSON schema (see docs section 3)
+ */
+export class AnimatedSprite extends Sprite {
+  constructor(x = 0, y = 0, sheetImage = null, metadata = null) {
+    super(x, y, 0, 0);
+
+    // Sprite-sheet data
+    this.sheetImage = null;
+    this.meta = null;
+    this.animations = {};
+
+    // Animation state
+    this.currentAnimation = null;
+    this.currentFrame = 0;
+    this.frameTimer = 0;
+    this.isPlaying = false;
+    this.onAnimationEnd = null;
+    this.queue = [];
+
+    // Frame event callbacks
+    this.onFrameEvent = null; // Callback(event, frame, animationName) for every event
+    this.eventHandlers = new Map(); // event type -> Array of handlers
+
+    if (metadata) {
+      this.setSpriteSheet(sheetImage, metadata);
+    }
+  }
+
+  /**
+   * Load a sprite sheet JSON file and its image, then create an AnimatedSprite
+   * The image path is resolved from meta.image relative to the JSON file
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} jsonPath - Path to sprite-sheet JSON
+   * @param {Image} sheetImage - Optional pre-loaded sheet image
+   * @returns {Promise<AnimatedSprite>}
+   */
+  static async load(x, y, jsonPath, sheetImage = null) {
+    const response = await fetch(jsonPath);
+    if (!response.ok) {
+      throw new Error(`Failed to load sprite sheet: ${jsonPath} (${response.status})`);
+    }
+    const metadata = await response.json();
+
+    if (!sheetImage) {
+      const basePath = jsonPath.substring(0, jsonPath.lastIndexOf('/') + 1);
+      sheetImage = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Failed to load sprite sheet image: ${metadata.meta.image}`));
+        img.src = basePath + metadata.meta.image;
+      });
+    }
+
+    return new AnimatedSprite(x, y, sheetImage, metadata);
+  }
+
+  /**
+   * Set the sheet image and metadata
+   * Width/height default to frameSize × meta.scale
+   * @param {Image} sheetImage - Sprite sheet image
+   * @param {Object} metadata - Sprite-sheet JSON ({ meta, animations })
+   */
+  setSpriteSheet(sheetImage, metadata) {
+    if (!metadata || !metadata.meta || !metadata.meta.frameSize) {
+      console.warn('AnimatedSprite: Invalid sprite sheet metadata (missing meta.frameSize)');
+      return;
+    }
+
+    this.sheetImage = sheetImage;
+    this.meta = metadata.meta;
+    this.animations = metadata.animations || {};
+
+    const scale = this.meta.scale || 1;
+    if (this.width === 0) this.width = this.meta.frameSize.w * scale;
+    if (this.height === 0) this.height = this.meta.frameSize.h * scale;
+  }
+
+  /**
+   * Play an animation by name
+   * Clears any queued animations
+   * @param {string} name - Animation name from metadata
+   * @param {function} onEnd - Optional callback when non-looping animation ends
+   * @param {boolean} restart - Restart even if already playing this animation
+   */
+  play(name, onEnd = null, restart = false) {
+    if (!this.animations[name]) {
+      console.warn(`Animation not found: ${name}`);
+      return;
+    }
+
+    this.queue = [];
+
+    // Don't restart if already playing same animation
+    if (!restart && this.currentAnimation === name && this.isPlaying) {
+      this.onAnimationEnd = onEnd;
+      return;
+    }
+
+    this._start(name, onEnd);
+  }
+
+  /**
+   * Queue an animation to play after the current one finishes
+   * Looping animations hand over at the end of their current cycle
+   * @param {string} name - Animation name from metadata
+   * @param {function} onEnd - Optional callback when this animation ends
+   */
+  queueAnimation(name, onEnd = null) {
+    if (!this.animations[name]) {
+      console.warn(`Animation not found: ${name}`);
+      return;
+    }
+
+    if (!this.isPlaying) {
+      this._start(name, onEnd);
+      return;
+    }
+
+    this.queue.push({ name, onEnd });
+  }
+
+  /**
+   * Clear queued animations
+   */
+  clearQueue() {
+    this.queue = [];
+  }
+
+  /**
+   * Stop the current animation and reset to its first frame
+   */
+  stop() {
+    this.isPlaying = false;
+    this.currentFrame = 0;
+    this.frameTimer = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Pause on the current frame
+   */
+  pause() {
+    this.isPlaying = false;
+  }
+
+  /**
+   * Resume a paused animation
+   */
+  resume() {
+    if (this.currentAnimation) {
+      this.isPlaying = true;
+    }
+  }
+
+  /**
+   * Register a handler for a frame event type
+   * Events are declared as "type:argument" strings (e.g. "playSound:sword_swing")
+   * @param {string} type - Event type (part before the colon)
+   * @param {function} handler - Callback(argument, frame, animationName)
+   */
+  on(type, handler) {
+    if (!this.eventHandlers.has(type)) {
+      this.eventHandlers.set(type, []);
+    }
+    this.eventHandlers.get(type).push(handler);
+  }
+
+  /**
+   * Remove a frame event handler
+   * @param {string} type - Event type
+   * @param {function} handler - Handler to remove
+   */
+  off(type, handler) {
+    const handlers = this.eventHandlers.get(type);
+    if (!handlers) return;
+
+    const index = handlers.indexOf(handler);
+    if (index > -1) {
+      handlers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Update animation frame based on deltaTime
+   * @param {number} dt - Delta time in SECONDS
+   */
+  update(dt) {
+    if (!this.isPlaying || !this.currentAnimation) return;
+
+    let anim = this.animations[this.currentAnimation];
+    let frameDuration = 1 / anim.frameRate; // seconds per frame
+
+    this.frameTimer += dt;
+
+    // Advance frame(s) - handles frame skipping if dt is large
+    while (this.isPlaying && this.frameTimer >= frameDuration) {
+      this.frameTimer -= frameDuration;
+      this.currentFrame++;
+      this.dirty = true; // Redraw cached layers
+
+      // Check for animation end
+      if (this.currentFrame >= anim.frames) {
+        const finished = this.currentAnimation;
+        const onEnd = this.onAnimationEnd;
+
+        if (this.queue.length > 0) {
+          const next = this.queue.shift();
+          const leftover = this.frameTimer;
+          this._start(next.name, next.onEnd);
+          this.frameTimer = leftover;
+          if (onEnd) onEnd(finished);
+
+          anim = this.animations[this.currentAnimation];
+          frameDuration = 1 / anim.frameRate;
+          continue;
+        }
+
+        if (anim.loop) {
+          this.currentFrame = 0;
+        } else {
+          this.currentFrame = anim.frames - 1; // Stay on last frame
+          this.isPlaying = false;
+          this.frameTimer = 0;
+          if (onEnd) onEnd(finished);
+          break;
+        }
+      }
+
+      this._fireFrameEvents();
+    }
+  }
+
+  /**
+   * Render current animation frame
+   * Falls back to Sprite rendering when no sheet is set
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible || !this.active) return;
+
+    const anim = this.animations[this.currentAnimation];
+    if (!this.sheetImage || !anim) {
+      super.render(ctx);
+      return;
+    }
+    if (!this.sheetImage.complete) return;
+
+    // Calculate source rectangle on sprite sheet
+    // startFrame offsets the first column; frames past the row end wrap to the next row
+    const srcW = this.meta.frameSize.w;
+    const srcH = this.meta.frameSize.h;
+    const sheetWidth = (this.meta.size && this.meta.size.w) || this.sheetImage.width;
+    const columns = Math.max(1, Math.floor(sheetWidth / srcW));
+    const index = (anim.startFrame || 0) + this.currentFrame;
+    const srcX = (index % columns) * srcW;
+    const srcY = (anim.row + Math.floor(index / columns)) * srcH;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+    ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
+    ctx.rotate(this.rotation);
+    ctx.scale(this.scaleX, this.scaleY);
+
+    ctx.drawImage(
+      this.sheetImage,
+      srcX, srcY, srcW, srcH,            // Source rectangle
+      -this.width / 2, -this.height / 2, // Destination position
+      this.width, this.height            // Destination size
+    );
+
+    ctx.restore();
+  }
+
+  /**
+   * Start an animation from its first frame
+   * @private
+   */
+  _start(name, onEnd) {
+    this.currentAnimation = name;
+    this.currentFrame = 0;
+    this.frameTimer = 0;
+    this.isPlaying = true;
+    this.onAnimationEnd = onEnd;
+    this.dirty = true;
+
+    this._fireFrameEvents();
+  }
+
+  /**
+   * Fire events declared for the current frame
+   * @private
+   */
+  _fireFrameEvents() {
+    const anim = this.animations[this.currentAnimation];
+    if (!anim || !anim.events) return;
+
+    const event = anim.events[this.currentFrame];
+    if (!event) return;
+
+    const events = Array.isArray(event) ? event : [event];
+    for (const evt of events) {
+      const separator = evt.indexOf(':');
+      const type = separator > -1 ? evt.substring(0, separator) : evt;
+      const arg = separator > -1 ? evt.substring(separator + 1) : null;
+
+      if (this.onFrameEvent) {
+        this.onFrameEvent(evt, this.currentFrame, this.currentAnimation);
+      }
+
+      const handlers = this.eventHandlers.get(type);
+      if (handlers) {
+        for (const handler of handlers) {
+          handler(arg, this.currentFrame, this.currentAnimation);
+        }
+      }
+    }
+  }
+}
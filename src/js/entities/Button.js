@@ -1,5 +1,16 @@
+import { drawNineSlice } from './NineSlice.js';
+
 /**
- * Button - A reusable button that checks for clicks
+ * Button - A reusable UI button
+ *
+ * States: normal, hover, pressed, disabled. Each state can have its own color
+ * or image (optionally drawn as a nine-slice); without one, hover and pressed
+ * darken/lighten the normal look.
+ *
+ * Clicks follow pointer capture: pointerDown() on the button captures the
+ * pointer, dragging off cancels the press, and onClick fires from pointerUp()
+ * only when released on the button. Button.processInput() runs this for a set
+ * of buttons so only the top-most one under the pointer reacts.
  */
 export class Button {
   constructor(x = 0, y = 0, w = 200, h = 80, text = '', color = '#4a90e2', alpha = 1, onClick = null) {
@@ -13,6 +24,156 @@ export class Button {
     this.onClick = onClick;
     
     this.visible = true;
+    this.enabled = true;
+    
+    // State visuals (null = derived from color)
+    this.hoverColor = null;
+    this.pressedColor = null;
+    this.disabledColor = null;
+    this.images = {};       // { normal, hover, pressed, disabled } images
+    this.nineSlice = null;  // Corner insets to draw images as nine-slices
+    this.cornerRadius = 0;
+    
+    // Label
+    this.textColor = '#ffffff';
+    this.font = '48px Arial'; // Fonts loaded with AssetLoader.loadFont() work by family name
+    
+    // Feedback
+    this.pressScale = 0.94;   // Scale while pressed (1 = no press animation)
+    this.clickSound = null;   // SFX id played on click
+    this.audioManager = null; // AudioManager used for clickSound
+    this.scaleX = 1;
+    this.scaleY = 1;
+    
+    // Pointer state
+    this.hovered = false;
+    this.pressed = false;       // Captured a pointer press
+    this.pressedInside = false; // Captured pointer is still over the button
+    this.currentScale = 1;
+  }
+  
+  /**
+   * Current visual state
+   * @returns {string} 'normal' | 'hover' | 'pressed' | 'disabled'
+   */
+  getState() {
+    if (!this.enabled) return 'disabled';
+    if (this.pressed && this.pressedInside) return 'pressed';
+    if (this.hovered || this.pressed) return 'hover';
+    return 'normal';
+  }
+  
+  /**
+   * Enable or disable the button (disabled buttons ignore input)
+   * @param {boolean} enabled - Enabled state
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.cancel();
+  }
+  
+  /**
+   * Check if a point is within button bounds
+   * Uses exclusive boundaries on right/bottom edges (standard rectangle collision)
+   * @param {number} x - X coordinate (in canvas space)
+   * @param {number} y - Y coordinate (in canvas space)
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    return x >= this.x && x < this.x + this.w &&
+           y >= this.y && y < this.y + this.h;
+  }
+  
+  /**
+   * Box covering the drawn button (scale included), used for view culling
+   * @returns {Object} { x, y, width, height }
+   */
+  getBounds() {
+    const width = Math.abs(this.w * this.scaleX * Math.max(1, this.currentScale));
+    const height = Math.abs(this.h * this.scaleY * Math.max(1, this.currentScale));
+    return {
+      x: this.x + (this.w - width) / 2,
+      y: this.y + (this.h - height) / 2,
+      width,
+      height
+    };
+  }
+  
+  /**
+   * Pointer went down - capture it if it is on the button
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the button captured the press
+   */
+  pointerDown(x, y) {
+    if (!this.visible || !this.enabled || !this.contains(x, y)) return false;
+    
+    this.pressed = true;
+    this.pressedInside = true;
+    this.hovered = true;
+    return true;
+  }
+  
+  /**
+   * Pointer moved - track hover and whether a captured press is still inside
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {boolean} hoverAllowed - False when a button above is under the pointer
+   */
+  pointerMove(x, y, hoverAllowed = true) {
+    const inside = this.visible && this.enabled && this.contains(x, y);
+    this.hovered = inside && hoverAllowed;
+    if (this.pressed) {
+      this.pressedInside = inside;
+    }
+  }
+  
+  /**
+   * Pointer went up - click if the press was captured and released on the button
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the button was clicked
+   */
+  pointerUp(x, y) {
+    if (!this.pressed) return false;
+    
+    this.pressed = false;
+    this.pressedInside = false;
+    if (!this.enabled || !this.contains(x, y)) return false;
+    
+    this.click();
+    return true;
+  }
+  
+  /**
+   * Drop a captured press without clicking
+   */
+  cancel() {
+    this.pressed = false;
+    this.pressedInside = false;
+    this.hovered = false;
+  }
+  
+  /**
+   * Fire the click (sound and onClick)
+   */
+  click() {
+    if (this.clickSound && this.audioManager) {
+      this.audioManager.playSFX(this.clickSound);
+    }
+    if (this.onClick) {
+      this.onClick(this);
+    }
+  }
+  
+  /**
+   * Animate the press scale
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    const target = this.getState() === 'pressed' ? this.pressScale : 1;
+    // Close ~95% of the gap in 0.1s regardless of frame rate
+    this.currentScale += (target - this.currentScale) * Math.min(1, deltaTime * 30);
   }
   
   /**
@@ -22,40 +183,204 @@ export class Button {
   render(ctx) {
     if (!this.visible) return;
     
+    const state = this.getState();
+    const scaleX = this.scaleX * this.currentScale;
+    const scaleY = this.scaleY * this.currentScale;
+    
     ctx.save();
-    ctx.globalAlpha = this.alpha;
-    ctx.fillStyle = this.color;
-    ctx.fillRect(this.x, this.y, this.w, this.h);
+    ctx.globalAlpha = this.alpha * (state === 'disabled' && !this.disabledColor && !this.images.disabled ? 0.5 : 1);
+    
+    // Scale around the center
+    const cx = this.x + this.w / 2;
+    const cy = this.y + this.h / 2;
+    ctx.translate(cx, cy);
+    ctx.scale(scaleX, scaleY);
+    ctx.translate(-cx, -cy);
+    
+    const image = this.images[state] || this.images.normal;
+    if (image) {
+      if (this.cornerRadius > 0) {
+        this._roundRectPath(ctx);
+        ctx.clip();
+      }
+      if (this.nineSlice) {
+        drawNineSlice(ctx, image, this.x, this.y, this.w, this.h, this.nineSlice);
+      } else {
+        ctx.drawImage(image, this.x, this.y, this.w, this.h);
+      }
+    } else {
+      ctx.fillStyle = this._stateColor(state);
+      this._fillShape(ctx);
+    }
+    
+    // States without their own color or image shade the normal look
+    const hasOwnLook = (state === 'hover' && (this.hoverColor || this.images.hover)) ||
+                       (state === 'pressed' && (this.pressedColor || this.images.pressed));
+    if (!hasOwnLook && (state === 'hover' || state === 'pressed')) {
+      ctx.fillStyle = state === 'hover' ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.2)';
+      this._fillShape(ctx);
+    }
     
     // Render text if present
     if (this.text) {
-      ctx.fillStyle = '#ffffff';
-      ctx.font = '48px Arial';
+      ctx.fillStyle = this.textColor;
+      ctx.font = this.font;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(this.text, this.x + this.w / 2, this.y + this.h / 2);
+      ctx.fillText(this.text, cx, cy);
     }
     
     ctx.restore();
   }
   
   /**
-   * Check if click coordinates are within button bounds
-   * Uses exclusive boundaries on right/bottom edges (standard rectangle collision)
+   * Check if click coordinates are within button bounds and click immediately
+   * Kept for scenes that handle mouse.pressed themselves; prefer processInput()
+   * (click on release, pressed visuals, top-most-first)
    * @param {number} mouseX - Mouse X coordinate (in canvas space)
    * @param {number} mouseY - Mouse Y coordinate (in canvas space)
    * @returns {boolean} True if click is within button
    */
   checkClick(mouseX, mouseY) {
-    if (!this.visible) return false;
+    if (!this.visible || !this.enabled) return false;
     
-    const clicked = mouseX >= this.x && mouseX < this.x + this.w &&
-                    mouseY >= this.y && mouseY < this.y + this.h;
+    const clicked = this.contains(mouseX, mouseY);
     
-    if (clicked && this.onClick) {
-      this.onClick(this);
+    if (clicked) {
+      this.click();
     }
     
     return clicked;
   }
+  
+  /**
+   * Run pointer input for a set of buttons (call once per frame in update())
+   * Only the top-most button under a pointer gets hover and the press. Each
+   * touch is captured separately, so one finger can hold a virtual joystick
+   * while another presses buttons; touches captured by a VirtualControl are
+   * ignored. The mouse is only used when it is a real mouse.
+   * @param {InputHandler} inputHandler - Input handler
+   * @param {Array<Object>} buttons - Buttons (or objects with the same pointer methods), top-most first
+   */
+  static processInput(inputHandler, buttons) {
+    let state = Button.pointerState.get(inputHandler);
+    if (!state) {
+      state = { captures: new Map(), seen: new Set() }; // pointer id -> button, ids seen last frame
+      Button.pointerState.set(inputHandler, state);
+    }
+    const { captures, seen } = state;
+    const mouse = inputHandler.mouse;
+    const realMouse = !mouse.touch;
+    const ended = inputHandler.endedTouches;
+    
+    const topAt = (x, y) => buttons.find(button =>
+      button.visible !== false && button.enabled !== false && button.contains(x, y)
+    ) || null;
+    
+    // Hover: every touch, plus the mouse when it is a real one
+    const points = inputHandler.touches.map(touch => ({ id: touch.id, x: touch.x, y: touch.y }));
+    if (realMouse) {
+      points.push({ id: 'mouse', x: mouse.x, y: mouse.y });
+    }
+    const hoveredBy = new Map();
+    for (const point of points) {
+      const top = topAt(point.x, point.y);
+      if (top && !hoveredBy.has(top)) hoveredBy.set(top, point);
+    }
+    
+    for (const button of buttons) {
+      const captured = Array.from(captures).find(([, owner]) => owner === button);
+      const point = captured ? points.find(p => p.id === captured[0]) : hoveredBy.get(button);
+      if (point) {
+        button.pointerMove(point.x, point.y, hoveredBy.get(button) === point);
+      } else {
+        button.pointerMove(mouse.x, mouse.y, false);
+      }
+    }
+    
+    // New presses (a touch lifted within one frame still gets its tap)
+    const presses = [];
+    if (realMouse && mouse.pressed) {
+      presses.push({ id: 'mouse', x: mouse.x, y: mouse.y });
+    }
+    for (const touch of inputHandler.touches) {
+      if (!seen.has(touch.id)) presses.push({ id: touch.id, x: touch.startX, y: touch.startY });
+    }
+    for (const touch of ended) {
+      if (!seen.has(touch.id)) presses.push(touch);
+    }
+    
+    for (const press of presses) {
+      if (inputHandler.getPointerOwner(press.id)) continue;
+      
+      const top = topAt(press.x, press.y);
+      const busy = Array.from(captures.values()).includes(top);
+      if (top && !busy && top.pointerDown(press.x, press.y)) {
+        captures.set(press.id, top);
+        inputHandler.claimPointer(press.id, top);
+      }
+    }
+    
+    // Releases, and presses whose pointer vanished (input blocked or reset, touch cancelled)
+    for (const [id, button] of Array.from(captures)) {
+      const release = id === 'mouse'
+        ? (mouse.released ? mouse : null)
+        : ended.find(touch => touch.id === id);
+      const active = id === 'mouse' ? realMouse && mouse.down : inputHandler.touches.some(touch => touch.id === id);
+      if (active) continue;
+      
+      captures.delete(id);
+      if (!buttons.includes(button)) continue;
+      if (release) {
+        button.pointerUp(release.x, release.y);
+      } else {
+        button.cancel();
+      }
+    }
+    
+    // Pressed without a capture (e.g. the state was reset elsewhere)
+    const captured = new Set(captures.values());
+    for (const button of buttons) {
+      if (button.pressed && !captured.has(button)) button.cancel();
+    }
+    
+    seen.clear();
+    inputHandler.touches.forEach(touch => seen.add(touch.id));
+  }
+  
+  /**
+   * Fill the button shape (rounded when cornerRadius > 0)
+   * @private
+   */
+  _fillShape(ctx) {
+    if (this.cornerRadius > 0) {
+      this._roundRectPath(ctx);
+      ctx.fill();
+    } else {
+      ctx.fillRect(this.x, this.y, this.w, this.h);
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _roundRectPath(ctx) {
+    ctx.beginPath();
+    ctx.roundRect(this.x, this.y, this.w, this.h, Math.min(this.cornerRadius, this.w / 2, this.h / 2));
+  }
+  
+  /**
+   * @private
+   */
+  _stateColor(state) {
+    if (state === 'hover' && this.hoverColor) return this.hoverColor;
+    if (state === 'pressed' && this.pressedColor) return this.pressedColor;
+    if (state === 'disabled' && this.disabledColor) return this.disabledColor;
+    return this.color;
+  }
 }
+
+/**
+ * Per-InputHandler pointer captures used by processInput()
+ */
+Button.pointerState = new WeakMap();
@@ -0,0 +1,161 @@
+import { Widget } from './Widget.js';
+
+/**
+ * Label - Text with word wrap
+ *
+ * Wraps at `width` (0 = no wrap) and honors '\n'. Lines are re-measured only
+ * when the text, font or width change.
+ */
+export class Label extends Widget {
+  /**
+   * @param {Object} options - Widget settings plus:
+   * @param {string} options.text - Text
+   * @param {string} options.font - CSS font (default: '48px Arial')
+   * @param {string} options.color - Text color (default: '#ffffff')
+   * @param {string} options.textAlign - 'left' | 'center' | 'right' within width
+   * @param {number} options.lineHeight - Line spacing in pixels (default: 1.25 x font size)
+   * @param {number} options.maxLines - Lines kept when wrapping (0 = all; the last one gets '…')
+   * @param {string} options.shadowColor - Optional text shadow color
+   */
+  constructor(options = {}) {
+    super(options);
+    this.text = options.text !== undefined ? String(options.text) : '';
+    this.font = options.font || '48px Arial';
+    this.color = options.color || '#ffffff';
+    this.textAlign = options.textAlign || 'left';
+    this.lineHeight = options.lineHeight || 0;
+    this.maxLines = options.maxLines || 0;
+    this.shadowColor = options.shadowColor || null;
+
+    this.lines = [];
+    this.wrapKey = null; // text/font/width the lines were measured for
+  }
+
+  /**
+   * Change the text
+   * @param {string} text - New text
+   */
+  setText(text) {
+    this.text = String(text);
+  }
+
+  /**
+   * Render the wrapped text
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible || !this.text) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+    ctx.font = this.font;
+    ctx.fillStyle = this.color;
+    ctx.textAlign = this.textAlign;
+    ctx.textBaseline = 'top';
+    if (this.shadowColor) {
+      ctx.shadowColor = this.shadowColor;
+      ctx.shadowBlur = 4;
+      ctx.shadowOffsetY = 2;
+    }
+
+    const lines = this._getLines(ctx);
+    const lineHeight = this._getLineHeight();
+    const x = this.textAlign === 'center' ? this.x + this.width / 2
+      : this.textAlign === 'right' ? this.x + this.width
+      : this.x;
+
+    lines.forEach((line, i) => {
+      ctx.fillText(line, x, this.y + i * lineHeight);
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Box covering the text, used for view culling
+   * Unwrapped labels (width 0) have no known extent and return null (always drawn).
+   * @returns {Object|null} { x, y, width, height }
+   */
+  getBounds() {
+    if (!this.width) return null;
+    return { x: this.x, y: this.y, width: this.width, height: Math.max(this.height, this.getTextHeight()) };
+  }
+
+  /**
+   * Height the wrapped text takes
+   * Measured on demand, so it is known before the first render (culling, layout)
+   * @returns {number}
+   */
+  getTextHeight() {
+    return this._measureLines().length * this._getLineHeight();
+  }
+
+  /**
+   * Wrapped lines measured outside render() with a shared offscreen context
+   * @private
+   */
+  _measureLines() {
+    if (!this.text) return [];
+
+    if (!Label.measureContext && typeof document !== 'undefined') {
+      Label.measureContext = document.createElement('canvas').getContext('2d');
+    }
+    const ctx = Label.measureContext;
+    if (!ctx) return this.lines;
+
+    ctx.font = this.font;
+    return this._getLines(ctx);
+  }
+
+  /**
+   * Wrapped lines, re-measured when text, font or width changed
+   * @private
+   */
+  _getLines(ctx) {
+    const key = `${this.font}|${this.width}|${this.maxLines}|${this.text}`;
+    if (key === this.wrapKey) return this.lines;
+
+    this.wrapKey = key;
+    this.lines = [];
+
+    for (const paragraph of this.text.split('\n')) {
+      if (!this.width) {
+        this.lines.push(paragraph);
+        continue;
+      }
+
+      let line = '';
+      for (const word of paragraph.split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > this.width) {
+          this.lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      this.lines.push(line);
+    }
+
+    if (this.maxLines && this.lines.length > this.maxLines) {
+      this.lines.length = this.maxLines;
+      this.lines[this.maxLines - 1] += '…';
+    }
+
+    return this.lines;
+  }
+
+  /**
+   * @private
+   */
+  _getLineHeight() {
+    if (this.lineHeight) return this.lineHeight;
+    const size = /(\d+(?:\.\d+)?)px/.exec(this.font);
+    return (size ? parseFloat(size[1]) : 48) * 1.25;
+  }
+}
+
+/**
+ * Context used to wrap text before a label is drawn (created on first use)
+ */
+Label.measureContext = null;
@@ -0,0 +1,50 @@
+/**
+ * Draw an image as a nine-slice: corners keep their size, edges stretch along
+ * one axis and the center stretches both ways. Used by Button (and UI widgets)
+ * so one small frame image fits any size without blurry corners.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+ * @param {number} x - Destination X
+ * @param {number} y - Destination Y
+ * @param {number} width - Destination width
+ * @param {number} height - Destination height
+ * @param {Object|number} insets - Corner size in source pixels: { left, top, right, bottom } or one number for all
+ */
+export function drawNineSlice(ctx, image, x, y, width, height, insets) {
+  const edge = typeof insets === 'number'
+    ? { left: insets, top: insets, right: insets, bottom: insets }
+    : { left: 0, top: 0, right: 0, bottom: 0, ...insets };
+
+  const sw = image.naturalWidth || image.width;
+  const sh = image.naturalHeight || image.height;
+
+  // Shrink the corners when the destination is smaller than both corners together
+  const fitX = Math.min(1, width / Math.max(1, edge.left + edge.right));
+  const fitY = Math.min(1, height / Math.max(1, edge.top + edge.bottom));
+  const dl = edge.left * fitX;
+  const dr = edge.right * fitX;
+  const dt = edge.top * fitY;
+  const db = edge.bottom * fitY;
+
+  const sx = [0, edge.left, sw - edge.right];
+  const sWidths = [edge.left, sw - edge.left - edge.right, edge.right];
+  const sy = [0, edge.top, sh - edge.bottom];
+  const sHeights = [edge.top, sh - edge.top - edge.bottom, edge.bottom];
+
+  const dx = [x, x + dl, x + width - dr];
+  const dWidths = [dl, width - dl - dr, dr];
+  const dy = [y, y + dt, y + height - db];
+  const dHeights = [dt, height - dt - db, db];
+
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      if (sWidths[col] <= 0 || sHeights[row] <= 0 || dWidths[col] <= 0 || dHeights[row] <= 0) continue;
+      ctx.drawImage(
+        image,
+        sx[col], sy[row], sWidths[col], sHeights[row],
+        dx[col], dy[row], dWidths[col], dHeights[row]
+      );
+    }
+  }
+}
@@ -0,0 +1,58 @@
+import { Widget } from './Widget.js';
+import { drawNineSlice } from './NineSlice.js';
+
+/**
+ * Panel - Background box for menus and HUD groups
+ * Filled with a color (rounded corners, optional border) or an image drawn as a nine-slice.
+ */
+export class Panel extends Widget {
+  /**
+   * @param {Object} options - Widget settings plus:
+   * @param {string} options.color - Fill color (default: 'rgba(15, 23, 42, 0.85)')
+   * @param {HTMLImageElement} options.image - Background image (replaces color)
+   * @param {Object|number} options.nineSlice - Corner insets for the image
+   * @param {number} options.cornerRadius - Rounded corners (default: 24)
+   * @param {string} options.borderColor - Border color (none when unset)
+   * @param {number} options.borderWidth - Border width (default: 4)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.color = options.color || 'rgba(15, 23, 42, 0.85)';
+    this.image = options.image || null;
+    this.nineSlice = options.nineSlice !== undefined ? options.nineSlice : null;
+    this.cornerRadius = options.cornerRadius !== undefined ? options.cornerRadius : 24;
+    this.borderColor = options.borderColor || null;
+    this.borderWidth = options.borderWidth || 4;
+  }
+
+  /**
+   * Render the panel
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+
+    if (this.image) {
+      if (this.nineSlice !== null) {
+        drawNineSlice(ctx, this.image, this.x, this.y, this.width, this.height, this.nineSlice);
+      } else {
+        ctx.drawImage(this.image, this.x, this.y, this.width, this.height);
+      }
+    } else {
+      ctx.fillStyle = this.color;
+      this._roundRect(ctx, this.x, this.y, this.width, this.height, this.cornerRadius);
+      ctx.fill();
+
+      if (this.borderColor) {
+        ctx.strokeStyle = this.borderColor;
+        ctx.lineWidth = this.borderWidth;
+        ctx.stroke();
+      }
+    }
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,405 @@
+import { ObjectPool } from '../core/ObjectPool.js';
+
+/**
+ * ParticleEmitter - Pooled particle effects (sparks, smoke, confetti, hits)
+ * Add to any LayerManager layer and call update(dt) every frame.
+ *
+ * Range options accept a number or { min, max }.
+ */
+export class ParticleEmitter {
+  /**
+   * @param {number} x - Emitter X position
+   * @param {number} y - Emitter Y position
+   * @param {Object} config - Emitter settings (see DEFAULTS)
+   */
+  constructor(x = 0, y = 0, config = {}) {
+    this.x = x;
+    this.y = y;
+    this.config = { ...ParticleEmitter.DEFAULTS, ...config };
+
+    this.alpha = 1;
+    this.visible = true;
+    this.active = true;
+    this.onComplete = null;
+
+    // Emission state
+    this.isEmitting = false;
+    this.emitTimer = 0;     // Time since start (continuous mode)
+    this.emitAccumulator = 0;
+    this.completed = true; // Nothing to complete until start()
+
+    this._parseColors();
+
+    // Particles are plain objects owned by the emitter (it renders them itself)
+    this.pool = new ObjectPool(
+      () => ({
+        x: 0, y: 0, vx: 0, vy: 0,
+        life: 0, maxLife: 1,
+        size: 1, rotation: 0, spin: 0
+      }),
+      null,
+      this.config.maxParticles,
+      { maxSize: this.config.maxParticles, name: 'particles' }
+    );
+
+    if (this.config.autoStart) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start emitting
+   * Burst mode emits burstCount particles immediately; continuous mode emits at rate/sec
+   */
+  start() {
+    this.completed = false;
+    this.emitTimer = 0;
+    this.emitAccumulator = 0;
+
+    if (this.config.mode === 'burst') {
+      this.burst(this.config.burstCount);
+      this.isEmitting = false;
+    } else {
+      this.isEmitting = true;
+    }
+  }
+
+  /**
+   * Stop emitting (live particles finish their lifetime)
+   */
+  stop() {
+    this.isEmitting = false;
+  }
+
+  /**
+   * Stop emitting and remove all live particles
+   */
+  clear() {
+    this.isEmitting = false;
+    this.pool.releaseAll();
+  }
+
+  /**
+   * Emit a number of particles at once
+   * @param {number} count - Number of particles
+   */
+  burst(count) {
+    for (let i = 0; i < count; i++) {
+      if (!this._spawn()) break;
+    }
+  }
+
+  /**
+   * Move the emitter
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Check if the emitter is emitting or has live particles
+   * @returns {boolean}
+   */
+  isAlive() {
+    return this.isEmitting || this.pool.getActiveCount() > 0;
+  }
+
+  /**
+   * Get number of live particles
+   * @returns {number}
+   */
+  getParticleCount() {
+    return this.pool.getActiveCount();
+  }
+
+  /**
+   * Update emission and particle physics
+   * @param {number} dt - Delta time in SECONDS
+   */
+  update(dt) {
+    if (!this.active) return;
+
+    const cfg = this.config;
+
+    // Continuous emission
+    if (this.isEmitting) {
+      this.emitTimer += dt;
+      this.emitAccumulator += dt * cfg.rate;
+
+      while (this.emitAccumulator >= 1) {
+        this.emitAccumulator -= 1;
+        if (!this._spawn()) {
+          this.emitAccumulator = 0;
+          break;
+        }
+      }
+
+      if (cfg.duration > 0 && this.emitTimer >= cfg.duration) {
+        this.isEmitting = false;
+      }
+    }
+
+    // Particle physics
+    const drag = cfg.drag > 0 ? Math.max(0, 1 - cfg.drag * dt) : 1;
+    const particles = this.pool.active;
+
+    for (let i = particles.length - 1; i >= 0; i--) {
+      const p = particles[i];
+      p.life -= dt;
+
+      if (p.life <= 0) {
+        this.pool.release(p);
+        continue;
+      }
+
+      p.vx = (p.vx + cfg.gravityX * dt) * drag;
+      p.vy = (p.vy + cfg.gravityY * dt) * drag;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.rotation += p.spin * dt;
+    }
+
+    // Fire completion once everything has finished
+    if (!this.completed && !this.isAlive()) {
+      this.completed = true;
+      if (this.onComplete) {
+        this.onComplete(this);
+      }
+      if (cfg.loop) {
+        this.start();
+      }
+    }
+  }
+
+  /**
+   * Render all live particles
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible || !this.active) return;
+
+    const particles = this.pool.active;
+    if (particles.length === 0) return;
+
+    const cfg = this.config;
+    const image = cfg.image;
+
+    ctx.save();
+    if (cfg.blendMode) {
+      ctx.globalCompositeOperation = cfg.blendMode;
+    }
+
+    for (let i = 0; i < particles.length; i++) {
+      const p = particles[i];
+      const t = 1 - p.life / p.maxLife; // 0 at birth -> 1 at death
+
+      const alpha = this._lerp(cfg.startAlpha, cfg.endAlpha, t) * this.alpha;
+      if (alpha <= 0) continue;
+
+      const scale = this._lerp(cfg.startScale, cfg.endScale, t);
+      const size = p.size * scale;
+      if (size <= 0) continue;
+
+      ctx.globalAlpha = alpha;
+
+      if (image) {
+        if (!image.complete) continue;
+        if (p.rotation !== 0) {
+          ctx.translate(p.x, p.y);
+          ctx.rotate(p.rotation);
+          ctx.drawImage(image, -size / 2, -size / 2, size, size);
+          ctx.rotate(-p.rotation);
+          ctx.translate(-p.x, -p.y);
+        } else {
+          ctx.drawImage(image, p.x - size / 2, p.y - size / 2, size, size);
+        }
+        continue;
+      }
+
+      ctx.fillStyle = this._colorAt(t);
+
+      if (cfg.particleShape === 'circle') {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, size / 2, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (p.rotation !== 0) {
+        ctx.translate(p.x, p.y);
+        ctx.rotate(p.rotation);
+        ctx.fillRect(-size / 2, -size / 2, size, size);
+        ctx.rotate(-p.rotation);
+        ctx.translate(-p.x, -p.y);
+      } else {
+        ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Spawn a single particle from the pool
+   * @returns {boolean} False if the pool is full
+   * @private
+   */
+  _spawn() {
+    const p = this.pool.acquire();
+    if (!p) return false;
+
+    const cfg = this.config;
+
+    // Direction is in degrees (0 = right, 90 = down), spread is the full cone width
+    const angle = (cfg.angle + (Math.random() - 0.5) * cfg.spread) * Math.PI / 180;
+    const speed = this._range(cfg.speed);
+
+    this._placeInSpawnShape(p);
+    p.vx = Math.cos(angle) * speed;
+    p.vy = Math.sin(angle) * speed;
+    p.maxLife = Math.max(0.001, this._range(cfg.lifetime));
+    p.life = p.maxLife;
+    p.size = this._range(cfg.size);
+    p.rotation = cfg.randomRotation ? Math.random() * Math.PI * 2 : 0;
+    p.spin = this._range(cfg.spin) * Math.PI / 180;
+
+    return true;
+  }
+
+  /**
+   * Place a particle at a random point of the configured spawn shape
+   * Writes into the particle directly to avoid allocating per spawn
+   * @private
+   */
+  _placeInSpawnShape(p) {
+    const cfg = this.config;
+    p.x = this.x;
+    p.y = this.y;
+
+    switch (cfg.spawnShape) {
+      case 'circle': {
+        // Uniform distribution inside the circle
+        const a = Math.random() * Math.PI * 2;
+        const r = Math.sqrt(Math.random()) * cfg.spawnRadius;
+        p.x += Math.cos(a) * r;
+        p.y += Math.sin(a) * r;
+        break;
+      }
+      case 'ring': {
+        const a = Math.random() * Math.PI * 2;
+        p.x += Math.cos(a) * cfg.spawnRadius;
+        p.y += Math.sin(a) * cfg.spawnRadius;
+        break;
+      }
+      case 'rect':
+        p.x += (Math.random() - 0.5) * cfg.spawnWidth;
+        p.y += (Math.random() - 0.5) * cfg.spawnHeight;
+        break;
+      case 'line':
+        p.x += (Math.random() - 0.5) * cfg.spawnWidth;
+        break;
+      case 'point':
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Pick a value from a number or { min, max } range
+   * @private
+   */
+  _range(value) {
+    if (typeof value === 'number') return value;
+    return value.min + Math.random() * (value.max - value.min);
+  }
+
+  /**
+   * Linear interpolation
+   * @private
+   */
+  _lerp(start, end, t) {
+    return start + (end - start) * t;
+  }
+
+  /**
+   * Pre-parse start/end colors so rendering doesn't parse strings per particle
+   * @private
+   */
+  _parseColors() {
+    this.startRGB = ParticleEmitter.parseHex(this.config.startColor);
+    this.endRGB = this.config.endColor ? ParticleEmitter.parseHex(this.config.endColor) : null;
+  }
+
+  /**
+   * Get the particle color at normalized life t
+   * @private
+   */
+  _colorAt(t) {
+    if (!this.startRGB || !this.endRGB) {
+      return this.config.startColor;
+    }
+    const r = Math.round(this._lerp(this.startRGB.r, this.endRGB.r, t));
+    const g = Math.round(this._lerp(this.startRGB.g, this.endRGB.g, t));
+    const b = Math.round(this._lerp(this.startRGB.b, this.endRGB.b, t));
+    return `rgb(${r},${g},${b})`;
+  }
+
+  /**
+   * Parse a #rgb or #rrggbb color
+   * @param {string} color - Hex color string
+   * @returns {{r: number, g: number, b: number}|null} Null if not a hex color
+   */
+  static parseHex(color) {
+    if (typeof color !== 'string' || color[0] !== '#') return null;
+
+    let hex = color.slice(1);
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (hex.length !== 6) return null;
+
+    const value = parseInt(hex, 16);
+    if (Number.isNaN(value)) return null;
+
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+  }
+}
+
+/**
+ * Default emitter settings
+ */
+ParticleEmitter.DEFAULTS = {
+  mode: 'burst',          // 'burst' | 'continuous'
+  autoStart: true,
+  loop: false,            // Restart when all particles have died
+  burstCount: 30,
+  rate: 30,               // Particles per second (continuous)
+  duration: -1,           // Seconds to emit (continuous), -1 = forever
+  maxParticles: 200,
+
+  lifetime: { min: 0.5, max: 1.0 },
+  speed: { min: 100, max: 300 },
+  angle: -90,             // Degrees (0 = right, 90 = down)
+  spread: 360,            // Degrees
+  gravityX: 0,
+  gravityY: 0,
+  drag: 0,                // Velocity damping per second
+  spin: 0,                // Degrees per second
+  randomRotation: false,
+
+  size: { min: 8, max: 16 },
+  startScale: 1,
+  endScale: 0,
+  startAlpha: 1,
+  endAlpha: 0,
+  startColor: '#ffffff',
+  endColor: null,         // Hex color to fade to (optional)
+  particleShape: 'square', // 'square' | 'circle'
+  image: null,            // Optional Image drawn instead of shapes
+  blendMode: null,        // e.g. 'lighter' for additive sparks
+
+  spawnShape: 'point',    // 'point' | 'circle' | 'ring' | 'rect' | 'line'
+  spawnRadius: 0,
+  spawnWidth: 0,
+  spawnHeight: 0
+};
@@ -0,0 +1,114 @@
+import { Widget } from './Widget.js';
+
+/**
+ * ProgressBar - Horizontal bar for health, loading, timers
+ * The drawn fill eases toward the value over `smoothing` seconds (0 = instant).
+ */
+export class ProgressBar extends Widget {
+  /**
+   * @param {Object} options - Widget settings plus:
+   * @param {number} options.min - Minimum (default: 0)
+   * @param {number} options.max - Maximum (default: 1)
+   * @param {number} options.value - Initial value (default: min)
+   * @param {number} options.smoothing - Seconds to catch up with the value (default: 0.2)
+   * @param {string} options.trackColor - Background color
+   * @param {string} options.fillColor - Fill color
+   * @param {number} options.cornerRadius - Rounded corners (default: height / 2)
+   * @param {boolean} options.showText - Draw the percentage (default: false)
+   * @param {string} options.font - Text font (default: '32px Arial')
+   * @param {string} options.textColor - Text color (default: '#ffffff')
+   */
+  constructor(options = {}) {
+    super({ height: 40, ...options });
+    this.min = options.min !== undefined ? options.min : 0;
+    this.max = options.max !== undefined ? options.max : 1;
+    this.value = this._clamp(options.value !== undefined ? options.value : this.min);
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.2;
+    this.trackColor = options.trackColor || '#1e293b';
+    this.fillColor = options.fillColor || '#6366f1';
+    this.cornerRadius = options.cornerRadius !== undefined ? options.cornerRadius : this.height / 2;
+    this.showText = !!options.showText;
+    this.font = options.font || '32px Arial';
+    this.textColor = options.textColor || '#ffffff';
+
+    this.source = null; // Optional function returning the value, read every update
+    this.displayValue = this.value;
+  }
+
+  /**
+   * Set the value (clamped to min/max)
+   * @param {number} value - New value
+   */
+  setValue(value) {
+    this.value = this._clamp(value);
+  }
+
+  /**
+   * Value as 0-1
+   * @returns {number}
+   */
+  getRatio() {
+    return this.max === this.min ? 0 : (this.value - this.min) / (this.max - this.min);
+  }
+
+  /**
+   * Ease the drawn fill toward the value
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (this.source) {
+      this.setValue(this.source());
+    }
+
+    if (this.smoothing > 0) {
+      this.displayValue += (this.value - this.displayValue) * Math.min(1, deltaTime * 3 / this.smoothing);
+    } else {
+      this.displayValue = this.value;
+    }
+  }
+
+  /**
+   * Render track, fill and text
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+
+    const range = this.max - this.min;
+    const ratio = range === 0 ? 0 : Math.max(0, Math.min(1, (this.displayValue - this.min) / range));
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+
+    ctx.fillStyle = this.trackColor;
+    this._roundRect(ctx, this.x, this.y, this.width, this.height, this.cornerRadius);
+    ctx.fill();
+
+    if (ratio > 0) {
+      // Clip to the track so a short fill keeps the rounded ends
+      ctx.save();
+      ctx.clip();
+      ctx.fillStyle = this.fillColor;
+      this._roundRect(ctx, this.x, this.y, this.width * ratio, this.height, this.cornerRadius);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    if (this.showText) {
+      ctx.fillStyle = this.textColor;
+      ctx.font = this.font;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(`${Math.round(this.getRatio() * 100)}%`, this.x + this.width / 2, this.y + this.height / 2);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * @private
+   */
+  _clamp(value) {
+    return Math.max(this.min, Math.min(this.max, Number(value) || 0));
+  }
+}
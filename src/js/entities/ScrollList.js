@@ -0,0 +1,256 @@
+import { Widget } from './Widget.js';
+
+/**
+ * ScrollList - Vertical list of rows scrolled by dragging, with momentum
+ *
+ * Items are strings or objects with a `text` property. A press that moves
+ * less than `dragThreshold` and releases on the same row selects it (onSelect);
+ * a longer drag scrolls and keeps gliding after release, slowed by `friction`.
+ * Override renderItem() to draw custom rows.
+ */
+export class ScrollList extends Widget {
+  /**
+   * @param {Object} options - Widget settings plus:
+   * @param {Array<string|Object>} options.items - Rows
+   * @param {number} options.itemHeight - Row height (default: 120)
+   * @param {number} options.friction - Momentum decay per second (default: 4)
+   * @param {number} options.dragThreshold - Movement before a press becomes a scroll (default: 20)
+   * @param {string} options.backgroundColor - Background (none when unset)
+   * @param {string} options.itemColor - Row color
+   * @param {string} options.selectedColor - Selected row color
+   * @param {string} options.separatorColor - Line between rows
+   * @param {string} options.textColor - Text color
+   * @param {string} options.font - Row font (default: '40px Arial')
+   * @param {number} options.padding - Text inset (default: 32)
+   */
+  constructor(options = {}) {
+    super({ height: 600, ...options });
+    this.items = options.items || [];
+    this.itemHeight = options.itemHeight || 120;
+    this.friction = options.friction !== undefined ? options.friction : 4;
+    this.dragThreshold = options.dragThreshold !== undefined ? options.dragThreshold : 20;
+    this.backgroundColor = options.backgroundColor || null;
+    this.itemColor = options.itemColor || 'rgba(255, 255, 255, 0.05)';
+    this.selectedColor = options.selectedColor || 'rgba(99, 102, 241, 0.5)';
+    this.separatorColor = options.separatorColor || 'rgba(255, 255, 255, 0.1)';
+    this.textColor = options.textColor || '#ffffff';
+    this.font = options.font || '40px Arial';
+    this.padding = options.padding !== undefined ? options.padding : 32;
+
+    this.onSelect = null; // Callback(index, item, list)
+
+    this.scrollY = 0;
+    this.velocity = 0;      // Pixels per second (positive scrolls down the list)
+    this.selectedIndex = -1;
+
+    // Drag state
+    this.pressed = false;
+    this.dragging = false;
+    this.pressY = 0;
+    this.pressScroll = 0;
+    this.pointerY = 0;
+    this.lastScrollY = 0;
+  }
+
+  /**
+   * Replace the rows (keeps the scroll position when possible)
+   * @param {Array<string|Object>} items - Rows
+   */
+  setItems(items) {
+    this.items = items;
+    this.selectedIndex = -1;
+    this.scrollY = this._clampScroll(this.scrollY);
+  }
+
+  /**
+   * Scroll so a row is visible
+   * @param {number} index - Row index
+   */
+  scrollToIndex(index) {
+    const top = index * this.itemHeight;
+    if (top < this.scrollY) {
+      this.scrollY = top;
+    } else if (top + this.itemHeight > this.scrollY + this.height) {
+      this.scrollY = top + this.itemHeight - this.height;
+    }
+    this.scrollY = this._clampScroll(this.scrollY);
+    this.velocity = 0;
+  }
+
+  /**
+   * Largest scroll offset
+   * @returns {number}
+   */
+  getMaxScroll() {
+    return Math.max(0, this.items.length * this.itemHeight - this.height);
+  }
+
+  /**
+   * Pointer went down - capture it if it is on the widget
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the press was captured
+   */
+  pointerDown(x, y) {
+    if (!this.visible || !this.enabled || !this.contains(x, y)) return false;
+
+    this.pressed = true;
+    this.dragging = false;
+    this.pressY = y;
+    this.pointerY = y;
+    this.pressScroll = this.scrollY;
+    this.lastScrollY = this.scrollY;
+    this.velocity = 0; // Touching stops a glide
+    return true;
+  }
+
+  /**
+   * Pointer moved - scroll once the drag passes the threshold
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   */
+  pointerMove(x, y) {
+    if (!this.pressed) return;
+
+    this.pointerY = y;
+    if (!this.dragging && Math.abs(y - this.pressY) > this.dragThreshold) {
+      this.dragging = true;
+    }
+    if (this.dragging) {
+      this.scrollY = this._clampScroll(this.pressScroll - (y - this.pressY));
+    }
+  }
+
+  /**
+   * Pointer went up - finish a captured press
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the release changed the widget
+   */
+  pointerUp(x, y) {
+    if (!this.pressed) return false;
+
+    this.pressed = false;
+    if (this.dragging) {
+      // Velocity measured in update() carries on as momentum
+      this.dragging = false;
+      return false;
+    }
+
+    if (!this.contains(x, y)) return false;
+    const index = Math.floor((y - this.y + this.scrollY) / this.itemHeight);
+    if (index < 0 || index >= this.items.length) return false;
+
+    this.selectedIndex = index;
+    if (this.onSelect) {
+      this.onSelect(index, this.items[index], this);
+    }
+    return true;
+  }
+
+  /**
+   * Drop a captured press
+   */
+  cancel() {
+    this.pressed = false;
+    this.dragging = false;
+  }
+
+  /**
+   * Track drag velocity and apply momentum
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (deltaTime <= 0) return;
+
+    if (this.pressed) {
+      // Smooth the measured speed so one jittery frame doesn't fling the list
+      const frameVelocity = (this.scrollY - this.lastScrollY) / deltaTime;
+      this.velocity = this.velocity * 0.6 + frameVelocity * 0.4;
+      this.lastScrollY = this.scrollY;
+      return;
+    }
+
+    if (this.velocity === 0) return;
+
+    this.scrollY += this.velocity * deltaTime;
+    this.velocity *= Math.exp(-this.friction * deltaTime);
+
+    const clamped = this._clampScroll(this.scrollY);
+    if (clamped !== this.scrollY || Math.abs(this.velocity) < 5) {
+      this.scrollY = clamped;
+      this.velocity = 0;
+    }
+  }
+
+  /**
+   * Render visible rows and the scroll indicator
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+
+    ctx.beginPath();
+    ctx.rect(this.x, this.y, this.width, this.height);
+    ctx.clip();
+
+    if (this.backgroundColor) {
+      ctx.fillStyle = this.backgroundColor;
+      ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+
+    const first = Math.max(0, Math.floor(this.scrollY / this.itemHeight));
+    const last = Math.min(this.items.length - 1, Math.floor((this.scrollY + this.height) / this.itemHeight));
+
+    for (let i = first; i <= last; i++) {
+      const rowY = this.y + i * this.itemHeight - this.scrollY;
+      this.renderItem(ctx, this.items[i], i, this.x, rowY, this.width, this.itemHeight, i === this.selectedIndex);
+    }
+
+    // Scroll indicator
+    const maxScroll = this.getMaxScroll();
+    if (maxScroll > 0) {
+      const barHeight = Math.max(40, this.height * this.height / (this.items.length * this.itemHeight));
+      const barY = this.y + (this.height - barHeight) * (this.scrollY / maxScroll);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.fillRect(this.x + this.width - 8, barY, 6, barHeight);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw one row (override for custom rows)
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string|Object} item - Row item
+   * @param {number} index - Row index
+   * @param {number} x - Row left
+   * @param {number} y - Row top
+   * @param {number} width - Row width
+   * @param {number} height - Row height
+   * @param {boolean} selected - Row is selected
+   */
+  renderItem(ctx, item, index, x, y, width, height, selected) {
+    ctx.fillStyle = selected ? this.selectedColor : this.itemColor;
+    ctx.fillRect(x, y, width, height);
+
+    ctx.fillStyle = this.separatorColor;
+    ctx.fillRect(x, y + height - 2, width, 2);
+
+    ctx.fillStyle = this.textColor;
+    ctx.font = this.font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(typeof item === 'object' && item !== null ? item.text : String(item), x + this.padding, y + height / 2);
+  }
+
+  /**
+   * @private
+   */
+  _clampScroll(value) {
+    return Math.max(0, Math.min(this.getMaxScroll(), value));
+  }
+}
@@ -0,0 +1,199 @@
+import { Widget } from './Widget.js';
+
+/**
+ * Slider - Horizontal value slider
+ *
+ * Pressing anywhere on the track jumps the knob there and drags it until
+ * release (pointer capture, so dragging off the track keeps sliding).
+ * onChange fires on every value change while dragging, onChangeEnd once on release.
+ */
+export class Slider extends Widget {
+  /**
+   * @param {Object} options - Widget settings plus:
+   * @param {number} options.min - Minimum (default: 0)
+   * @param {number} options.max - Maximum (default: 1)
+   * @param {number} options.step - Snap step (0 = continuous)
+   * @param {number} options.value - Initial value (default: min)
+   * @param {number} options.trackHeight - Track thickness (default: 16)
+   * @param {number} options.knobRadius - Knob radius (default: height / 2)
+   * @param {string} options.trackColor - Empty track color
+   * @param {string} options.fillColor - Filled track color
+   * @param {string} options.knobColor - Knob color
+   */
+  constructor(options = {}) {
+    super({ height: 64, ...options });
+    this.min = options.min !== undefined ? options.min : 0;
+    this.max = options.max !== undefined ? options.max : 1;
+    this.step = options.step || 0;
+    this.value = this._snap(options.value !== undefined ? options.value : this.min);
+
+    this.trackHeight = options.trackHeight || 16;
+    this.knobRadius = options.knobRadius || this.height / 2;
+    this.trackColor = options.trackColor || '#334155';
+    this.fillColor = options.fillColor || '#6366f1';
+    this.knobColor = options.knobColor || '#ffffff';
+
+    this.onChange = null;    // Callback(value, slider) while dragging
+    this.onChangeEnd = null; // Callback(value, slider) on release
+
+    this.pressed = false;
+    this.hovered = false;
+  }
+
+  /**
+   * Set the value (clamped and snapped)
+   * @param {number} value - New value
+   * @param {boolean} notify - Call onChange if it changed (default: false)
+   */
+  setValue(value, notify = false) {
+    const snapped = this._snap(value);
+    if (snapped === this.value) return;
+
+    this.value = snapped;
+    if (notify && this.onChange) {
+      this.onChange(this.value, this);
+    }
+  }
+
+  /**
+   * Value as 0-1 along the track
+   * @returns {number}
+   */
+  getRatio() {
+    return this.max === this.min ? 0 : (this.value - this.min) / (this.max - this.min);
+  }
+
+  /**
+   * Check if a point is on the slider (the knob may stick out of the track ends)
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    return x >= this.x - this.knobRadius && x < this.x + this.width + this.knobRadius &&
+           y >= this.y && y < this.y + this.height;
+  }
+
+  /**
+   * Box covering track and knob (pressed knob included), used for view culling
+   * @returns {Object} { x, y, width, height }
+   */
+  getBounds() {
+    const reach = this.knobRadius * 1.1;
+    const centerY = this.y + this.height / 2;
+    const top = Math.min(this.y, centerY - reach);
+    const bottom = Math.max(this.y + this.height, centerY + reach);
+    return { x: this.x - reach, y: top, width: this.width + reach * 2, height: bottom - top };
+  }
+
+  /**
+   * Pointer went down - capture it if it is on the widget
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the press was captured
+   */
+  pointerDown(x, y) {
+    if (!this.visible || !this.enabled || !this.contains(x, y)) return false;
+
+    this.pressed = true;
+    this._dragTo(x);
+    return true;
+  }
+
+  /**
+   * Pointer moved (hover, and dragging while captured)
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {boolean} hoverAllowed - False when a widget above is under the pointer
+   */
+  pointerMove(x, y, hoverAllowed = true) {
+    this.hovered = hoverAllowed && this.enabled && this.contains(x, y);
+    if (this.pressed) {
+      this._dragTo(x);
+    }
+  }
+
+  /**
+   * Pointer went up - finish a captured press
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the release changed the widget
+   */
+  pointerUp(x, y) {
+    if (!this.pressed) return false;
+
+    this.pressed = false;
+    if (this.onChangeEnd) {
+      this.onChangeEnd(this.value, this);
+    }
+    return true;
+  }
+
+  /**
+   * Drop a captured press
+   */
+  cancel() {
+    this.pointerUp();
+    this.hovered = false;
+  }
+
+  /**
+   * Render track, fill and knob
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+
+    const centerY = this.y + this.height / 2;
+    const trackY = centerY - this.trackHeight / 2;
+    const knobX = this.x + this.width * this.getRatio();
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha * (this.enabled ? 1 : 0.5);
+
+    ctx.fillStyle = this.trackColor;
+    this._roundRect(ctx, this.x, trackY, this.width, this.trackHeight, this.trackHeight / 2);
+    ctx.fill();
+
+    if (knobX > this.x) {
+      ctx.fillStyle = this.fillColor;
+      this._roundRect(ctx, this.x, trackY, knobX - this.x, this.trackHeight, this.trackHeight / 2);
+      ctx.fill();
+    }
+
+    const radius = this.knobRadius * (this.pressed ? 1.1 : 1);
+    ctx.fillStyle = this.knobColor;
+    ctx.beginPath();
+    ctx.arc(knobX, centerY, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (this.hovered || this.pressed) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * @private
+   */
+  _dragTo(x) {
+    const ratio = this.width > 0 ? Math.max(0, Math.min(1, (x - this.x) / this.width)) : 0;
+    this.setValue(this.min + ratio * (this.max - this.min), true);
+  }
+
+  /**
+   * Clamp to min/max and round to step
+   * @private
+   */
+  _snap(value) {
+    let result = Math.max(this.min, Math.min(this.max, value));
+    if (this.step > 0) {
+      result = this.min + Math.round((result - this.min) / this.step) * this.step;
+      // Avoid float noise like 0.30000000000000004
+      result = Math.min(this.max, parseFloat(result.toFixed(10)));
+    }
+    return result;
+  }
+}
@@ -105,6 +105,27 @@ export class Sprite {
            y >= this.y && y < this.y + this.height;
   }
   
+  /**
+   * Axis-aligned box covering the drawn sprite (scale and rotation included)
+   * Used by LayerManager to cull sprites outside the view.
+   * @returns {Object} { x, y, width, height }
+   */
+  getBounds() {
+    const width = Math.abs(this.width * this.scaleX);
+    const height = Math.abs(this.height * this.scaleY);
+    const cos = Math.abs(Math.cos(this.rotation));
+    const sin = Math.abs(Math.sin(this.rotation));
+    const boundsWidth = width * cos + height * sin;
+    const boundsHeight = width * sin + height * cos;
+    
+    return {
+      x: this.getCenterX() - boundsWidth / 2,
+      y: this.getCenterY() - boundsHeight / 2,
+      width: boundsWidth,
+      height: boundsHeight
+    };
+  }
+  
   /**
    * Get center X position
    * @returns {number}
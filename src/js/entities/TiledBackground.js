@@ -0,0 +1,186 @@
+/**
+ * TiledBackground - Repeating tile image for scrolling and parallax backgrounds
+ * (BG_FAR / BG_NEAR, see docs "The Tiling Standard")
+ *
+ * The tile repeats horizontally and/or vertically to cover the screen,
+ * scrolls on its own (speedX/speedY) and, with a camera, moves at `parallax`
+ * times the camera's speed: 0 stays put on screen, 1 moves with the world.
+ * Tile edges are snapped to whole device pixels so fractional scroll
+ * positions never open seams between tiles.
+ *
+ * Usage:
+ *   const far = new TiledBackground(image, { parallax: 0.3, camera: engine.camera });
+ *   layerManager.addToLayer(far, 'BG_FAR');
+ */
+export class TiledBackground {
+  /**
+   * @param {HTMLImageElement} image - Tile image (seamless edges)
+   * @param {Object} config - Settings (see DEFAULTS)
+   */
+  constructor(image = null, config = {}) {
+    const settings = { ...TiledBackground.DEFAULTS, ...config };
+
+    this.image = image;
+    this.x = settings.x; // Tile origin (the non-repeating axis is placed here)
+    this.y = settings.y;
+    this.width = settings.width;   // Area covered without a camera
+    this.height = settings.height;
+    this.tileWidth = settings.tileWidth;   // 0 = image width x scale
+    this.tileHeight = settings.tileHeight; // 0 = image height x scale
+    this.scale = settings.scale;
+    this.repeatX = settings.repeatX;
+    this.repeatY = settings.repeatY;
+    this.speedX = settings.speedX; // Pixels per second
+    this.speedY = settings.speedY;
+    this.parallax = settings.parallax;
+    this.camera = settings.camera;
+    this.alpha = settings.alpha;
+    this.visible = settings.visible;
+
+    // Accumulated self-scroll (wrapped to one tile on repeating axes)
+    this.scrollX = 0;
+    this.scrollY = 0;
+  }
+
+  /**
+   * Replace the tile image
+   * @param {HTMLImageElement} image - Tile image
+   */
+  setImage(image) {
+    this.image = image;
+  }
+
+  /**
+   * Drawn tile size
+   * @returns {Object} { width, height }
+   */
+  getTileSize() {
+    const image = this.image;
+    return {
+      width: this.tileWidth || (image ? image.width * this.scale : 0),
+      height: this.tileHeight || (image ? image.height * this.scale : 0)
+    };
+  }
+
+  /**
+   * Advance the self-scroll
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    const tile = this.getTileSize();
+    this.scrollX += this.speedX * deltaTime;
+    this.scrollY += this.speedY * deltaTime;
+
+    // Keep the offsets small so precision doesn't drift over long sessions
+    if (this.repeatX && tile.width > 0) this.scrollX %= tile.width;
+    if (this.repeatY && tile.height > 0) this.scrollY %= tile.height;
+
+    // Scrolling redraws a cached layer; a still background stays cached
+    if (this.speedX !== 0 || this.speedY !== 0) {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Draw enough tiles to cover the camera view (or x/y/width/height without a camera)
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    const tile = this.getTileSize();
+    if (!this.visible || !this.image || tile.width <= 0 || tile.height <= 0) return;
+
+    let originX = this.x + this.scrollX;
+    let originY = this.y + this.scrollY;
+    let area = { x: this.x, y: this.y, width: this.width, height: this.height };
+
+    if (this.camera) {
+      // The layer draws through the camera; shift back by the part of its
+      // movement this layer should not follow (relative to the default view)
+      const camera = this.camera;
+      originX += (camera.x - camera.width / 2) * (1 - this.parallax);
+      originY += (camera.y - camera.height / 2) * (1 - this.parallax);
+      area = camera.getViewRect();
+    }
+
+    const columns = this._edges(originX, tile.width, area.x, area.x + area.width, this.repeatX);
+    const rows = this._edges(originY, tile.height, area.y, area.y + area.height, this.repeatY);
+    if (columns.length < 2 || rows.length < 2) return;
+
+    // Snap edges to device pixels (only meaningful without rotation)
+    const m = ctx.getTransform ? ctx.getTransform() : null;
+    if (m && m.b === 0 && m.c === 0 && m.a !== 0 && m.d !== 0) {
+      for (let i = 0; i < columns.length; i++) {
+        columns[i] = (Math.round(m.a * columns[i] + m.e) - m.e) / m.a;
+      }
+      for (let i = 0; i < rows.length; i++) {
+        rows[i] = (Math.round(m.d * rows[i] + m.f) - m.f) / m.d;
+      }
+    }
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+
+    // Each tile spans exactly to the next edge, so neighbours always touch
+    for (let row = 0; row < rows.length - 1; row++) {
+      for (let column = 0; column < columns.length - 1; column++) {
+        ctx.drawImage(
+          this.image,
+          columns[column],
+          rows[row],
+          columns[column + 1] - columns[column],
+          rows[row + 1] - rows[row]
+        );
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * No fixed bounds: the layer covers whatever is in view, so it is never culled
+   * @returns {null}
+   */
+  getBounds() {
+    return null;
+  }
+
+  /**
+   * Tile edges along one axis covering [from, to)
+   * @private
+   */
+  _edges(origin, size, from, to, repeat) {
+    if (!repeat) {
+      return origin < to && origin + size > from ? [origin, origin + size] : [];
+    }
+
+    const edges = [];
+    let edge = origin + Math.floor((from - origin) / size) * size;
+    edges.push(edge);
+    while (edge < to) {
+      edge += size;
+      edges.push(edge);
+    }
+    return edges;
+  }
+}
+
+/**
+ * Default settings
+ */
+TiledBackground.DEFAULTS = {
+  x: 0,
+  y: 0,
+  width: 1080,   // Area covered when there is no camera
+  height: 1920,
+  tileWidth: 0,  // 0 = image width x scale
+  tileHeight: 0, // 0 = image height x scale
+  scale: 1,
+  repeatX: true,
+  repeatY: true,
+  speedX: 0,     // Self-scroll, pixels per second
+  speedY: 0,
+  parallax: 1,   // Share of camera movement followed (0 = fixed on screen, 1 = world)
+  camera: null,  // Camera the layer is drawn through
+  alpha: 1,
+  visible: true
+};
@@ -0,0 +1,139 @@
+import { Widget } from './Widget.js';
+
+/**
+ * Toggle - On/off switch
+ * Flips on release over the switch (like Button clicks); the knob slides over.
+ */
+export class Toggle extends Widget {
+  /**
+   * @param {Object} options - Widget settings plus:
+   * @param {boolean} options.value - Initial state (default: false)
+   * @param {string} options.onColor - Track color when on
+   * @param {string} options.offColor - Track color when off
+   * @param {string} options.knobColor - Knob color
+   */
+  constructor(options = {}) {
+    super({ width: 120, height: 64, ...options });
+    this.value = !!options.value;
+    this.onColor = options.onColor || '#22c55e';
+    this.offColor = options.offColor || '#475569';
+    this.knobColor = options.knobColor || '#ffffff';
+
+    this.onChange = null; // Callback(value, toggle)
+
+    this.pressed = false;
+    this.pressedInside = false;
+    this.hovered = false;
+    this.knobPosition = this.value ? 1 : 0; // Animated 0 (off) - 1 (on)
+  }
+
+  /**
+   * Set the state
+   * @param {boolean} value - On or off
+   * @param {boolean} notify - Call onChange if it changed (default: false)
+   */
+  setValue(value, notify = false) {
+    value = !!value;
+    if (value === this.value) return;
+
+    this.value = value;
+    if (notify && this.onChange) {
+      this.onChange(this.value, this);
+    }
+  }
+
+  /**
+   * Pointer went down - capture it if it is on the widget
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the press was captured
+   */
+  pointerDown(x, y) {
+    if (!this.visible || !this.enabled || !this.contains(x, y)) return false;
+
+    this.pressed = true;
+    this.pressedInside = true;
+    return true;
+  }
+
+  /**
+   * Pointer moved (hover, and whether a captured press is still inside)
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {boolean} hoverAllowed - False when a widget above is under the pointer
+   */
+  pointerMove(x, y, hoverAllowed = true) {
+    const inside = this.enabled && this.contains(x, y);
+    this.hovered = hoverAllowed && inside;
+    if (this.pressed) {
+      this.pressedInside = inside;
+    }
+  }
+
+  /**
+   * Pointer went up - finish a captured press
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean} True if the release changed the widget
+   */
+  pointerUp(x, y) {
+    if (!this.pressed) return false;
+
+    this.pressed = false;
+    this.pressedInside = false;
+    if (!this.enabled || !this.contains(x, y)) return false;
+
+    this.setValue(!this.value, true);
+    return true;
+  }
+
+  /**
+   * Drop a captured press
+   */
+  cancel() {
+    this.pressed = false;
+    this.pressedInside = false;
+    this.hovered = false;
+  }
+
+  /**
+   * Slide the knob
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    const target = this.value ? 1 : 0;
+    this.knobPosition += (target - this.knobPosition) * Math.min(1, deltaTime * 15);
+  }
+
+  /**
+   * Render track and knob
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+
+    const radius = this.height / 2;
+    const padding = Math.max(4, this.height * 0.08);
+    const knobRadius = radius - padding;
+    const knobX = this.x + radius + (this.width - radius * 2) * this.knobPosition;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha * (this.enabled ? 1 : 0.5);
+
+    ctx.fillStyle = this.value ? this.onColor : this.offColor;
+    this._roundRect(ctx, this.x, this.y, this.width, this.height, radius);
+    ctx.fill();
+
+    if (this.hovered || this.pressedInside) {
+      ctx.fillStyle = this.pressedInside ? 'rgba(0, 0, 0, 0.2)' : 'rgba(255, 255, 255, 0.15)';
+      ctx.fill();
+    }
+
+    ctx.fillStyle = this.knobColor;
+    ctx.beginPath();
+    ctx.arc(knobX, this.y + radius, knobRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,89 @@
+import { VirtualControl } from './VirtualControl.js';
+
+/**
+ * VirtualButton - Round on-screen action button centered at (x, y)
+ *
+ * Holds `key` while touched (e.g. 'Space' for confirm/jump), so keyboard code
+ * works unchanged. Unlike Button it reacts on touch down and supports holding
+ * alongside other controls with multitouch.
+ */
+export class VirtualButton extends VirtualControl {
+  /**
+   * @param {InputHandler} inputHandler - Input handler
+   * @param {Object} options - Settings (see VirtualButton.DEFAULTS)
+   */
+  constructor(inputHandler, options = {}) {
+    super(inputHandler, options);
+    this.config = { ...VirtualButton.DEFAULTS, ...options };
+
+    this.down = false;
+    this.onPress = null;   // Callback(button) when touched
+    this.onRelease = null; // Callback(button) when let go
+  }
+
+  /**
+   * Check if a touch starting at (x, y) is on the button
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    return Math.hypot(x - this.x, y - this.y) <= this.config.radius;
+  }
+
+  /**
+   * Follow the touch and hold the key
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    const wasDown = this.down;
+    this.down = this._trackPointer() !== null;
+    this._setKeys(this.down ? [this.config.key] : []);
+
+    if (this.down && !wasDown && this.onPress) {
+      this.onPress(this);
+    } else if (!this.down && wasDown && this.onRelease) {
+      this.onRelease(this);
+    }
+  }
+
+  /**
+   * Render the button and its label
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+
+    const { radius, color, pressedColor, label, labelColor, font } = this.config;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha * (this.enabled ? 1 : 0.4);
+    ctx.fillStyle = this.down ? pressedColor : color;
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    if (label) {
+      ctx.fillStyle = labelColor;
+      ctx.font = font;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(label, this.x, this.y);
+    }
+
+    ctx.restore();
+  }
+}
+
+/**
+ * Default action button settings
+ */
+VirtualButton.DEFAULTS = {
+  radius: 90,
+  key: 'Space',           // Key held while touched (null for callbacks only)
+  label: '',
+  labelColor: '#ffffff',
+  font: 'bold 48px Arial',
+  color: 'rgba(255, 255, 255, 0.25)',
+  pressedColor: 'rgba(255, 255, 255, 0.6)'
+};
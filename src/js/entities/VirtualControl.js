@@ -0,0 +1,154 @@
+/**
+ * VirtualControl - Base for on-screen touch controls
+ * (VirtualJoystick, VirtualDPad, VirtualButton)
+ *
+ * Each control follows one pointer: the first touch (or mouse press) that
+ * starts inside its area, until that touch ends. Several controls therefore
+ * work at the same time with multitouch. Pointers are captured through the
+ * InputHandler, so a touch held by a control never presses a Button and a
+ * touch pressing a Button is never taken by a control.
+ *
+ * Controls hold virtual keys on the InputHandler (see pressVirtualKey()), so
+ * isKeyDown() and actions bound to those keys behave as if the keyboard was used.
+ * Add to the UI_BUTTONS layer and call update(dt) every frame.
+ */
+export class VirtualControl {
+  /**
+   * @param {InputHandler} inputHandler - Input handler to read touches from and feed keys to
+   * @param {Object} options - Shared settings
+   * @param {number} options.x - Center X
+   * @param {number} options.y - Center Y
+   * @param {number} options.alpha - Opacity (default: 1)
+   */
+  constructor(inputHandler, options = {}) {
+    this.inputHandler = inputHandler;
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.alpha = options.alpha !== undefined ? options.alpha : 1;
+    this.visible = true;
+    this.enabled = true;
+
+    this.pointerId = null;      // Pointer followed by this control
+    this.heldKeys = new Set();  // Virtual keys currently held
+    this.mouseStart = null;     // Where the current mouse press began
+  }
+
+  /**
+   * Whether a pointer is currently on the control
+   * @returns {boolean}
+   */
+  get active() {
+    return this.pointerId !== null;
+  }
+
+  /**
+   * Let go of the pointer and release held keys (call when removing the control)
+   */
+  release() {
+    this._dropPointer();
+    this._setKeys([]);
+  }
+
+  /**
+   * Check if a pointer that started at (x, y) belongs to this control
+   * Override in subclasses
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    return false;
+  }
+
+  /**
+   * Find the pointer this control follows, claiming a new one if free
+   * @returns {{id, x, y, startX, startY}|null} Pointer, or null when untouched
+   * @protected
+   */
+  _trackPointer() {
+    if (!this.visible || !this.enabled) {
+      this._dropPointer();
+      return null;
+    }
+
+    const input = this.inputHandler;
+    const pointers = this._pointers();
+
+    if (this.pointerId !== null) {
+      const current = pointers.find(p => p.id === this.pointerId);
+      if (current) return current;
+      this._dropPointer();
+    }
+
+    const claimed = pointers.find(p => !input.getPointerOwner(p.id) && this.contains(p.startX, p.startY));
+    if (claimed) {
+      this.pointerId = claimed.id;
+      input.claimPointer(claimed.id, this);
+    }
+    return claimed || null;
+  }
+
+  /**
+   * Stop following the current pointer
+   * @private
+   */
+  _dropPointer() {
+    if (this.pointerId !== null) {
+      this.inputHandler.releasePointer(this.pointerId, this);
+      this.pointerId = null;
+    }
+  }
+
+  /**
+   * Active touches, or the mouse while pressed (desktop testing)
+   * @private
+   */
+  _pointers() {
+    const input = this.inputHandler;
+    if (input.touches.length > 0) {
+      this.mouseStart = null;
+      return input.touches;
+    }
+
+    if (!input.mouse.down) {
+      this.mouseStart = null;
+      return [];
+    }
+
+    if (!this.mouseStart || input.mouse.pressed) {
+      this.mouseStart = { x: input.mouse.x, y: input.mouse.y };
+    }
+    return [{
+      id: 'mouse',
+      x: input.mouse.x,
+      y: input.mouse.y,
+      startX: this.mouseStart.x,
+      startY: this.mouseStart.y
+    }];
+  }
+
+  /**
+   * Hold exactly the given virtual keys
+   * @param {Iterable<string>} codes - Key codes to hold
+   * @protected
+   */
+  _setKeys(codes) {
+    const wanted = new Set(codes);
+
+    for (const code of this.heldKeys) {
+      // The handler drops virtual keys on blur / setBlocked: press them again
+      if (!this.inputHandler.isVirtualKeyHeld(code)) {
+        this.heldKeys.delete(code);
+      } else if (!wanted.has(code)) {
+        this.inputHandler.releaseVirtualKey(code);
+        this.heldKeys.delete(code);
+      }
+    }
+
+    for (const code of wanted) {
+      if (code && !this.heldKeys.has(code) && this.inputHandler.pressVirtualKey(code)) {
+        this.heldKeys.add(code);
+      }
+    }
+  }
+}
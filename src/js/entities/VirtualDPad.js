@@ -0,0 +1,135 @@
+import { VirtualControl } from './VirtualControl.js';
+
+/**
+ * VirtualDPad - On-screen directional pad centered at (x, y)
+ *
+ * Holds the arrow keys (configurable) for the pressed direction, so keyboard
+ * code works unchanged. With `diagonals` a touch between two arms holds both keys.
+ * `directions` limits the pad to some arms (e.g. ['up', 'down'] for a paddle).
+ */
+export class VirtualDPad extends VirtualControl {
+  /**
+   * @param {InputHandler} inputHandler - Input handler
+   * @param {Object} options - Settings (see VirtualDPad.DEFAULTS)
+   */
+  constructor(inputHandler, options = {}) {
+    super(inputHandler, options);
+    this.config = { ...VirtualDPad.DEFAULTS, ...options };
+    this.keys = { ...VirtualDPad.DEFAULTS.keys, ...(options.keys || {}) };
+
+    this.pressed = new Set(); // Directions held this frame
+  }
+
+  /**
+   * Check if a touch starting at (x, y) is on the pad
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    const half = this.config.size / 2;
+    return x >= this.x - half && x < this.x + half && y >= this.y - half && y < this.y + half;
+  }
+
+  /**
+   * Check if a direction is held
+   * @param {string} direction - 'up' | 'down' | 'left' | 'right'
+   * @returns {boolean}
+   */
+  isPressed(direction) {
+    return this.pressed.has(direction);
+  }
+
+  /**
+   * Follow the touch and update held directions
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    const pointer = this._trackPointer();
+    this.pressed.clear();
+
+    if (pointer) {
+      for (const direction of this._directionsAt(pointer.x - this.x, pointer.y - this.y)) {
+        this.pressed.add(direction);
+      }
+    }
+
+    this._setKeys(Array.from(this.pressed, direction => this.keys[direction]));
+  }
+
+  /**
+   * Render the arms, highlighting held directions
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+
+    const { size, color, pressedColor } = this.config;
+    const arm = size / 3;
+    const offsets = {
+      up: [-arm / 2, -size / 2],
+      down: [-arm / 2, arm / 2],
+      left: [-size / 2, -arm / 2],
+      right: [arm / 2, -arm / 2]
+    };
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha * (this.enabled ? 1 : 0.4);
+
+    // Center square
+    ctx.fillStyle = color;
+    ctx.fillRect(this.x - arm / 2, this.y - arm / 2, arm, arm);
+
+    for (const direction of this.config.directions) {
+      const [ox, oy] = offsets[direction];
+      ctx.fillStyle = this.pressed.has(direction) ? pressedColor : color;
+      ctx.fillRect(this.x + ox, this.y + oy, arm, arm);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Directions for a touch offset from the center
+   * @private
+   */
+  _directionsAt(dx, dy) {
+    const allowed = this.config.directions;
+    if (Math.hypot(dx, dy) < this.config.size * this.config.deadZone) return [];
+
+    const vertical = dy < 0 ? 'up' : 'down';
+    const horizontal = dx < 0 ? 'left' : 'right';
+    const hasVertical = allowed.includes('up') || allowed.includes('down');
+    const hasHorizontal = allowed.includes('left') || allowed.includes('right');
+
+    let result;
+    if (!hasHorizontal) {
+      result = [vertical];
+    } else if (!hasVertical) {
+      result = [horizontal];
+    } else if (this.config.diagonals) {
+      // Within 22.5 degrees of a diagonal both arms are held
+      const tan = Math.tan(Math.PI / 8);
+      result = [];
+      if (Math.abs(dy) >= Math.abs(dx) * tan) result.push(vertical);
+      if (Math.abs(dx) >= Math.abs(dy) * tan) result.push(horizontal);
+    } else {
+      result = [Math.abs(dy) >= Math.abs(dx) ? vertical : horizontal];
+    }
+
+    return result.filter(direction => allowed.includes(direction));
+  }
+}
+
+/**
+ * Default D-pad settings
+ */
+VirtualDPad.DEFAULTS = {
+  size: 300,              // Width and height of the pad
+  directions: ['up', 'down', 'left', 'right'],
+  diagonals: false,
+  deadZone: 0.08,         // Fraction of size around the center that holds nothing
+  keys: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' },
+  color: 'rgba(255, 255, 255, 0.25)',
+  pressedColor: 'rgba(255, 255, 255, 0.6)'
+};
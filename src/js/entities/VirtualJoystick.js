@@ -0,0 +1,149 @@
+import { VirtualControl } from './VirtualControl.js';
+
+/**
+ * VirtualJoystick - On-screen analog stick
+ *
+ * Modes:
+ * - fixed    : The base stays at (x, y); touches must start on it
+ * - floating : The base appears where a touch starts inside `zone` and returns
+ *              to (x, y) when released
+ *
+ * Output: `vector` { x, y } normalized to -1..1 with the dead zone applied,
+ * plus `magnitude` (0-1) and `angle` (radians). Past `keyThreshold` the stick
+ * also holds the arrow keys (configurable), so keyboard code works unchanged.
+ */
+export class VirtualJoystick extends VirtualControl {
+  /**
+   * @param {InputHandler} inputHandler - Input handler
+   * @param {Object} options - Settings (see VirtualJoystick.DEFAULTS)
+   */
+  constructor(inputHandler, options = {}) {
+    super(inputHandler, options);
+    this.config = { ...VirtualJoystick.DEFAULTS, ...options };
+    this.keys = { ...VirtualJoystick.DEFAULTS.keys, ...(options.keys || {}) };
+
+    this.homeX = this.x;
+    this.homeY = this.y;
+    this.knobX = this.x;
+    this.knobY = this.y;
+
+    this.vector = { x: 0, y: 0 };
+    this.magnitude = 0;
+    this.angle = 0;
+  }
+
+  /**
+   * Check if a touch starting at (x, y) grabs the stick
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    const zone = this.config.zone;
+    if (this.config.mode === 'floating' && zone) {
+      return x >= zone.x && x < zone.x + zone.width && y >= zone.y && y < zone.y + zone.height;
+    }
+    return Math.hypot(x - this.x, y - this.y) <= this.config.radius;
+  }
+
+  /**
+   * Follow the touch and update the vector and keys
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    const wasActive = this.active;
+    const pointer = this._trackPointer();
+
+    if (!pointer) {
+      this._reset();
+      return;
+    }
+
+    if (!wasActive && this.config.mode === 'floating') {
+      this.x = pointer.startX;
+      this.y = pointer.startY;
+    }
+
+    const { radius, deadZone } = this.config;
+    const dx = pointer.x - this.x;
+    const dy = pointer.y - this.y;
+    const distance = Math.hypot(dx, dy);
+    const reach = Math.min(distance, radius);
+
+    this.knobX = this.x + (distance > 0 ? dx / distance * reach : 0);
+    this.knobY = this.y + (distance > 0 ? dy / distance * reach : 0);
+
+    // Rescale so output starts at 0 just outside the dead zone
+    const raw = reach / radius;
+    this.magnitude = raw <= deadZone ? 0 : (raw - deadZone) / (1 - deadZone);
+    this.angle = Math.atan2(dy, dx);
+    this.vector.x = distance > 0 ? dx / distance * this.magnitude : 0;
+    this.vector.y = distance > 0 ? dy / distance * this.magnitude : 0;
+
+    const threshold = this.config.keyThreshold;
+    this._setKeys([
+      this.vector.y <= -threshold ? this.keys.up : null,
+      this.vector.y >= threshold ? this.keys.down : null,
+      this.vector.x <= -threshold ? this.keys.left : null,
+      this.vector.x >= threshold ? this.keys.right : null
+    ]);
+  }
+
+  /**
+   * Render base and knob
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    if (!this.visible) return;
+    if (this.config.mode === 'floating' && this.config.hideWhenIdle && !this.active) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha * (this.enabled ? 1 : 0.4);
+
+    ctx.fillStyle = this.config.baseColor;
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, this.config.radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = this.active ? this.config.activeKnobColor : this.config.knobColor;
+    ctx.beginPath();
+    ctx.arc(this.knobX, this.knobY, this.config.knobRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+
+  /**
+   * Center the stick and release keys
+   * @private
+   */
+  _reset() {
+    if (this.config.mode === 'floating') {
+      this.x = this.homeX;
+      this.y = this.homeY;
+    }
+    this.knobX = this.x;
+    this.knobY = this.y;
+    this.vector.x = 0;
+    this.vector.y = 0;
+    this.magnitude = 0;
+    this._setKeys([]);
+  }
+}
+
+/**
+ * Default joystick settings
+ */
+VirtualJoystick.DEFAULTS = {
+  mode: 'fixed',          // 'fixed' | 'floating'
+  zone: null,             // Floating: { x, y, width, height } where touches may start
+  hideWhenIdle: false,    // Floating: only draw while touched
+  radius: 150,            // Knob travel
+  knobRadius: 60,
+  deadZone: 0.15,         // Fraction of radius ignored around the center
+  keyThreshold: 0.5,      // Magnitude on an axis that holds its key
+  keys: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' },
+  baseColor: 'rgba(255, 255, 255, 0.15)',
+  knobColor: 'rgba(255, 255, 255, 0.45)',
+  activeKnobColor: 'rgba(255, 255, 255, 0.7)'
+};
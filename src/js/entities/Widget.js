@@ -0,0 +1,115 @@
+import { LayoutManager } from '../core/LayoutManager.js';
+
+/**
+ * Widget - Base for retained-mode UI widgets
+ * (Label, Panel, Slider, Toggle, ProgressBar, ScrollList)
+ *
+ * Position: without an anchor, x/y are the top-left corner in canvas space.
+ * With an anchor, the same point of the widget is placed at that point of the
+ * layout bounds (default: the 1080x1920 canvas) and x/y become offsets, e.g.
+ * { anchor: 'bottom-right', x: -40, y: -40 } keeps the widget 40px from the
+ * bottom-right corner. `margin` keeps a gap from the anchored edges only,
+ * so { anchor: 'bottom-right', margin: 40 } does the same. layout() recomputes
+ * the position; registered with the engine's LayoutManager, anchored widgets
+ * are laid out inside the device safe area (unless safeArea is false).
+ *
+ * Interactive widgets implement the same pointer methods as Button
+ * (contains, pointerDown, pointerMove, pointerUp, cancel), so
+ * Button.processInput() drives them together with buttons.
+ */
+export class Widget {
+  /**
+   * @param {Object} options - Shared settings
+   * @param {number} options.x - Left (or offset from the anchor)
+   * @param {number} options.y - Top (or offset from the anchor)
+   * @param {number} options.width - Width
+   * @param {number} options.height - Height
+   * @param {string} options.anchor - Anchor name (see Widget.ANCHORS), or null
+   * @param {number|Object} options.margin - Gap from the anchored edges ({ top, right, bottom, left } or one number)
+   * @param {boolean} options.safeArea - Keep clear of notches when laid out by LayoutManager (default: true)
+   * @param {number} options.alpha - Opacity (default: 1)
+   */
+  constructor(options = {}) {
+    this.offsetX = options.x || 0;
+    this.offsetY = options.y || 0;
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+    this.anchor = options.anchor || null;
+    this.margin = options.margin || 0;
+    this.safeArea = options.safeArea !== undefined ? options.safeArea : true;
+    this.alpha = options.alpha !== undefined ? options.alpha : 1;
+    this.visible = options.visible !== undefined ? options.visible : true;
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+
+    if (this.anchor && !Widget.ANCHORS[this.anchor]) {
+      console.warn(`[Widget] Unknown anchor "${this.anchor}", using top-left`);
+      this.anchor = 'top-left';
+    }
+
+    this.x = 0;
+    this.y = 0;
+    this.layout();
+  }
+
+  /**
+   * Place the widget inside layout bounds
+   * @param {Object} bounds - { x, y, width, height } (default: Widget.CANVAS)
+   */
+  layout(bounds = Widget.CANVAS) {
+    if (!this.anchor) {
+      this.x = this.offsetX;
+      this.y = this.offsetY;
+      return;
+    }
+
+    const position = LayoutManager.place(this.anchor, bounds, this.width, this.height, this.offsetX, this.offsetY, this.margin);
+    this.x = position.x;
+    this.y = position.y;
+  }
+
+  /**
+   * Check if a point is inside the widget
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    return x >= this.x && x < this.x + this.width &&
+           y >= this.y && y < this.y + this.height;
+  }
+
+  /**
+   * Per-frame logic (override in subclasses)
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    // Override in subclasses
+  }
+
+  /**
+   * Draw the widget (override in subclasses)
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  render(ctx) {
+    // Override in subclasses
+  }
+
+  /**
+   * Trace a rounded rectangle path
+   * @protected
+   */
+  _roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, Math.max(0, Math.min(radius, width / 2, height / 2)));
+  }
+}
+
+/**
+ * Default layout bounds (the logical canvas)
+ */
+Widget.CANVAS = { x: 0, y: 0, width: 1080, height: 1920 };
+
+/**
+ * Anchor points as fractions of width/height
+ */
+Widget.ANCHORS = LayoutManager.ANCHORS;
@@ -65,6 +65,7 @@ function showWaitingScreen(engine) {
   const ctx = engine.ctx;
   const width = engine.width;
   const height = engine.height;
+  engine.applyViewTransform(ctx);
   
   // Dark background
   ctx.fillStyle = '#0f172a';
@@ -153,7 +154,7 @@ function sendDebugInfo(engine) {
   
   // Count entities per layer
   const layerCounts = {};
-  ['BG_FAR', 'BG_NEAR', 'VIDEO_IMAGE', 'SHAPES', 'SPRITES', 'TEXT', 'UI_BUTTONS'].forEach(name => {
+  layers.getLayerNames().forEach(name => {
     const layer = layers.getLayer(name);
     layerCounts[name] = layer ? layer.length : 0;
   });
@@ -164,9 +165,12 @@ function sendDebugInfo(engine) {
       isRunning: engine.isRunning,
       sceneName: currentScene?.name || 'None',
       stateName: currentScene?.getCurrentStateName?.() || 'N/A',
-      fps: Math.round(1000 / 16.67), // Approximate
+      fps: Math.round(1 / engine.frameTime), // Smoothed
+      renderScale: engine.getRenderScale(),
       layerCounts,
-      totalEntities: Object.values(layerCounts).reduce((a, b) => a + b, 0)
+      totalEntities: Object.values(layerCounts).reduce((a, b) => a + b, 0),
+      culling: engine.layerManager.getRenderStats(), // Last frame, per layer { drawn, culled }
+      pools: engine.getPoolStats()
     }
   });
 }
@@ -191,21 +195,29 @@ function loadSceneFromConfig(engine, config) {
     scene.loadFromConfig(config);
     
     engine.sceneManager.register(config.sceneName, scene);
-    engine.sceneManager.switchTo(config.sceneName);
     
     if (!engine.isRunning) {
       engine.start();
     }
     
-    notifyParent({
-      type: 'SCENE_LOADED',
-      data: {
-        sceneName: config.sceneName,
-        states: config.states?.map(s => s.name) || []
-      }
+    // Scene assets load asynchronously - report once the scene is entered
+    engine.sceneManager.switchTo(config.sceneName).then(() => {
+      notifyParent({
+        type: 'SCENE_LOADED',
+        data: {
+          sceneName: config.sceneName,
+          states: config.states?.map(s => s.name) || []
+        }
+      });
+      
+      console.log(`Scene "${config.sceneName}" loaded from config`);
+    }).catch((error) => {
+      console.error('Failed to load scene assets:', error);
+      notifyParent({
+        type: 'ERROR',
+        data: { message: error.message }
+      });
     });
-    
-    console.log(`Scene "${config.sceneName}" loaded from config`);
   } catch (error) {
     console.error('Failed to load scene config:', error);
     notifyParent({
@@ -249,15 +261,15 @@ async function loadJSONScene(engine, jsonPath) {
     const scene = new ConfigurableScene();
     scene.loadFromConfig(config);
     
-    // Register and switch to scene
-    engine.sceneManager.register(config.sceneName, scene);
-    engine.sceneManager.switchTo(config.sceneName);
-    
-    // Start engine if not already running
+    // Start engine if not already running (renders the loading scene)
     if (!engine.isRunning) {
       engine.start();
     }
     
+    // Register and switch to scene (waits for its assets)
+    engine.sceneManager.register(config.sceneName, scene);
+    await engine.sceneManager.switchTo(config.sceneName);
+    
     console.log(`Scene "${config.sceneName}" loaded successfully`);
     console.log('States:', config.states.map(s => s.name).join(' → '));
     
@@ -289,7 +301,9 @@ window.createScene = (config) => {
   scene.loadFromConfig(config);
   
   engine.sceneManager.register(config.sceneName, scene);
-  engine.sceneManager.switchTo(config.sceneName);
+  engine.sceneManager.switchTo(config.sceneName).catch((error) => {
+    console.error('Failed to create scene:', error);
+  });
   
   return scene;
 };
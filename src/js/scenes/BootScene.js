@@ -25,6 +25,7 @@ export class BootScene extends Scene {
       }
     };
     this.layerManager.addToLayer(bg, 'BG_FAR');
+    this.layerManager.setLayerOptions('BG_FAR', { cache: true }); // Static: drawn once
     
     // Store reference for animation
     this.textEntity = {
@@ -6,7 +6,19 @@
  */
 import { Scene } from './Scene.js';
 import { Sprite } from '../entities/Sprite.js';
+import { AnimatedSprite } from '../entities/AnimatedSprite.js';
+import { ParticleEmitter } from '../entities/ParticleEmitter.js';
 import { Button } from '../entities/Button.js';
+import { VirtualJoystick } from '../entities/VirtualJoystick.js';
+import { VirtualDPad } from '../entities/VirtualDPad.js';
+import { VirtualButton } from '../entities/VirtualButton.js';
+import { Label } from '../entities/Label.js';
+import { Panel } from '../entities/Panel.js';
+import { Slider } from '../entities/Slider.js';
+import { Toggle } from '../entities/Toggle.js';
+import { ProgressBar } from '../entities/ProgressBar.js';
+import { ScrollList } from '../entities/ScrollList.js';
+import { TiledBackground } from '../entities/TiledBackground.js';
 
 export class ConfigurableScene extends Scene {
   constructor(name = 'ConfigurableScene') {
@@ -25,9 +37,30 @@ export class ConfigurableScene extends Scene {
     // Entity tracking
     this.entities = new Map(); // id -> entity
     this.entityAnimations = new Map(); // id -> animation state
+    this.updatableEntities = new Set(); // entities with their own update(dt)
+    this.anchoredEntities = new Set();  // entities placed by the LayoutManager
     
     // Assets to load
-    this.assetsToLoad = { images: [], audio: [], videos: [] };
+    this.assetsToLoad = { images: [], audio: [], videos: [], spriteSheets: [], fonts: [] };
+    this.manifestPath = null;  // Optional asset manifest (registers bundles)
+    this.bundleNames = [];     // Manifest bundles this scene uses
+    this.loadedBundles = [];   // Bundles referenced since init()
+    this.loadReports = [];     // Per-bundle reports (failed assets)
+    
+    // Scene music (started on enter)
+    this.music = null;
+    
+    // Progress persistence (SaveManager slot name, or null)
+    this.saveSlot = null;
+    this.savedState = null; // State loaded in init(), applied in populateLayers()
+    
+    // Input actions declared by the scene
+    this.inputActions = {};     // action name -> bindings
+    this.actionHandlers = {};   // action name -> button-style action (all states)
+    this.gestureHandlers = {};  // gesture name -> button-style action (all states)
+    this.gestureOptions = null; // gesture thresholds while the scene is active
+    this.replacedBindings = {}; // default bindings replaced while the scene is active
+    this.replacedGestureOptions = null;
   }
   
   /**
@@ -51,15 +84,37 @@ export class ConfigurableScene extends Scene {
       this.assetsToLoad = {
         images: config.assets.images || [],
         audio: config.assets.audio || [],
-        videos: config.assets.videos || []
+        videos: config.assets.videos || [],
+        spriteSheets: config.assets.spriteSheets || [],
+        fonts: config.assets.fonts || []
       };
     }
     
+    // Manifest bundles
+    this.manifestPath = config.manifest || null;
+    this.bundleNames = config.bundles || [];
+    
+    // Music: "track.mp3" or { id, crossfade, resume, loop } or { playlist: [...], shuffle, crossfade }
+    this.music = config.music || null;
+    
+    // Input: { actions: { jump: ['Space', 'gesture:swipeUp'] }, onAction: { jump: { action... } },
+    //         onGesture: { doubleTap: { action... } }, gestureOptions: { swipeMinDistance: 120 } }
+    const input = config.input || {};
+    this.inputActions = input.actions || {};
+    this.actionHandlers = input.onAction || {};
+    this.gestureHandlers = input.onGesture || {};
+    this.gestureOptions = input.gestureOptions || null;
+    
+    // autoSave: true (slot = scene name) or a slot name
+    this.saveSlot = config.autoSave === true ? this.name : (config.autoSave || null);
+    
     return this;
   }
   
   /**
    * Initialize - load all assets
+   * Inline assets form the bundle "scene:<sceneName>"; manifest bundles are
+   * loaded alongside it. Files that fail to load are reported, not thrown.
    */
   async init() {
     if (!this.config) {
@@ -69,20 +124,28 @@ export class ConfigurableScene extends Scene {
     
     const loader = this.engine.assetLoader;
     
-    // Load images
-    if (this.assetsToLoad.images.length > 0) {
-      await loader.loadImages(this.assetsToLoad.images);
+    if (this.manifestPath) {
+      await loader.loadManifest(this.manifestPath);
     }
     
-    // Load audio
-    if (this.assetsToLoad.audio.length > 0) {
-      await loader.loadAudioFiles(this.assetsToLoad.audio);
+    const sceneBundle = `scene:${this.name}`;
+    loader.registerBundle(sceneBundle, this.assetsToLoad);
+    
+    if (this.saveSlot && this.engine.saveManager) {
+      const saved = await this.engine.saveManager.load(this.saveSlot);
+      this.savedState = saved && saved.scene === this.name ? saved.state : null;
     }
     
+    const bundles = [sceneBundle, ...this.bundleNames];
+    this.loadedBundles = bundles;
+    this.loadReports = await Promise.all(bundles.map(name => loader.loadBundle(name)));
+    
     // Log loaded assets
+    const failed = this.loadReports.reduce((sum, report) => sum + report.failed.length, 0);
     console.log(`[${this.name}] Assets loaded:`, {
-      images: this.assetsToLoad.images.length,
-      audio: this.assetsToLoad.audio.length
+      bundles,
+      loaded: this.loadReports.reduce((sum, report) => sum + report.loaded.length, 0),
+      failed
     });
   }
   
@@ -98,6 +161,22 @@ export class ConfigurableScene extends Scene {
       this.currentStateName = this.states[0].name;
       console.log(`[${this.name}] Entering state: ${this.currentStateName}`);
     }
+    
+    if (this.music) {
+      this._playMusic(this.music);
+    }
+    
+    // Scene bindings replace defaults of the same name until exit
+    this.replacedBindings = {};
+    for (const name of Object.keys(this.inputActions)) {
+      this.replacedBindings[name] = this.inputHandler.actionBindings[name] || null;
+    }
+    this.inputHandler.defineActions(this.inputActions);
+    
+    if (this.gestureOptions) {
+      this.replacedGestureOptions = { ...this.inputHandler.gestures.options };
+      this.inputHandler.configureGestures(this.gestureOptions);
+    }
   }
   
   /**
@@ -105,29 +184,82 @@ export class ConfigurableScene extends Scene {
    */
   exit() {
     super.exit();
+    this._releaseControls();
+    this._releaseAnchors();
     this.entities.clear();
     this.entityAnimations.clear();
+    this.updatableEntities.clear();
+    
+    // Release bundles (assets shared with other loaded bundles stay cached)
+    for (const name of this.loadedBundles) {
+      this.engine.assetLoader.unloadBundle(name);
+    }
+    this.loadedBundles = [];
     
-    // Unload scene-specific assets
-    const assetIds = [
-      ...this.assetsToLoad.images.map(a => a.id),
-      ...this.assetsToLoad.audio.map(a => a.id)
-    ];
+    // Restore the bindings the scene replaced
+    for (const [name, bindings] of Object.entries(this.replacedBindings)) {
+      if (bindings) {
+        this.inputHandler.defineActions({ [name]: bindings });
+      } else {
+        this.inputHandler.removeActions([name]);
+      }
+    }
+    this.replacedBindings = {};
     
-    if (assetIds.length > 0 && this.engine.assetLoader.unloadAssets) {
-      this.engine.assetLoader.unloadAssets(assetIds);
+    if (this.replacedGestureOptions) {
+      this.inputHandler.configureGestures(this.replacedGestureOptions);
+      this.replacedGestureOptions = null;
     }
+    
+    // Assets are gone - load them again on next entry
+    this.isInitialized = false;
+  }
+  
+  /**
+   * Pause scene - an overlay was pushed on top
+   * On-screen controls let go so their keys don't stay held under the overlay
+   */
+  pause() {
+    super.pause();
+    this._releaseControls();
   }
   
   /**
    * Populate layers - set up initial state
    */
   populateLayers() {
-    if (this.states.length > 0) {
+    if (this.savedState) {
+      this.deserialize(this.savedState);
+      this.savedState = null;
+    } else if (this.states.length > 0) {
       this._setupState(this.states[0]);
     }
   }
   
+  /**
+   * Get progress to persist
+   * @returns {{state: string, stateTimer: number}}
+   */
+  serialize() {
+    return { state: this.currentStateName, stateTimer: this.stateTimer };
+  }
+  
+  /**
+   * Restore progress from serialize()
+   * @param {{state: string, stateTimer: number}} data - Saved progress
+   */
+  deserialize(data) {
+    if (!data.state || !this.states.some(s => s.name === data.state)) {
+      if (this.states.length > 0) {
+        this._setupState(this.states[0]);
+      }
+      return;
+    }
+    
+    this._switchToState(data.state);
+    this.stateTimer = data.stateTimer || 0;
+  }
+  
   /**
    * Update - handle state logic and transitions
    * @param {number} dt - Delta time in seconds
@@ -143,17 +275,41 @@ export class ConfigurableScene extends Scene {
     // Update entity animations
     this._updateAnimations(dt);
     
-    // Handle button clicks
-    if (this.inputHandler.mouse.pressed) {
-      this._handleButtonClicks();
+    // Handle button hover/press/click (before virtual controls, so a touch
+    // starting on a button is captured by the button)
+    this._handleButtonClicks();
+    
+    // Update entities with their own logic (e.g. animated sprites, virtual controls)
+    // Covered by an overlay, on-screen controls stay idle and leave touches to it
+    for (const entity of this.updatableEntities) {
+      if (this.isPaused && typeof entity.release === 'function') continue;
+      entity.update(dt);
+    }
+    
+    // Handle input actions (scene-wide, then state-specific)
+    this._handleActions(this.actionHandlers);
+    if (currentState.onAction && this.states[this.currentStateIndex] === currentState) {
+      this._handleActions(currentState.onAction);
+    }
+    
+    // Handle gestures (scene-wide, then state-specific)
+    this._handleGestures(this.gestureHandlers);
+    if (currentState.onGesture && this.states[this.currentStateIndex] === currentState) {
+      this._handleGestures(currentState.onGesture);
     }
     
     // Check for timer transition
-    if (currentState.transition && currentState.transition.type === 'timer') {
-      if (this.stateTimer >= currentState.transition.duration) {
-        this._handleTransition(currentState.transition);
+    const transition = currentState.transition;
+    if (transition && transition.type === 'timer') {
+      if (this.stateTimer >= transition.duration) {
+        this._handleTransition(transition);
       }
     }
+    
+    // Check for action transition
+    if (transition && transition.type === 'action' && this.inputHandler.wasActionPressed(transition.action)) {
+      this._handleTransition(transition);
+    }
   }
   
   /**
@@ -162,20 +318,53 @@ export class ConfigurableScene extends Scene {
    */
   _setupState(state) {
     if (state.clearLayers) {
+      this._releaseControls();
+      this._releaseAnchors();
       this.layerManager.clearAll();
       this.entities.clear();
       this.entityAnimations.clear();
+      this.updatableEntities.clear();
+    }
+    
+    // Per-layer options, e.g. { "BG_FAR": { "cache": true }, "SPRITES": { "sort": "y" } }
+    if (state.layerOptions) {
+      for (const [layerName, options] of Object.entries(state.layerOptions)) {
+        this.layerManager.setLayerOptions(layerName, options);
+      }
     }
     
-    if (!state.layers) return;
+    if (state.layers) {
+      this._createLayerEntities(state.layers);
+    }
     
+    // Camera settings may follow an entity created above
+    if (state.camera) {
+      this._setupCamera(state.camera);
+    }
+  }
+  
+  /**
+   * Create the entities of a state's layers
+   * @private
+   */
+  _createLayerEntities(layers) {
     // Process each layer
-    for (const [layerName, entities] of Object.entries(state.layers)) {
+    for (const [layerName, entities] of Object.entries(layers)) {
       if (!Array.isArray(entities)) continue;
       
       for (const entityConfig of entities) {
         const entity = this._createEntity(entityConfig);
         if (entity) {
+          // Place before animations record the starting position
+          if (entityConfig.anchor) {
+            this._anchorEntity(entity, entityConfig);
+          }
+          
+          // Draw order within the layer
+          if (entityConfig.zIndex !== undefined) {
+            entity.zIndex = entityConfig.zIndex;
+          }
+          
           this.layerManager.addToLayer(entity, layerName);
           
           // Track entity by id
@@ -187,11 +376,49 @@ export class ConfigurableScene extends Scene {
           if (entityConfig.animation) {
             this._setupAnimation(entity, entityConfig.animation);
           }
+          
+          // Track entities that need per-frame updates
+          if (typeof entity.update === 'function') {
+            this.updatableEntities.add(entity);
+          }
         }
       }
     }
   }
   
+  /**
+   * Apply a state's camera settings
+   * { x, y, zoom, rotation, bounds: { x, y, width, height }, follow: entityId,
+   *   deadzone: { width, height }, smoothing, offsetX, offsetY, fixedLayers: [...] }
+   * @private
+   */
+  _setupCamera(config) {
+    const camera = this.engine.camera;
+    
+    if (config.fixedLayers) {
+      camera.fixedLayers = new Set(config.fixedLayers);
+    }
+    if (config.zoom !== undefined) camera.setZoom(config.zoom);
+    if (config.rotation !== undefined) camera.setRotation(config.rotation);
+    if (config.bounds !== undefined) camera.setBounds(config.bounds);
+    if (config.x !== undefined || config.y !== undefined) {
+      camera.lookAt(config.x !== undefined ? config.x : camera.x, config.y !== undefined ? config.y : camera.y);
+    }
+    
+    if (config.follow !== undefined) {
+      const target = config.follow ? this.entities.get(config.follow) : null;
+      if (config.follow && !target) {
+        console.warn(`[${this.name}] Camera follow target not found: ${config.follow}`);
+      }
+      const { deadzone, smoothing, offsetX, offsetY } = config;
+      const options = { deadzone, smoothing, offsetX, offsetY };
+      for (const key of Object.keys(options)) {
+        if (options[key] === undefined) delete options[key];
+      }
+      camera.follow(target || null, options);
+    }
+  }
+  
   /**
    * Create an entity from config
    * @private
@@ -200,12 +427,29 @@ export class ConfigurableScene extends Scene {
     switch (config.type) {
       case 'sprite':
         return this._createSprite(config);
+      case 'animatedSprite':
+        return this._createAnimatedSprite(config);
       case 'button':
         return this._createButton(config);
       case 'text':
         return this._createText(config);
       case 'shape':
         return this._createShape(config);
+      case 'particles':
+        return this._createParticles(config);
+      case 'tiledBackground':
+        return this._createTiledBackground(config);
+      case 'joystick':
+      case 'dpad':
+      case 'virtualButton':
+        return this._createVirtualControl(config);
+      case 'label':
+      case 'panel':
+      case 'slider':
+      case 'toggle':
+      case 'progressBar':
+      case 'scrollList':
+        return this._createWidget(config);
       default:
         console.warn(`Unknown entity type: ${config.type}`);
         return null;
@@ -242,6 +486,51 @@ export class ConfigurableScene extends Scene {
     return sprite;
   }
   
+  /**
+   * Create an AnimatedSprite entity from loaded sprite-sheet metadata
+   * Frame events ("action:target") are routed to the button action handler
+   * @private
+   */
+  _createAnimatedSprite(config) {
+    const loader = this.engine.assetLoader;
+    const metadata = config.sheetId ? loader.getJSON(config.sheetId) : null;
+    
+    if (!metadata) {
+      console.warn(`[${this.name}] Sprite sheet not loaded: ${config.sheetId}`);
+    }
+    
+    // Sheet image: explicit assetId, else the image named in the metadata
+    const imageId = config.assetId || (metadata && metadata.meta ? metadata.meta.image : null);
+    const image = imageId ? loader.getImage(imageId) : null;
+    
+    const sprite = new AnimatedSprite(config.x || 0, config.y || 0);
+    if (config.width) sprite.width = config.width;
+    if (config.height) sprite.height = config.height;
+    if (config.color) sprite.color = config.color;
+    if (metadata) {
+      sprite.setSpriteSheet(image, metadata);
+    }
+    
+    // Apply additional properties
+    if (config.rotation !== undefined) sprite.rotation = config.rotation;
+    if (config.alpha !== undefined) sprite.alpha = config.alpha;
+    if (config.scaleX !== undefined) sprite.scaleX = config.scaleX;
+    if (config.scaleY !== undefined) sprite.scaleY = config.scaleY;
+    if (config.visible !== undefined) sprite.visible = config.visible;
+    
+    sprite.onFrameEvent = (event) => this._handleFrameEvent(event);
+    
+    // Start playback
+    if (config.play) {
+      sprite.play(config.play);
+    }
+    if (Array.isArray(config.queue)) {
+      config.queue.forEach(name => sprite.queueAnimation(name));
+    }
+    
+    return sprite;
+  }
+  
   /**
    * Create a Button entity
    * @private
@@ -264,6 +553,33 @@ export class ConfigurableScene extends Scene {
       button._actionConfig = config.onClick; // Store for reference
     }
     
+    // State visuals: colors, or image asset ids per state (optionally nine-sliced)
+    if (config.hoverColor) button.hoverColor = config.hoverColor;
+    if (config.pressedColor) button.pressedColor = config.pressedColor;
+    if (config.disabledColor) button.disabledColor = config.disabledColor;
+    if (config.images && this.engine.assetLoader) {
+      for (const [state, assetId] of Object.entries(config.images)) {
+        const image = this.engine.assetLoader.getImage(assetId);
+        if (image) {
+          button.images[state] = image;
+        } else {
+          console.warn(`[${this.name}] Button image not loaded: ${assetId}`);
+        }
+      }
+    }
+    if (config.nineSlice !== undefined) button.nineSlice = config.nineSlice;
+    if (config.cornerRadius !== undefined) button.cornerRadius = config.cornerRadius;
+    if (config.textColor) button.textColor = config.textColor;
+    if (config.font) button.font = config.font;
+    if (config.pressScale !== undefined) button.pressScale = config.pressScale;
+    if (config.enabled === false) button.setEnabled(false);
+    
+    // Click sound (SFX id)
+    if (config.clickSound) {
+      button.clickSound = config.clickSound;
+      button.audioManager = this.engine.audioManager;
+    }
+    
     return button;
   }
   
@@ -318,6 +634,19 @@ export class ConfigurableScene extends Scene {
       alpha: config.alpha !== undefined ? config.alpha : 1,
       visible: config.visible !== undefined ? config.visible : true,
       
+      // Box covering the drawn shape (strokes reach half their width outside)
+      getBounds() {
+        const pad = this.fill && this.shape !== 'line' ? 0 : this.strokeWidth / 2;
+        const width = this.shape === 'circle' ? this.radius * 2 : this.width;
+        const height = this.shape === 'circle' ? this.radius * 2 : this.height;
+        return {
+          x: Math.min(this.x, this.x + width) - pad,
+          y: Math.min(this.y, this.y + height) - pad,
+          width: Math.abs(width) + pad * 2,
+          height: Math.abs(height) + pad * 2
+        };
+      },
+      
       render(ctx) {
         if (!this.visible) return;
         ctx.save();
@@ -364,6 +693,218 @@ export class ConfigurableScene extends Scene {
     return shapeEntity;
   }
   
+  /**
+   * Create a ParticleEmitter entity
+   * Emitter settings are read from the config (see ParticleEmitter.DEFAULTS)
+   * @private
+   */
+  _createParticles(config) {
+    const { type, id, x, y, assetId, onComplete, animation, ...settings } = config;
+    
+    if (assetId && this.engine.assetLoader) {
+      settings.image = this.engine.assetLoader.getImage(assetId);
+    }
+    
+    const emitter = new ParticleEmitter(x || 0, y || 0, settings);
+    
+    if (onComplete) {
+      emitter.onComplete = () => this._runAction(onComplete);
+    }
+    
+    return emitter;
+  }
+  
+  /**
+   * Create a TiledBackground (scrolling / parallax tiles) drawn through the engine camera
+   * Settings are read from the config (see TiledBackground.DEFAULTS)
+   * @private
+   */
+  _createTiledBackground(config) {
+    const { type, id, assetId, animation, ...settings } = config;
+    
+    let image = null;
+    if (assetId && this.engine.assetLoader) {
+      image = this.engine.assetLoader.getImage(assetId);
+      if (!image) {
+        console.warn(`[${this.name}] Background tile not loaded: ${assetId}`);
+      }
+    }
+    
+    return new TiledBackground(image, { camera: this.engine.camera, ...settings });
+  }
+  
+  /**
+   * Create an on-screen touch control (VirtualJoystick, VirtualDPad, VirtualButton)
+   * Settings are read from the config (see each class's DEFAULTS)
+   * @private
+   */
+  _createVirtualControl(config) {
+    const { type, id, onPress, onRelease, animation, ...settings } = config;
+    const input = this.engine.inputHandler;
+    
+    if (type === 'joystick') {
+      return new VirtualJoystick(input, settings);
+    }
+    if (type === 'dpad') {
+      return new VirtualDPad(input, settings);
+    }
+    
+    const button = new VirtualButton(input, settings);
+    if (onPress) {
+      button.onPress = () => this._runAction(onPress);
+    }
+    if (onRelease) {
+      button.onRelease = () => this._runAction(onRelease);
+    }
+    return button;
+  }
+  
+  /**
+   * Create a UI widget (Label, Panel, Slider, Toggle, ProgressBar, ScrollList)
+   * Settings are read from the config. `bind` ('volume.music', 'setting.key')
+   * connects the value both ways; onChange / onSelect run button actions with
+   * the new value as `value`.
+   * @private
+   */
+  _createWidget(config) {
+    const { type, id, animation, bind, onChange, onSelect, assetId, ...settings } = config;
+    
+    if (bind) {
+      const bound = this._readBinding(bind);
+      if (bound !== undefined) settings.value = bound;
+    }
+    
+    let widget;
+    switch (type) {
+      case 'label':
+        widget = new Label(settings);
+        break;
+        
+      case 'panel':
+        if (assetId && this.engine.assetLoader) {
+          settings.image = this.engine.assetLoader.getImage(assetId);
+        }
+        widget = new Panel(settings);
+        break;
+        
+      case 'slider':
+        widget = new Slider(settings);
+        // The bound value follows the drag; the action runs once on release
+        if (bind) {
+          widget.onChange = (value) => this._writeBinding(bind, value);
+        }
+        if (onChange) {
+          widget.onChangeEnd = (value) => this._runAction({ value, ...onChange });
+        }
+        break;
+        
+      case 'toggle':
+        widget = new Toggle(settings);
+        widget.onChange = (value) => {
+          if (bind) this._writeBinding(bind, value);
+          if (onChange) this._runAction({ value, ...onChange });
+        };
+        break;
+        
+      case 'progressBar':
+        widget = new ProgressBar(settings);
+        if (bind) {
+          widget.source = () => this._readBinding(bind);
+        }
+        break;
+        
+      case 'scrollList':
+        widget = new ScrollList(settings);
+        // Items may carry their own onSelect action
+        widget.onSelect = (index, item) => {
+          const action = (item && item.onSelect) || onSelect;
+          if (action) this._runAction({ value: index, ...action });
+        };
+        break;
+    }
+    
+    return widget;
+  }
+  
+  /**
+   * Read a widget binding: 'volume.<bus>' (AudioManager) or 'setting.<key>' (SaveManager)
+   * @returns {*} Value, or undefined if the source is unavailable
+   * @private
+   */
+  _readBinding(bind) {
+    const [source, key] = bind.split('.');
+    
+    if (source === 'volume' && this.engine.audioManager) {
+      return this.engine.audioManager.getVolumes()[key];
+    }
+    if (source === 'setting' && this.engine.saveManager) {
+      return this.engine.saveManager.getSetting(key, undefined);
+    }
+    
+    console.warn(`[${this.name}] Unknown binding: ${bind}`);
+    return undefined;
+  }
+  
+  /**
+   * Write a widget binding
+   * @private
+   */
+  _writeBinding(bind, value) {
+    const [source, key] = bind.split('.');
+    
+    if (source === 'volume' && this.engine.audioManager) {
+      this.engine.audioManager.setVolumes({ [key]: value });
+    } else if (source === 'setting' && this.engine.saveManager) {
+      this.engine.saveManager.setSetting(key, value);
+    }
+  }
+  
+  /**
+   * Keep an entity anchored to the safe area (or the canvas with safeArea: false)
+   * Widgets place themselves; other entities are placed from the config's
+   * anchor, x/y offsets and margin.
+   * @private
+   */
+  _anchorEntity(entity, config) {
+    const layout = this.engine.layoutManager;
+    
+    if (typeof entity.layout === 'function') {
+      layout.add(entity);
+    } else {
+      layout.add(entity, {
+        anchor: config.anchor,
+        x: config.x,
+        y: config.y,
+        margin: config.margin,
+        safeArea: config.safeArea
+      });
+    }
+    this.anchoredEntities.add(entity);
+  }
+  
+  /**
+   * Stop placing entities that are about to be removed
+   * @private
+   */
+  _releaseAnchors() {
+    for (const entity of this.anchoredEntities) {
+      this.engine.layoutManager.remove(entity);
+    }
+    this.anchoredEntities.clear();
+  }
+  
+  /**
+   * Release keys held by on-screen controls that are about to be removed
+   * @private
+   */
+  _releaseControls() {
+    for (const entity of this.updatableEntities) {
+      if (typeof entity.release === 'function') {
+        entity.release();
+      }
+    }
+  }
+  
   /**
    * Set up an animation for an entity
    * @private
@@ -472,6 +1013,8 @@ export class ConfigurableScene extends Scene {
           break;
       }
       
+      entity.dirty = true; // Redraw cached layers
+      
       if (progress >= 1 && anim.type !== 'pulse') {
         anim.completed = true;
       }
@@ -527,15 +1070,41 @@ export class ConfigurableScene extends Scene {
   }
   
   /**
-   * Handle button clicks
+   * Handle hover, press and click for every button and interactive widget in the layers
+   * Top-most first, so overlapping buttons don't both fire
    * @private
    */
   _handleButtonClicks() {
-    const { x, y } = this.inputHandler.mouse;
+    const buttons = this.layerManager.getEntitiesTopFirst()
+      .filter(entity => typeof entity.pointerDown === 'function');
     
-    for (const [id, entity] of this.entities) {
-      if (entity.checkClick) {
-        entity.checkClick(x, y);
+    if (buttons.length > 0) {
+      Button.processInput(this.inputHandler, buttons);
+    }
+  }
+  
+  /**
+   * Run button-style actions for input actions pressed this frame
+   * @param {Object<string, Object>} handlers - Action name -> button action
+   * @private
+   */
+  _handleActions(handlers) {
+    for (const [name, action] of Object.entries(handlers)) {
+      if (this.inputHandler.wasActionPressed(name)) {
+        this._runAction(action);
+      }
+    }
+  }
+  
+  /**
+   * Run button-style actions for gestures fired this frame
+   * @param {Object<string, Object>} handlers - Gesture name (e.g. 'swipeLeft') -> button action
+   * @private
+   */
+  _handleGestures(handlers) {
+    for (const [gesture, action] of Object.entries(handlers)) {
+      if (this.inputHandler.wasGestureFired(gesture)) {
+        this._runAction(action);
       }
     }
   }
@@ -546,14 +1115,36 @@ export class ConfigurableScene extends Scene {
    */
   _handleButtonAction(action) {
     console.log(`[${this.name}] Button action:`, action);
-    
+    this._runAction(action);
+  }
+  
+  /**
+   * Run a button-style action without logging it
+   * Used by per-frame sources (input actions, gestures, frame events, controls, widgets)
+   * @private
+   */
+  _runAction(action) {
     switch (action.action) {
       case 'switchScene':
         if (action.target) {
-          this.switchScene(action.target);
+          this._settleSceneChange(this.switchScene(action.target, action.effect || null));
+        }
+        break;
+        
+      case 'pushScene':
+        if (action.target) {
+          this._settleSceneChange(this.pushScene(action.target, {
+            renderBelow: action.renderBelow,
+            updateBelow: action.updateBelow,
+            transition: action.effect || null
+          }));
         }
         break;
         
+      case 'popScene':
+        this.popScene(action.effect || null);
+        break;
+        
       case 'switchState':
         if (action.target) {
           this._switchToState(action.target);
@@ -562,10 +1153,47 @@ export class ConfigurableScene extends Scene {
         
       case 'playSound':
         if (action.sound && this.engine.audioManager) {
-          this.engine.audioManager.playSFX(action.sound);
+          this.engine.audioManager.playSFX(
+            action.sound,
+            action.volume !== undefined ? action.volume : null,
+            { pitch: action.pitch, pitchVariation: action.pitchVariation, pan: action.pan }
+          );
+        }
+        break;
+        
+      case 'playMusic':
+        if (action.music) {
+          this._playMusic(action.music);
+        }
+        break;
+        
+      case 'stopMusic':
+        if (this.engine.audioManager) {
+          this.engine.audioManager.fadeOut(action.fade || 0);
+        }
+        break;
+        
+      case 'setVolume':
+        // { bus: 'master' | 'music' | 'sfx' | 'voice', value }
+        if (this.engine.audioManager && action.bus && typeof action.value === 'number') {
+          this.engine.audioManager.setVolumes({ [action.bus]: action.value });
+        }
+        break;
+        
+      case 'setSetting':
+        if (this.engine.saveManager && action.key) {
+          this.engine.saveManager.setSetting(action.key, action.value);
         }
         break;
         
+      case 'cameraShake':
+        this.engine.camera.shake(action.intensity, action.duration);
+        break;
+        
+      case 'cameraFlash':
+        this.engine.camera.flash(action.color, action.duration, action.alpha);
+        break;
+        
       case 'custom':
         // For custom actions, emit an event or call a callback
         console.log('Custom action:', action);
@@ -573,18 +1201,76 @@ export class ConfigurableScene extends Scene {
     }
   }
   
+  /**
+   * Handle an animation frame event ("playSound:id", "switchState:name", ...)
+   * @private
+   */
+  _handleFrameEvent(event) {
+    const separator = event.indexOf(':');
+    if (separator === -1) {
+      this._runAction({ action: event });
+      return;
+    }
+    
+    const action = event.substring(0, separator);
+    const value = event.substring(separator + 1);
+    
+    if (action === 'playSound') {
+      this._runAction({ action, sound: value });
+    } else {
+      this._runAction({ action, target: value });
+    }
+  }
+  
+  /**
+   * Start music from a config value (track id, track options or playlist)
+   * Tracks resume where they stopped by default, so returning to a scene continues its music
+   * @private
+   */
+  _playMusic(music) {
+    const audio = this.engine.audioManager;
+    if (!audio) return;
+    
+    const spec = typeof music === 'string' ? { id: music } : music;
+    const crossfade = spec.crossfade !== undefined ? spec.crossfade : 1;
+    
+    if (spec.playlist) {
+      // Like crossfadeTo() for a single track, keep a running playlist going
+      if (audio.isPlaylistActive(spec.playlist)) return;
+      audio.playPlaylist(spec.playlist, { shuffle: spec.shuffle, loop: spec.loop, crossfade });
+      return;
+    }
+    
+    audio.crossfadeTo(spec.id, crossfade, {
+      loop: spec.loop,
+      resume: spec.resume !== false
+    });
+  }
+  
   /**
    * Handle transition to next state/scene
+   * `effect` names the scene transition (e.g. 'fade' or { type: 'slide', duration: 0.4 })
    * @private
    */
   _handleTransition(transition) {
     if (transition.nextScene) {
-      this.switchScene(transition.nextScene);
+      this._settleSceneChange(this.switchScene(transition.nextScene, transition.effect || null));
     } else if (transition.nextState) {
       this._switchToState(transition.nextState);
     }
   }
   
+  /**
+   * Swallow a failed scene change started from config
+   * SceneManager already logs the error and shows it on the loading scene.
+   * @private
+   */
+  _settleSceneChange(promise) {
+    if (promise) {
+      promise.catch(() => {});
+    }
+  }
+  
   /**
    * Switch to a named state
    * @private
@@ -603,6 +1289,10 @@ export class ConfigurableScene extends Scene {
     this.stateTimer = 0;
     
     this._setupState(this.states[stateIndex]);
+    
+    if (this.saveSlot && this.engine.saveManager) {
+      this.engine.saveManager.saveScene(this, this.saveSlot);
+    }
   }
   
   /**
@@ -0,0 +1,127 @@
+import { Scene } from './Scene.js';
+
+/**
+ * LoadingScene - Shown by SceneManager while a scene's async init() runs
+ * Displays a progress bar fed by AssetLoader progress, and the error if loading fails
+ */
+export class LoadingScene extends Scene {
+  /**
+   * @param {Object} options - Visual settings
+   * @param {string} options.backgroundColor - Background color (default: '#0f172a')
+   * @param {string} options.barColor - Progress bar fill color (default: '#6366f1')
+   * @param {string} options.trackColor - Progress bar track color (default: '#1e293b')
+   * @param {string} options.textColor - Label color (default: '#94a3b8')
+   * @param {string} options.text - Label text (default: 'Loading')
+   */
+  constructor(options = {}) {
+    super('LoadingScene');
+    this.backgroundColor = options.backgroundColor || '#0f172a';
+    this.barColor = options.barColor || '#6366f1';
+    this.trackColor = options.trackColor || '#1e293b';
+    this.textColor = options.textColor || '#94a3b8';
+    this.text = options.text || 'Loading';
+
+    this.progress = 0;
+    this.loaded = 0;
+    this.total = 0;
+    this.error = null;
+    this.targetScene = null; // Scene being loaded
+    this.elapsed = 0;
+  }
+
+  /**
+   * Reset progress each time loading starts
+   */
+  enter() {
+    super.enter();
+    this.progress = 0;
+    this.loaded = 0;
+    this.total = 0;
+    this.error = null;
+    this.elapsed = 0;
+  }
+
+  /**
+   * Update progress (called from AssetLoader progress events)
+   * @param {number} progress - Progress 0-1
+   * @param {number} loaded - Assets loaded
+   * @param {number} total - Assets in batch
+   */
+  setProgress(progress, loaded, total) {
+    this.progress = Math.max(0, Math.min(1, progress));
+    this.loaded = loaded;
+    this.total = total;
+  }
+
+  /**
+   * Show a loading failure
+   * @param {Error} error - Error raised by the scene's init()
+   */
+  setError(error) {
+    this.error = error;
+  }
+
+  /**
+   * Populate layers with scene entities
+   */
+  populateLayers() {
+    const bg = {
+      render: (ctx) => {
+        ctx.fillStyle = this.backgroundColor;
+        ctx.fillRect(0, 0, 1080, 1920);
+      }
+    };
+    this.layerManager.addToLayer(bg, 'BG_FAR');
+
+    const bar = {
+      render: (ctx) => {
+        ctx.fillStyle = this.trackColor;
+        ctx.beginPath();
+        ctx.roundRect(190, 940, 700, 40, 20);
+        ctx.fill();
+
+        if (this.progress > 0) {
+          ctx.fillStyle = this.error ? '#ef4444' : this.barColor;
+          ctx.beginPath();
+          ctx.roundRect(190, 940, Math.max(40, 700 * this.progress), 40, 20);
+          ctx.fill();
+        }
+      }
+    };
+    this.layerManager.addToLayer(bar, 'SHAPES');
+
+    const label = {
+      render: (ctx) => {
+        ctx.font = '36px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        if (this.error) {
+          ctx.fillStyle = '#fca5a5';
+          ctx.fillText('Failed to load', 540, 880);
+          ctx.font = '24px Arial';
+          ctx.fillText(this.error.message || String(this.error), 540, 1040);
+          return;
+        }
+
+        const dots = '.'.repeat(Math.floor(this.elapsed * 3) % 4);
+        ctx.fillStyle = this.textColor;
+        ctx.fillText(`${this.text}${dots}`, 540, 880);
+
+        if (this.total > 0) {
+          ctx.font = '24px Arial';
+          ctx.fillText(`${this.loaded} / ${this.total}`, 540, 1030);
+        }
+      }
+    };
+    this.layerManager.addToLayer(label, 'TEXT');
+  }
+
+  /**
+   * Update scene logic
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    this.elapsed += deltaTime;
+  }
+}
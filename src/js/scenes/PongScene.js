@@ -1,8 +1,11 @@
 import { Scene } from './Scene.js';
 import { Sprite } from '../entities/Sprite.js';
+import { VirtualDPad } from '../entities/VirtualDPad.js';
 
 /**
  * PongScene - Simple Pong game with player vs AI
+ * Pressing Start on a controller hands the right paddle to a second local player
+ * (Back or disconnecting the controller gives it back to the AI)
  */
 export class PongScene extends Scene {
   constructor() {
@@ -15,6 +18,7 @@ export class PongScene extends Scene {
     this.playerPaddle = null;
     this.aiPaddle = null;
     this.ball = null;
+    this.touchPad = null; // On-screen up/down pad on touch devices
 
     // Game state
     this.playerScore = 0;
@@ -25,11 +29,83 @@ export class PongScene extends Scene {
     // Ball direction
     this.ballVelX = this.ballSpeed;
     this.ballVelY = 0;
+
+    // Gamepad index of the second player (null = AI plays the right paddle)
+    this.player2Pad = null;
+    this.onGamepadDisconnected = (pad) => {
+      if (pad.index === this.player2Pad) {
+        this.leavePlayer2();
+      }
+    };
   }
 
-  init() {
+  async init() {
     this.createGameObjects();
     this.resetBall();
+
+    // Restore the score from the last session (before play starts, so a new
+    // point can't be overwritten by the older saved score)
+    if (this.engine.saveManager) {
+      await this.engine.saveManager.restoreScene(this);
+    }
+  }
+
+  enter() {
+    super.enter();
+    this.engine.inputHandler.onGamepad('disconnected', this.onGamepadDisconnected);
+  }
+
+  exit() {
+    super.exit();
+    this.engine.inputHandler.offGamepad('disconnected', this.onGamepadDisconnected);
+    this.leavePlayer2();
+    if (this.touchPad) {
+      this.touchPad.release();
+    }
+  }
+
+  pause() {
+    super.pause();
+    if (this.touchPad) {
+      this.touchPad.release();
+    }
+  }
+
+  /**
+   * Give the right paddle to a controller
+   * @param {number} pad - Gamepad index
+   */
+  joinPlayer2(pad) {
+    const inputHandler = this.engine.inputHandler;
+    this.player2Pad = pad;
+
+    // Reserved so the controller stops moving the left paddle through moveUp/moveDown
+    inputHandler.reserveGamepad(pad);
+    inputHandler.defineActions({
+      player2Up: [{ type: 'gamepad', button: 'DPadUp', pad }, { type: 'gamepad', axis: 1, direction: -1, pad }],
+      player2Down: [{ type: 'gamepad', button: 'DPadDown', pad }, { type: 'gamepad', axis: 1, direction: 1, pad }]
+    });
+  }
+
+  /**
+   * Hand the right paddle back to the AI
+   */
+  leavePlayer2() {
+    if (this.player2Pad === null) return;
+
+    const inputHandler = this.engine.inputHandler;
+    inputHandler.releaseGamepad(this.player2Pad);
+    inputHandler.removeActions(['player2Up', 'player2Down']);
+    this.player2Pad = null;
+  }
+
+  serialize() {
+    return { playerScore: this.playerScore, aiScore: this.aiScore };
+  }
+
+  deserialize(data) {
+    this.playerScore = data.playerScore || 0;
+    this.aiScore = data.aiScore || 0;
   }
 
   createGameObjects() {
@@ -44,6 +120,15 @@ export class PongScene extends Scene {
     // Ball
     this.ball = new Sprite(this.gameWidth / 2 - 10, this.offsetY + this.gameHeight / 2 - 10, 20, 20);
     this.ball.color = '#ffffff';
+
+    // Touch devices: the pad holds ArrowUp/ArrowDown, so handleInput() needs no changes
+    if (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0) {
+      this.touchPad = new VirtualDPad(this.engine.inputHandler, {
+        x: 200,
+        y: this.offsetY + this.gameHeight + 300,
+        directions: ['up', 'down']
+      });
+    }
   }
 
   resetBall() {
@@ -54,19 +139,27 @@ export class PongScene extends Scene {
   }
 
   update(deltaTime) {
+    // Under an overlay the pad stays released and leaves touches to it
+    if (this.touchPad && !this.isPaused) {
+      this.touchPad.update(deltaTime);
+    }
     this.handleInput(deltaTime);
-    this.updateAI(deltaTime);
+    if (this.player2Pad !== null) {
+      this.handlePlayer2Input(deltaTime);
+    } else {
+      this.updateAI(deltaTime);
+    }
     this.updateBall(deltaTime);
     this.checkCollisions();
     this.checkScore();
   }
 
   handleInput(deltaTime) {
-    // Player controls: Arrow keys or WASD
-    if (this.inputHandler.keys['ArrowUp'] || this.inputHandler.keys['KeyW']) {
+    // Player controls: moveUp/moveDown actions (arrow keys, WASD, gamepad by default)
+    if (this.inputHandler.isActionDown('moveUp')) {
       this.playerPaddle.y -= this.paddleSpeed * deltaTime;
     }
-    if (this.inputHandler.keys['ArrowDown'] || this.inputHandler.keys['KeyS']) {
+    if (this.inputHandler.isActionDown('moveDown')) {
       this.playerPaddle.y += this.paddleSpeed * deltaTime;
     }
 
@@ -74,7 +167,31 @@ export class PongScene extends Scene {
     this.playerPaddle.y = Math.max(this.offsetY, Math.min(this.offsetY + this.gameHeight - this.playerPaddle.height, this.playerPaddle.y));
   }
 
+  handlePlayer2Input(deltaTime) {
+    if (this.inputHandler.wasGamepadButtonPressed('Back', this.player2Pad)) {
+      this.leavePlayer2();
+      return;
+    }
+
+    if (this.inputHandler.isActionDown('player2Up')) {
+      this.aiPaddle.y -= this.paddleSpeed * deltaTime;
+    }
+    if (this.inputHandler.isActionDown('player2Down')) {
+      this.aiPaddle.y += this.paddleSpeed * deltaTime;
+    }
+
+    this.aiPaddle.y = Math.max(this.offsetY, Math.min(this.offsetY + this.gameHeight - this.aiPaddle.height, this.aiPaddle.y));
+  }
+
   updateAI(deltaTime) {
+    // Start on any controller joins as the second player
+    for (const pad of this.inputHandler.getGamepads()) {
+      if (this.inputHandler.wasGamepadButtonPressed('Start', pad.index)) {
+        this.joinPlayer2(pad.index);
+        return;
+      }
+    }
+
     // Simple AI: follow the ball
     const paddleCenter = this.aiPaddle.y + this.aiPaddle.height / 2;
     const ballCenter = this.ball.y + this.ball.height / 2;
@@ -129,11 +246,19 @@ export class PongScene extends Scene {
     if (this.ball.x + this.ball.width < 0) {
       this.aiScore++;
       this.resetBall();
+      this.saveScore();
     }
     // Ball goes off right side - Player scores
     if (this.ball.x > this.gameWidth) {
       this.playerScore++;
       this.resetBall();
+      this.saveScore();
+    }
+  }
+
+  saveScore() {
+    if (this.engine.saveManager) {
+      this.engine.saveManager.saveScene(this);
     }
   }
 
@@ -157,9 +282,9 @@ export class PongScene extends Scene {
     this.layerManager.addToLayer(bg, 'BG_FAR');
 
     // Game objects
-    this.layerManager.addToLayer(this.playerPaddle, 'MAIN');
-    this.layerManager.addToLayer(this.aiPaddle, 'MAIN');
-    this.layerManager.addToLayer(this.ball, 'MAIN');
+    this.layerManager.addToLayer(this.playerPaddle, 'SPRITES');
+    this.layerManager.addToLayer(this.aiPaddle, 'SPRITES');
+    this.layerManager.addToLayer(this.ball, 'SPRITES');
 
     // Score
     const scoreDisplay = {
@@ -168,8 +293,17 @@ export class PongScene extends Scene {
         ctx.font = '48px Arial';
         ctx.textAlign = 'center';
         ctx.fillText(`${this.playerScore} - ${this.aiScore}`, this.gameWidth / 2, this.offsetY - 50);
+
+        if (this.player2Pad === null && this.inputHandler.getGamepads().length > 0) {
+          ctx.font = '28px Arial';
+          ctx.fillText('Press Start on a controller to play the right paddle', this.gameWidth / 2, this.offsetY + this.gameHeight + 60);
+        }
       }
     };
-    this.layerManager.addToLayer(scoreDisplay, 'UI');
+    this.layerManager.addToLayer(scoreDisplay, 'TEXT');
+
+    if (this.touchPad) {
+      this.layerManager.addToLayer(this.touchPad, 'UI_BUTTONS');
+    }
   }
 }
\ No newline at end of file
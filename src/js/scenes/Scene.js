@@ -12,11 +12,15 @@ export class Scene {
     // Scene state
     this.isActive = false;
     this.isInitialized = false;
+    this.isPaused = false;
   }
   
   /**
-   * Initialize scene (called once when scene is created)
+   * Initialize scene (called once, before the first enter())
+   * May be async: SceneManager awaits the returned promise (showing the
+   * loading scene) before calling enter() and populateLayers()
    * Override in subclasses
+   * @returns {void|Promise<void>}
    */
   init() {
     // Override in subclasses
@@ -24,6 +28,7 @@ export class Scene {
   
   /**
    * Called when scene is entered
+   * Calls init() if SceneManager hasn't already
    * Override in subclasses
    */
   enter() {
@@ -40,6 +45,24 @@ export class Scene {
    */
   exit() {
     this.isActive = false;
+    this.isPaused = false;
+  }
+  
+  /**
+   * Called when another scene is pushed on top of this one
+   * The scene keeps its state and layer entities but stops receiving input
+   * Override in subclasses
+   */
+  pause() {
+    this.isPaused = true;
+  }
+  
+  /**
+   * Called when the scene above this one is popped
+   * Override in subclasses
+   */
+  resume() {
+    this.isPaused = false;
   }
   
   /**
@@ -51,6 +74,25 @@ export class Scene {
     // Override in subclasses
   }
   
+  /**
+   * Get the scene state to persist (used by SaveManager)
+   * Override in subclasses; return JSON-serializable data
+   * @returns {Object|null} State, or null if the scene has nothing to save
+   */
+  serialize() {
+    return null;
+  }
+  
+  /**
+   * Restore state produced by serialize()
+   * Called after the scene has been entered and populated
+   * Override in subclasses
+   * @param {Object} data - Saved state
+   */
+  deserialize(data) {
+    // Override in subclasses
+  }
+  
   /**
    * Populate layers with scene entities
    * Override in subclasses to add entities to layers
@@ -82,10 +124,34 @@ export class Scene {
   /**
    * Switch to another scene
    * @param {string} sceneName - Name of scene to switch to
+   * @param {string|Object} transition - Optional transition (e.g. 'fade', { type: 'slide', direction: 'left' })
+   * @returns {Promise<Scene>|undefined} Resolves once the scene is entered
+   */
+  switchScene(sceneName, transition = null) {
+    if (this.sceneManager) {
+      return this.sceneManager.switchTo(sceneName, transition);
+    }
+  }
+  
+  /**
+   * Push another scene on top of this one (pause menu, dialog)
+   * @param {string} sceneName - Name of scene to push
+   * @param {Object} options - { renderBelow, updateBelow, transition }
+   * @returns {Promise<Scene>|undefined} Resolves once the overlay is entered
+   */
+  pushScene(sceneName, options = {}) {
+    if (this.sceneManager) {
+      return this.sceneManager.pushScene(sceneName, options);
+    }
+  }
+  
+  /**
+   * Pop the top scene (call from an overlay to close it)
+   * @param {string|Object} transition - Optional transition
    */
-  switchScene(sceneName) {
+  popScene(transition = null) {
     if (this.sceneManager) {
-      this.sceneManager.switchTo(sceneName);
+      this.sceneManager.popScene(transition);
     }
   }
 }